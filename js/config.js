@@ -0,0 +1,8 @@
+// Generated by scripts/build-config.js from the build's environment; don't edit.
+// Everything here is public: it ships to every visitor's browser.
+
+export default {
+    "environment": "development",
+    "proxyUrl": "/api/datadog",
+    "rum": null
+};
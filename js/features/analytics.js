@@ -0,0 +1,71 @@
+import { registerFeature } from '../lib/features.js';
+import { getConsent, showConsentBanner } from '../lib/consent.js';
+import { getSiteConfig } from '../lib/site.js';
+
+// Datadog RUM, started only once the visitor agrees (see lib/consent.js), on pages that opt in
+// with <body data-feature="analytics">. Its settings are the `rum` block of the site config
+// (js/config.js, see scripts/build-config.js): `src` is the browser SDK to load, the rest is
+// passed to DD_RUM.init(). Session replay is only recorded for visitors who allowed it. A build
+// without RUM settings has nothing to ask about, so no banner is shown.
+export function initializeAnalytics() {
+    const config = getSiteConfig().rum;
+    if (!config) return;
+
+    let started = null;
+    const apply = function(choice) {
+        // The SDK can't be unloaded, so a changed mind takes effect by loading the page again
+        if (started) {
+            if (choice !== started) window.location.reload();
+            return;
+        }
+        if (choice !== 'analytics' && choice !== 'all') return;
+
+        started = choice;
+        startRum(config, choice === 'all').catch(error => {
+            console.warn('Datadog RUM could not be started:', error);
+        });
+    };
+
+    window.addEventListener('consentchange', event => apply(event.detail));
+
+    const choice = getConsent();
+    if (choice) {
+        apply(choice);
+    } else {
+        showConsentBanner();
+    }
+}
+
+function startRum(config, replay) {
+    const options = Object.assign({}, config, {
+        sessionReplaySampleRate: replay ? config.sessionReplaySampleRate || 0 : 0,
+        startSessionReplayRecordingManually: true
+    });
+    delete options.src;
+
+    return loadRumSdk(config.src).then(rum => {
+        rum.init(options);
+        if (replay) rum.startSessionReplayRecording();
+    });
+}
+
+function loadRumSdk(src) {
+    if (window.DD_RUM && window.DD_RUM.init) return Promise.resolve(window.DD_RUM);
+
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        script.addEventListener('load', () => (window.DD_RUM ? resolve(window.DD_RUM) : reject(new Error('DD_RUM is missing'))));
+        script.addEventListener('error', () => reject(new Error(`Could not load ${src}`)));
+        document.head.appendChild(script);
+    });
+}
+
+// The footer's "Privacy settings" button
+export function initializePrivacySettings(button) {
+    button.addEventListener('click', showConsentBanner);
+}
+
+registerFeature('analytics', initializeAnalytics);
+registerFeature('privacy-settings', initializePrivacySettings);
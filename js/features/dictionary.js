@@ -0,0 +1,215 @@
+import { registerFeature } from '../lib/features.js';
+import { loadManifest } from '../lib/data.js';
+import { isInPagesDir } from '../lib/site.js';
+
+// Link the first mention of each dictionary term (data/dictionary-terms.json, built by
+// scripts/build-dictionary.js) in episode summaries, takeaways and transcripts and in resource
+// descriptions to its entry on dictionary.html, with the definition shown on hover and
+// keyboard focus and announced as the link's description
+export function initializeDictionaryTerms(root) {
+    const containers = root.querySelectorAll('.episode-content > p, .takeaways, .transcript pre, .resource-card-content p');
+    if (containers.length === 0) return;
+    
+    loadManifest('dictionary-terms')
+        .then(index => markDictionaryTerms(containers, index.terms))
+        .catch(error => console.warn('Dictionary terms unavailable:', error));
+    
+    // Escape hides an open definition until the pointer or focus moves on (WCAG 1.4.13)
+    document.addEventListener('keydown', function(e) {
+        if (e.key !== 'Escape') return;
+        document.querySelectorAll('.dictionary-term-ref:hover, .dictionary-term-ref:focus-within').forEach(ref => {
+            ref.classList.add('tooltip-dismissed');
+        });
+    });
+}
+
+function markDictionaryTerms(containers, terms) {
+    const aliases = new Map();
+    terms.forEach(term => term.aliases.forEach(alias => {
+        aliases.set(alias.text.toLowerCase(), { term, alias });
+    }));
+    if (aliases.size === 0) return;
+    
+    // Longest first, so "Multi-Head Attention" wins over "Attention"; plurals match too
+    const alternatives = Array.from(aliases.values())
+        .map(entry => entry.alias.text)
+        .sort((a, b) => b.length - a.length)
+        .map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<![\\w-])(${alternatives.join('|')})(?:e?s)?(?![\\w-])`, 'gi');
+    const marked = new Set();
+    // Headings, timestamps, speaker names and code stay as they are
+    const skip = 'h1, h2, h3, h4, button, code, .transcript-timestamp, .transcript-speaker, .dictionary-term-ref';
+    
+    containers.forEach(container => {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest(skip)
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+        
+        textNodes.forEach(node => {
+            if (marked.size === aliases.size) return;
+            const enclosingLink = node.parentElement.closest('a');
+            let remaining = node;
+            let match;
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(remaining.nodeValue)) !== null) {
+                const entry = aliases.get(match[1].toLowerCase());
+                if (!entry || marked.has(entry.term.slug) || (entry.alias.exact && match[1] !== entry.alias.text)) continue;
+                
+                marked.add(entry.term.slug);
+                const termText = remaining.splitText(match.index);
+                remaining = termText.splitText(match[0].length);
+                termText.replaceWith(createDictionaryTermRef(entry.term, termText.nodeValue, enclosingLink));
+                pattern.lastIndex = 0;
+            }
+        });
+    });
+}
+
+// A link to the term with a role="tooltip" definition. Inside an existing link (resource
+// cards are one big link) a second link isn't allowed, so the term is only highlighted and
+// the definition becomes part of that link's description instead.
+function createDictionaryTermRef(term, text, enclosingLink) {
+    const ref = document.createElement('span');
+    ref.className = 'dictionary-term-ref';
+    
+    const tooltip = document.createElement('span');
+    tooltip.className = 'dictionary-tooltip';
+    tooltip.id = `dictionary-term-${term.slug}`;
+    tooltip.setAttribute('role', 'tooltip');
+    const name = document.createElement('strong');
+    name.textContent = term.term;
+    tooltip.append(name, ` ${term.definition}`);
+    
+    let label;
+    if (enclosingLink) {
+        label = document.createElement('span');
+        const describedBy = enclosingLink.getAttribute('aria-describedby');
+        enclosingLink.setAttribute('aria-describedby', describedBy ? `${describedBy} ${tooltip.id}` : tooltip.id);
+    } else {
+        label = document.createElement('a');
+        label.href = `${isInPagesDir() ? '' : 'pages/'}dictionary.html#term-${term.slug}`;
+        label.setAttribute('aria-describedby', tooltip.id);
+    }
+    label.className = 'dictionary-term-link';
+    label.textContent = text;
+    ref.append(label, tooltip);
+    
+    ref.addEventListener('mouseleave', () => ref.classList.remove('tooltip-dismissed'));
+    ref.addEventListener('focusout', () => ref.classList.remove('tooltip-dismissed'));
+    return ref;
+}
+
+// Search box on dictionary.html. A query that is a term's acronym or its spelled-out name
+// also finds the other form ("rag" finds definitions that say "retrieval-augmented
+// generation"), and small typos in term names are forgiven ("tranformer").
+export function initializeDictionarySearch(root) {
+    const input = root.querySelector('#search-term');
+    const termElements = root.querySelectorAll('.dictionary-term');
+    if (!input || termElements.length === 0) return;
+    
+    const entries = Array.from(termElements).map(element => {
+        const name = element.querySelector('.term-name').textContent;
+        const names = [name].concat((element.dataset.aliases || '').split('|'))
+            .filter(Boolean)
+            .map(text => text.toLowerCase());
+        return {
+            element,
+            names,
+            nameWords: names.join(' ').split(/[^a-z0-9]+/).filter(Boolean),
+            definition: element.querySelector('.term-definition').textContent.toLowerCase()
+        };
+    });
+    
+    const status = document.createElement('p');
+    status.className = 'dictionary-search-status';
+    status.setAttribute('aria-live', 'polite');
+    input.insertAdjacentElement('afterend', status);
+    
+    input.addEventListener('input', function() {
+        filterDictionary(entries, this.value, status);
+    });
+}
+
+function filterDictionary(entries, query, status) {
+    const phrases = expandDictionaryQuery(entries, query.trim().toLowerCase());
+    let visibleCount = 0;
+    
+    entries.forEach(entry => {
+        const visible = phrases.length === 0 || phrases.some(phrase => dictionaryEntryMatches(entry, phrase));
+        entry.element.style.display = visible ? '' : 'none';
+        if (visible) visibleCount++;
+    });
+    
+    document.querySelectorAll('.dictionary-section-set').forEach(section => {
+        const hasVisibleTerm = Array.from(section.querySelectorAll('.dictionary-term'))
+            .some(term => term.style.display !== 'none');
+        section.style.display = hasVisibleTerm ? '' : 'none';
+    });
+    
+    if (phrases.length === 0) {
+        status.textContent = '';
+    } else if (visibleCount === 0) {
+        status.textContent = `No terms match "${query.trim()}".`;
+    } else {
+        status.textContent = `${visibleCount} ${visibleCount === 1 ? 'term matches' : 'terms match'}.`;
+    }
+}
+
+// The query plus the other names of any term it names exactly: "llm" -> "large language model"
+function expandDictionaryQuery(entries, query) {
+    if (!query) return [];
+    
+    const phrases = [query];
+    entries.forEach(entry => {
+        if (!entry.names.includes(query)) return;
+        entry.names.forEach(name => {
+            if (!phrases.includes(name)) phrases.push(name);
+        });
+    });
+    return phrases;
+}
+
+// The phrase at the start of a word in the name or definition ("rag" doesn't match "average"),
+// or every word of the phrase close to a word of the name
+function dictionaryEntryMatches(entry, phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const wordStart = new RegExp(`(?:^|[^a-z0-9])${escaped}`);
+    if (entry.names.some(name => wordStart.test(name)) || wordStart.test(entry.definition)) {
+        return true;
+    }
+    
+    const words = phrase.split(/[^a-z0-9]+/).filter(Boolean);
+    return words.length > 0 && words.every(word => {
+        const allowed = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+        return entry.nameWords.some(nameWord => {
+            return nameWord.startsWith(word) || getEditDistance(word, nameWord, allowed) <= allowed;
+        });
+    });
+}
+
+// Levenshtein distance, giving up once it exceeds `limit`
+function getEditDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        if (Math.min(...current) > limit) return limit + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+registerFeature('dictionary-terms', initializeDictionaryTerms);
+registerFeature('dictionary-search', initializeDictionarySearch);
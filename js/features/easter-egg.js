@@ -0,0 +1,37 @@
+import { registerFeature } from '../lib/features.js';
+
+// The π in the footer opens the #easter-egg-modal dialog
+export function initializeEasterEgg(easterEgg) {
+    const modal = document.getElementById('easter-egg-modal');
+    const closeBtn = modal ? modal.querySelector('.easter-egg-close') : null;
+    
+    if (!modal || !closeBtn) return;
+    
+    // Show modal when Pi symbol is clicked
+    easterEgg.addEventListener('click', function() {
+        modal.style.display = 'flex';
+        setTimeout(() => {
+            modal.classList.add('show');
+        }, 10);
+    });
+    
+    // Close modal when X is clicked
+    closeBtn.addEventListener('click', function() {
+        modal.classList.remove('show');
+        setTimeout(() => {
+            modal.style.display = 'none';
+        }, 300);
+    });
+    
+    // Close modal when clicking outside of it
+    modal.addEventListener('click', function(event) {
+        if (event.target === modal) {
+            modal.classList.remove('show');
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+    });
+}
+
+registerFeature('easter-egg', initializeEasterEgg);
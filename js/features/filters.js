@@ -0,0 +1,365 @@
+import { registerFeature } from '../lib/features.js';
+import { getFilterableCards, updateGroupHeadings } from '../lib/cards.js';
+import { trackAction } from '../lib/telemetry.js';
+
+// Initialize any tag filters on the page. Several tags can be active at once, matched as
+// "any of" or "all of" them, and the selection is kept in the query string
+// (?tags=mcp,security&mode=all&category=tutorial) so filtered views can be shared and
+// survive reloads and back/forward.
+export function initializeTagFilters(root) {
+    const tagFilters = root.querySelectorAll('.tag-filter');
+    const categoryFilter = root.querySelector('#episode-category-filter');
+    const tagButtonsContainer = root.querySelector('.tag-buttons');
+    
+    if (tagFilters.length === 0) return;
+    
+    // Add visual feedback for touch devices
+    if (tagButtonsContainer) {
+        // Prevent horizontal scrolling from triggering filter changes unintentionally
+        tagButtonsContainer.addEventListener('scroll', function(e) {
+            // Set a flag to indicate the container is scrolling
+            tagButtonsContainer.setAttribute('data-scrolling', 'true');
+            
+            // Clear the flag after scrolling stops
+            clearTimeout(tagButtonsContainer.scrollTimeout);
+            tagButtonsContainer.scrollTimeout = setTimeout(function() {
+                tagButtonsContainer.setAttribute('data-scrolling', 'false');
+            }, 150);
+        });
+        
+        tagButtonsContainer.insertAdjacentElement('afterend', createTagModeToggle());
+    }
+    
+    tagFilters.forEach(filter => {
+        const count = document.createElement('span');
+        count.className = 'tag-count';
+        filter.appendChild(count);
+    });
+    
+    // Handle category filtering
+    if (categoryFilter) {
+        categoryFilter.addEventListener('change', function() {
+            updateFilterState(root, Object.assign(getFilterState(root), { category: this.value }));
+        });
+    }
+    
+    // Handle tag filtering
+    tagFilters.forEach(filter => {
+        filter.addEventListener('click', function(e) {
+            // Don't activate the filter if the container is still scrolling (prevents accidental activations)
+            if (tagButtonsContainer && tagButtonsContainer.getAttribute('data-scrolling') === 'true') {
+                return;
+            }
+            
+            const tag = this.getAttribute('data-tag');
+            
+            // Add tactile feedback for mobile
+            this.style.transform = 'scale(0.95)';
+            setTimeout(() => {
+                this.style.transform = '';
+            }, 150);
+            
+            // "All Tags" clears the selection; any other tag toggles in or out of it
+            const state = getFilterState(root);
+            if (tag === 'all') {
+                state.tags = [];
+            } else if (state.tags.includes(tag)) {
+                state.tags = state.tags.filter(t => t !== tag);
+            } else {
+                state.tags.push(tag);
+            }
+            
+            updateFilterState(root, state);
+        });
+    });
+    
+    root.querySelectorAll('.tag-mode-option').forEach(option => {
+        option.addEventListener('click', function() {
+            updateFilterState(root, Object.assign(getFilterState(root), { mode: this.getAttribute('data-mode') }));
+        });
+    });
+    
+    // Back/forward restores whatever the URL describes
+    window.addEventListener('popstate', () => applyFilterState(root, readFilterStateFromUrl(root)));
+    
+    // Show what a shared link asks for, and tidy away any tags or categories we dropped
+    const initialState = readFilterStateFromUrl(root);
+    applyFilterState(root, initialState);
+    history.replaceState(null, '', getFilterUrl(initialState));
+}
+
+function createTagModeToggle() {
+    const toggle = document.createElement('div');
+    toggle.className = 'tag-mode';
+    toggle.setAttribute('role', 'group');
+    toggle.setAttribute('aria-label', 'Show items matching');
+    toggle.innerHTML = `
+        <button type="button" class="tag-mode-option" data-mode="any" aria-pressed="true">Any selected tag</button>
+        <button type="button" class="tag-mode-option" data-mode="all" aria-pressed="false">All selected tags</button>
+    `;
+    return toggle;
+}
+
+// The filter state as currently shown: { tags: [...], mode: 'any' | 'all', category }
+function getFilterState(root) {
+    const categoryFilter = root.querySelector('#episode-category-filter');
+    const allMode = root.querySelector('.tag-mode-option[data-mode="all"]');
+    
+    return {
+        tags: Array.from(root.querySelectorAll('.tag-filter.active'))
+            .map(el => el.getAttribute('data-tag'))
+            .filter(tag => tag !== 'all'),
+        mode: allMode && allMode.getAttribute('aria-pressed') === 'true' ? 'all' : 'any',
+        category: categoryFilter ? categoryFilter.value : 'all'
+    };
+}
+
+// Reads ?tags=&mode=&category=, dropping tags and categories this page doesn't offer
+function readFilterStateFromUrl(root) {
+    const params = new URLSearchParams(window.location.search);
+    const knownTags = Array.from(root.querySelectorAll('.tag-filter'))
+        .map(el => el.getAttribute('data-tag'));
+    const categoryFilter = root.querySelector('#episode-category-filter');
+    const knownCategories = categoryFilter
+        ? Array.from(categoryFilter.options).map(option => option.value)
+        : [];
+    const category = params.get('category');
+    
+    return {
+        tags: (params.get('tags') || '').split(',')
+            .map(tag => tag.trim())
+            .filter((tag, index, tags) => tag && tag !== 'all' && knownTags.includes(tag) && tags.indexOf(tag) === index),
+        mode: params.get('mode') === 'all' ? 'all' : 'any',
+        category: category && knownCategories.includes(category) ? category : 'all'
+    };
+}
+
+function getFilterUrl(state) {
+    const params = new URLSearchParams(window.location.search);
+    ['tags', 'mode', 'category'].forEach(key => params.delete(key));
+    
+    if (state.tags.length > 0) params.set('tags', state.tags.join(','));
+    if (state.mode === 'all') params.set('mode', 'all');
+    if (state.category !== 'all') params.set('category', state.category);
+    
+    // Keep tag lists readable in shared links (?tags=mcp,security rather than mcp%2Csecurity)
+    const query = params.toString().replace(/%2C/gi, ',');
+    return window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+}
+
+// Applies a user change and records it as a new history entry
+function updateFilterState(root, state) {
+    applyFilterState(root, state);
+    
+    const url = getFilterUrl(state);
+    if (url !== window.location.pathname + window.location.search + window.location.hash) {
+        history.pushState(null, '', url);
+        trackAction('filter change', {
+            filter: 'tags',
+            tags: state.tags,
+            mode: state.mode,
+            category: state.category,
+            results: getFilterableCards().filter(card => card.style.display !== 'none').length
+        });
+    }
+}
+
+function applyFilterState(root, state) {
+    root.querySelectorAll('.tag-filter').forEach(filter => {
+        const tag = filter.getAttribute('data-tag');
+        const active = tag === 'all' ? state.tags.length === 0 : state.tags.includes(tag);
+        filter.classList.toggle('active', active);
+        filter.setAttribute('aria-pressed', String(active));
+    });
+    
+    root.querySelectorAll('.tag-mode-option').forEach(option => {
+        option.setAttribute('aria-pressed', String(option.getAttribute('data-mode') === state.mode));
+    });
+    
+    const categoryFilter = root.querySelector('#episode-category-filter');
+    if (categoryFilter) categoryFilter.value = state.category;
+    
+    filterCards(state);
+    updateGroupHeadings();
+    updateTagCounts(root, state);
+}
+
+function filterCards(state) {
+    getFilterableCards().forEach(card => {
+        card.style.display = cardMatchesFilters(card, state) ? '' : 'none';
+    });
+}
+
+function cardMatchesFilters(card, state) {
+    const cardCategory = card.getAttribute('data-category');
+    const categoryMatch = state.category === 'all' || cardCategory === state.category;
+    return categoryMatch && shouldShowCardByTags(card, state.tags, state.mode);
+}
+
+// Each tag shows how many cards clicking it would leave: in "all" mode that narrows the
+// current selection, in "any" mode it's the cards carrying that tag
+function updateTagCounts(root, state) {
+    const cards = getFilterableCards();
+    
+    root.querySelectorAll('.tag-filter').forEach(filter => {
+        const tag = filter.getAttribute('data-tag');
+        let tags;
+        if (tag === 'all') {
+            tags = [];
+        } else if (state.mode === 'all') {
+            tags = state.tags.includes(tag) ? state.tags : state.tags.concat(tag);
+        } else {
+            tags = [tag];
+        }
+        
+        const count = cards.filter(card => cardMatchesFilters(card, Object.assign({}, state, { tags }))).length;
+        const countElement = filter.querySelector('.tag-count');
+        if (countElement) countElement.textContent = count;
+        filter.classList.toggle('no-matches', count === 0);
+    });
+}
+
+function shouldShowCardByTags(card, activeTags, mode) {
+    if (activeTags.length === 0 || activeTags.includes('all')) {
+        return true;
+    }
+    
+    const cardTags = card.getAttribute('data-tags') ? 
+        card.getAttribute('data-tags').split(',') : [];
+    
+    // "all" needs every active tag on the card; otherwise at least one will do
+    return mode === 'all'
+        ? activeTags.every(tag => cardTags.includes(tag))
+        : activeTags.some(tag => cardTags.includes(tag));
+}
+
+// Tool and concept filters and the search box on observations.html
+export function initializeObservationFilters(root) {
+    // DOM Elements
+    const toolFilters = root.querySelectorAll('[data-filter="tool"]');
+    const conceptFilters = root.querySelectorAll('[data-filter="concept"]');
+    const resetFiltersBtn = root.querySelector('#resetFilters');
+    const searchInput = root.querySelector('#observationSearch');
+    const takeawayCards = root.querySelectorAll('.takeaway-card');
+    const emptyState = root.querySelector('#emptyState');
+    const mobileTabs = root.querySelectorAll('.mobile-tab');
+    
+    // Current filter state
+    let currentFilters = {
+        tool: 'all',
+        concept: 'all',
+        search: ''
+    };
+    
+    // Filter cards based on current filter state; returns how many are left
+    function filterCards() {
+        let visibleCount = 0;
+        
+        takeawayCards.forEach(card => {
+            const cardTools = card.dataset.tools.split(',');
+            const cardConcepts = card.dataset.concepts.split(',');
+            const cardText = card.textContent.toLowerCase();
+            
+            // Check if card matches all active filters
+            const matchesTool = currentFilters.tool === 'all' || cardTools.includes(currentFilters.tool);
+            const matchesConcept = currentFilters.concept === 'all' || cardConcepts.includes(currentFilters.concept);
+            const matchesSearch = currentFilters.search === '' || cardText.includes(currentFilters.search.toLowerCase());
+            
+            if (matchesTool && matchesConcept && matchesSearch) {
+                card.style.display = '';
+                visibleCount++;
+            } else {
+                card.style.display = 'none';
+            }
+        });
+        
+        // Show empty state if no cards are visible
+        if (visibleCount === 0) {
+            emptyState.style.display = 'block';
+        } else {
+            emptyState.style.display = 'none';
+        }
+        return visibleCount;
+    }
+    
+    // Update active filter UI
+    function updateActiveFilters(filterType, value) {
+        const filterSet = filterType === 'tool' ? toolFilters : conceptFilters;
+        
+        filterSet.forEach(filter => {
+            filter.classList.toggle('active', filter.dataset.value === value);
+        });
+    }
+    
+    // Event handlers for filters
+    function handleFilterClick(e) {
+        const filterItem = e.currentTarget;
+        const filterType = filterItem.dataset.filter;
+        const filterValue = filterItem.dataset.value;
+        
+        // Update filter state
+        currentFilters[filterType] = filterValue;
+        
+        // Update UI
+        updateActiveFilters(filterType, filterValue);
+        
+        // Apply filters
+        trackAction('filter change', { filter: filterType, value: filterValue, results: filterCards() });
+    }
+    
+    // Add click event to all filters
+    toolFilters.forEach(filter => {
+        filter.addEventListener('click', handleFilterClick);
+    });
+    
+    conceptFilters.forEach(filter => {
+        filter.addEventListener('click', handleFilterClick);
+    });
+    
+    // Handle search input
+    searchInput.addEventListener('input', function(e) {
+        currentFilters.search = e.target.value.trim();
+        filterCards();
+    });
+    
+    // Reset all filters
+    resetFiltersBtn.addEventListener('click', function() {
+        // Reset filter state
+        currentFilters = {
+            tool: 'all',
+            concept: 'all',
+            search: ''
+        };
+        
+        // Reset UI
+        updateActiveFilters('tool', 'all');
+        updateActiveFilters('concept', 'all');
+        searchInput.value = '';
+        
+        // Apply filters
+        filterCards();
+    });
+    
+    // Mobile tabs
+    mobileTabs.forEach(tab => {
+        tab.addEventListener('click', function() {
+            mobileTabs.forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            
+            // Additional logic for switching views would go here
+            // For now, let's just do a simple filter reset
+            resetFiltersBtn.click();
+        });
+    });
+    
+    // Make sure all cards match the empty state button
+    root.querySelector('.empty-state .reset-filters').addEventListener('click', function() {
+        resetFiltersBtn.click();
+    });
+    
+    // Initial filter on page load
+    filterCards();
+}
+
+registerFeature('tag-filters', initializeTagFilters);
+registerFeature('observation-filters', initializeObservationFilters);
@@ -0,0 +1,106 @@
+import { registerFeature } from '../lib/features.js';
+import { submitPayload, formatTrackingId } from '../lib/submissions.js';
+import { showToast } from '../lib/toast.js';
+import { enhanceForm, validateForm, buildFormEvent, registerValidator } from '../lib/forms.js';
+import { trackAction } from '../lib/telemetry.js';
+import { normalizeResourceUrl } from '../lib/urls.js';
+
+// The feedback form on about.html; its fields and checks are all in the markup (see lib/forms.js)
+export function initializeFeedbackForm(form) {
+    handleFormSubmission(form, {
+        sent: 'Thank you for your feedback!',
+        queued: "You're offline or our server is busy. Your feedback is saved and will be sent automatically.",
+        failed: 'There was a problem submitting your feedback. Please check the form and try again.'
+    });
+}
+
+// The data request form on privacy.html: a copy of, or the deletion of, what we hold about an
+// email address
+export function initializeDataRequestForm(form) {
+    handleFormSubmission(form, {
+        sent: "Thank you. We've received your request and will reply to the email address you gave.",
+        queued: "You're offline or our server is busy. Your request is saved and will be sent automatically.",
+        failed: 'There was a problem sending your request. Please check the form and try again.'
+    });
+}
+
+// Validate and send `form` on submit, then thank the visitor with `messages.sent` (or
+// `messages.queued` if it's kept for later) and clear it. `onSent` runs after a clean send or queue.
+// Each attempt's outcome is reported as a "form submit" action, without anything typed into it.
+function handleFormSubmission(form, messages, onSent) {
+    const formName = form.getAttribute('data-event');
+    enhanceForm(form);
+
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        if (!validateForm(form)) {
+            trackAction('form submit', { form: formName, outcome: 'invalid' });
+            return;
+        }
+
+        // Send to Datadog Logs API via our proxy, keeping it for later if we can't right now
+        submitPayload(buildFormEvent(form), form.querySelector('button[type="submit"]'))
+            .then(result => {
+                trackAction('form submit', { form: formName, outcome: result.queued ? 'queued' : 'sent' });
+                showToast(result.queued ? messages.queued : `${messages.sent}${formatTrackingId(result)}`,
+                    result.queued ? 'info' : 'success');
+                form.reset();
+                if (onSent) onSent(result);
+            })
+            .catch(error => {
+                console.error(`Error submitting ${formName}:`, error);
+                trackAction('form submit', { form: formName, outcome: 'failed', status: error.status || null });
+                showToast(messages.failed, 'error');
+            });
+    });
+}
+
+// The "Suggest a Resource" button and the form it reveals on resources.html
+export function initializeSuggestionForm(container) {
+    const suggestButton = container.querySelector('#suggest-resource-btn');
+    const resourceForm = container.querySelector('#resource-form');
+    const suggestionForm = container.querySelector('#resource-suggestion-form');
+
+    if (!suggestButton || !resourceForm || !suggestionForm) return;
+
+    // Toggle form visibility
+    suggestButton.addEventListener('click', function() {
+        resourceForm.classList.toggle('hidden');
+        if (!resourceForm.classList.contains('hidden')) {
+            const firstInput = resourceForm.querySelector('input');
+            if (firstInput) firstInput.focus();
+        }
+    });
+
+    handleFormSubmission(suggestionForm, {
+        sent: 'Thank you for your resource suggestion! Our team will review it shortly.',
+        queued: "You're offline or our server is busy. Your suggestion is saved and will be sent automatically.",
+        failed: 'There was a problem submitting your suggestion. Please check the form and try again.'
+    }, function() {
+        resourceForm.classList.add('hidden');
+    });
+}
+
+// Returns why a suggested URL can't be accepted, or '' if it's fine (data-validate="new-resource-url")
+function getSuggestionUrlProblem(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return 'Please enter a full URL, e.g. https://example.com/article';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return 'Please enter an http:// or https:// URL';
+    }
+    
+    const suggested = normalizeResourceUrl(url);
+    const existing = Array.from(document.querySelectorAll('.resource-card > a[href]'))
+        .some(link => normalizeResourceUrl(link.getAttribute('href')) === suggested);
+    return existing ? 'That resource is already in the library - thanks for the suggestion!' : '';
+}
+
+registerValidator('new-resource-url', getSuggestionUrlProblem);
+
+registerFeature('feedback-form', initializeFeedbackForm);
+registerFeature('suggestion-form', initializeSuggestionForm);
+registerFeature('data-request-form', initializeDataRequestForm);
@@ -0,0 +1,122 @@
+import { registerFeature } from '../lib/features.js';
+import { loadManifest } from '../lib/data.js';
+import { escapeHtml } from '../lib/html.js';
+import { getPathPrefix } from '../lib/site.js';
+
+// Fills the featured episode block or an empty grid marked with data-manifest ("episodes" or
+// "resources", with an optional data-limit) from the manifests:
+//
+//   <div class="recording-grid" data-feature="manifest" data-manifest="episodes" data-limit="6"></div>
+//
+// Whatever markup is already there stays as the fallback if the manifest can't be loaded.
+export function initializeManifestContent(element) {
+    const name = element.getAttribute('data-manifest');
+    if (name !== 'episodes' && name !== 'resources') {
+        console.warn(`Unknown data-manifest "${name}"`);
+        return;
+    }
+    
+    loadManifest(name)
+        .then(manifest => {
+            if (element.id === 'featured-episode') {
+                renderFeaturedEpisode(element, manifest);
+            } else if (!element.querySelector('.recording-card, .resource-card')) {
+                renderManifestGrid(element, manifest, name);
+            }
+        })
+        .catch(error => console.warn(`Could not render from ${name}.json:`, error));
+}
+
+function renderFeaturedEpisode(section, manifest) {
+    const episode = manifest.episodes.find(entry => entry.id === manifest.latest);
+    const container = section.querySelector('.featured-episode-container');
+    if (!episode || !container) return;
+    
+    const href = `${getPathPrefix()}${episode.path}`;
+    const thumbnail = episode.thumbnailPath
+        ? `<img src="${escapeHtml(getPathPrefix() + episode.thumbnailPath)}" alt="${escapeHtml(episode.title)}">`
+        : '';
+    const tags = episode.tags
+        .map(tag => `<span class="tag">${escapeHtml(manifest.tags[tag] || tag)}</span>`)
+        .join('');
+    
+    container.innerHTML = `
+        <div class="featured-episode-video">
+            <a href="${escapeHtml(href)}">
+                ${thumbnail}
+                <div class="play-button-overlay">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 24 24" fill="#ffffff">
+                        <path d="M8 5v14l11-7z"/>
+                    </svg>
+                </div>
+            </a>
+        </div>
+        <div class="featured-episode-content">
+            <h3>Latest Episode: ${escapeHtml(episode.title)}</h3>
+            <p>${escapeHtml(episode.description)}</p>
+            <div class="featured-episode-meta">
+                <span class="recording-date">${escapeHtml(episode.displayDate)}</span>
+                <div class="featured-episode-tags">${tags}</div>
+            </div>
+        </div>
+    `;
+}
+
+// Card markup matches what scripts/build-episodes.js and the resources page use
+function renderManifestGrid(grid, manifest, name) {
+    const limit = parseInt(grid.getAttribute('data-limit'), 10);
+    const entries = manifest[name].slice(0, limit > 0 ? limit : undefined);
+    
+    grid.innerHTML = entries.map(entry => name === 'episodes'
+        ? renderManifestEpisodeCard(entry, entry.id === manifest.latest)
+        : renderManifestResourceCard(entry)
+    ).join('');
+}
+
+function renderManifestEpisodeCard(episode, isLatest) {
+    const thumbnail = episode.thumbnailPath
+        ? `<img src="${escapeHtml(getPathPrefix() + episode.thumbnailPath)}" alt="Recording ${episode.number} Thumbnail">`
+        : '';
+    
+    return `
+        <div class="recording-card" data-category="${escapeHtml(episode.category || '')}" data-tags="${escapeHtml(episode.tags.join(','))}" data-presenters="${escapeHtml(episode.presenters.join(','))}">
+            <a href="${escapeHtml(getPathPrefix() + episode.path)}">
+                <div class="video-container">
+                    ${thumbnail}
+                    ${isLatest ? '<span class="featured-badge">Newest</span>' : ''}
+                </div>
+                <div class="recording-card-content">
+                    <h3>${escapeHtml(episode.title)}</h3>
+                    <p>${escapeHtml(episode.description)}</p>
+                    <div class="recording-meta">
+                        <span class="recording-date">${escapeHtml(episode.displayDate)}</span>
+                    </div>
+                </div>
+            </a>
+        </div>
+    `;
+}
+
+function renderManifestResourceCard(resource) {
+    const image = resource.imagePath ? getPathPrefix() + resource.imagePath : resource.imageUrl;
+    
+    return `
+        <div class="resource-card" data-category="${escapeHtml(resource.category || '')}" data-tags="${escapeHtml(resource.tags.join(','))}">
+            <a href="${escapeHtml(resource.url)}" target="_blank">
+                <div class="resource-card-image">
+                    ${image ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(resource.title)}">` : ''}
+                </div>
+                <div class="resource-card-content">
+                    <h2 class="visually-hidden">${escapeHtml(resource.title)}</h2>
+                    <p>${escapeHtml(resource.description)}</p>
+                    <div class="resource-meta">
+                        <span class="resource-date">${escapeHtml(resource.displayDate)}</span>
+                        <span class="resource-source">${escapeHtml(resource.source)}</span>
+                    </div>
+                </div>
+            </a>
+        </div>
+    `;
+}
+
+registerFeature('manifest', initializeManifestContent);
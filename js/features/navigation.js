@@ -0,0 +1,101 @@
+import { registerFeature } from '../lib/features.js';
+
+// Mobile navigation: below the breakpoint the header nav becomes a drawer opened by a
+// disclosure button. While it is open, Tab and Shift+Tab stay within the button and the
+// nav links, Escape or a tap on the overlay closes it and focus goes back to the button.
+// Layout lives in styles.css (.hamburger-menu, .site-header nav.open, .menu-overlay).
+export function initializeMobileNavigation(header) {
+    const headerContainer = header.querySelector('.container');
+    const nav = header.querySelector('nav');
+    if (!headerContainer || !nav) return;
+    
+    const mobileQuery = window.matchMedia('(max-width: 768px)');
+    
+    if (!nav.id) nav.id = 'site-navigation';
+    if (!nav.hasAttribute('aria-label')) nav.setAttribute('aria-label', 'Main');
+    nav.querySelectorAll('a.active').forEach(link => link.setAttribute('aria-current', 'page'));
+    
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'hamburger-menu';
+    toggle.setAttribute('aria-controls', nav.id);
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-label', 'Menu');
+    
+    const icon = document.createElement('span');
+    icon.className = 'hamburger-menu-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = '☰';
+    toggle.appendChild(icon);
+    headerContainer.appendChild(toggle);
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'menu-overlay';
+    document.body.appendChild(overlay);
+    
+    function isOpen() {
+        return toggle.getAttribute('aria-expanded') === 'true';
+    }
+    
+    function setOpen(open, returnFocus) {
+        toggle.setAttribute('aria-expanded', String(open));
+        toggle.classList.toggle('active', open);
+        icon.textContent = open ? '✕' : '☰';
+        nav.classList.toggle('open', open);
+        overlay.classList.toggle('active', open);
+        document.body.classList.toggle('menu-open', open);
+        
+        if (open) {
+            const firstLink = nav.querySelector('a[href]');
+            if (firstLink) firstLink.focus();
+        } else if (returnFocus) {
+            toggle.focus();
+        }
+    }
+    
+    toggle.addEventListener('click', () => setOpen(!isOpen(), true));
+    overlay.addEventListener('click', () => setOpen(false, true));
+    nav.addEventListener('click', e => {
+        if (isOpen() && e.target.closest('a[href]')) setOpen(false, false);
+    });
+    
+    document.addEventListener('keydown', function(e) {
+        if (!isOpen()) return;
+        
+        if (e.key === 'Escape') {
+            setOpen(false, true);
+            return;
+        }
+        if (e.key !== 'Tab') return;
+        
+        // Keep focus in the open drawer: the button (which closes it) and the nav links
+        const focusable = [toggle].concat(Array.from(nav.querySelectorAll('a[href], button')));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const current = focusable.indexOf(document.activeElement);
+        
+        if (current === -1) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && current === 0) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && current === focusable.length - 1) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+    
+    // Only crossing the breakpoint closes the drawer; mobile browsers fire resize whenever
+    // the address bar collapses, which used to close the menu mid-scroll
+    const onBreakpointChange = event => {
+        if (!event.matches && isOpen()) setOpen(false, false);
+    };
+    if (mobileQuery.addEventListener) {
+        mobileQuery.addEventListener('change', onBreakpointChange);
+    } else {
+        mobileQuery.addListener(onBreakpointChange);
+    }
+}
+
+registerFeature('navigation', initializeMobileNavigation);
@@ -0,0 +1,190 @@
+import { registerFeature } from '../lib/features.js';
+import { loadJson } from '../lib/data.js';
+import { escapeHtml } from '../lib/html.js';
+import { isInPagesDir } from '../lib/site.js';
+import { trackAction } from '../lib/telemetry.js';
+
+// A query is only reported once the reader stops typing for this long, so "mcp" isn't also
+// sent as "mc"
+const SEARCH_SETTLE_MS = 1000;
+
+// Header search over data/search-index.json (built by scripts/build-search-index.js)
+export function initializeSiteSearch(header) {
+    const headerContainer = header.querySelector('.container');
+    if (!headerContainer) return;
+    
+    const searchForm = document.createElement('form');
+    searchForm.className = 'site-search';
+    searchForm.setAttribute('role', 'search');
+    searchForm.innerHTML = `
+        <input type="search" class="site-search-input" placeholder="Search the lab..." autocomplete="off"
+               aria-label="Search episodes, transcripts, resources and the dictionary"
+               aria-controls="site-search-results" aria-expanded="false">
+        <div class="site-search-results" id="site-search-results" role="listbox" hidden></div>
+    `;
+    headerContainer.insertBefore(searchForm, headerContainer.querySelector('nav'));
+    
+    const input = searchForm.querySelector('.site-search-input');
+    const results = searchForm.querySelector('.site-search-results');
+    let searchTimeout = null;
+    let trackTimeout = null;
+    
+    function showResults(html) {
+        results.innerHTML = html;
+        results.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+    }
+    
+    function hideResults() {
+        results.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+    }
+    
+    function runSearch() {
+        const query = input.value.trim();
+        clearTimeout(trackTimeout);
+        if (query.length < 2) {
+            hideResults();
+            return;
+        }
+        
+        loadSearchIndex()
+            .then(documents => {
+                // Ignore responses for a query the reader has already changed
+                if (input.value.trim() !== query) return;
+                
+                const matches = searchDocuments(documents, query);
+                showResults(matches.length > 0
+                    ? matches.map(result => renderSearchResult(result, query)).join('')
+                    : `<p class="site-search-empty">No results for &ldquo;${escapeHtml(query)}&rdquo;</p>`);
+                
+                trackTimeout = setTimeout(() => {
+                    trackAction('search', { query: query.slice(0, 100), results: matches.length });
+                }, SEARCH_SETTLE_MS);
+            })
+            .catch(error => {
+                console.error('Error loading search index:', error);
+                showResults('<p class="site-search-empty">Search is unavailable right now. Please try again later.</p>');
+            });
+    }
+    
+    input.addEventListener('input', function() {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(runSearch, 150);
+    });
+    
+    input.addEventListener('focus', function() {
+        if (results.innerHTML && input.value.trim().length >= 2) {
+            results.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+        }
+    });
+    
+    // Enter opens the top result
+    searchForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        const first = results.querySelector('a');
+        if (first) first.click();
+    });
+    
+    searchForm.addEventListener('keydown', function(e) {
+        const links = Array.from(results.querySelectorAll('a'));
+        const index = links.indexOf(document.activeElement);
+        
+        if (e.key === 'Escape') {
+            hideResults();
+            input.focus();
+        } else if (e.key === 'ArrowDown' && links.length > 0) {
+            e.preventDefault();
+            links[Math.min(index + 1, links.length - 1)].focus();
+        } else if (e.key === 'ArrowUp' && index !== -1) {
+            e.preventDefault();
+            (index === 0 ? input : links[index - 1]).focus();
+        }
+    });
+    
+    document.addEventListener('click', function(e) {
+        if (!searchForm.contains(e.target)) hideResults();
+    });
+}
+
+// Lowercase the index up front so each keystroke is cheap
+function loadSearchIndex() {
+    return loadJson('data/search-index.json', index => index.documents.map(doc => Object.assign({}, doc, {
+        titleLower: doc.title.toLowerCase(),
+        textLower: `${doc.context} ${doc.text}`.toLowerCase()
+    })));
+}
+
+// Every word must match; title hits count for more than body hits
+export function searchDocuments(documents, query) {
+    const phrase = query.toLowerCase();
+    const terms = phrase.split(/\s+/).filter(Boolean);
+    const typeWeight = { episode: 3, dictionary: 2, observation: 1, resource: 1, transcript: 0 };
+    
+    return documents
+        .map(doc => {
+            let score = 0;
+            for (const term of terms) {
+                const inTitle = doc.titleLower.includes(term);
+                const inText = doc.textLower.includes(term);
+                if (!inTitle && !inText) return null;
+                score += (inTitle ? 10 : 0) + (inText ? Math.min(doc.textLower.split(term).length - 1, 5) : 0);
+            }
+            if (doc.titleLower.includes(phrase)) score += 10;
+            if (doc.textLower.includes(phrase)) score += 5;
+            return { doc: doc, score: score + (typeWeight[doc.type] || 0) };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 20)
+        .map(result => result.doc);
+}
+
+function renderSearchResult(doc, query) {
+    const typeLabels = {
+        episode: 'Episode',
+        transcript: 'Transcript',
+        resource: 'Resource',
+        observation: 'Observation',
+        dictionary: 'Dictionary'
+    };
+    // Index URLs are relative to pages/; external resource links are used as-is
+    const href = /^https?:\/\//.test(doc.url) ? doc.url : `${isInPagesDir() ? '' : 'pages/'}${doc.url}`;
+    const external = /^https?:\/\//.test(doc.url) ? ' target="_blank" rel="noopener"' : '';
+    
+    return `
+        <a class="site-search-result" role="option" href="${escapeHtml(href)}"${external}>
+            <span class="site-search-type">${typeLabels[doc.type] || doc.type}</span>
+            <span class="site-search-title">${highlightSearchTerms(doc.title, query)}</span>
+            <span class="site-search-context">${escapeHtml(doc.context)}</span>
+            <span class="site-search-snippet">${highlightSearchTerms(getSearchSnippet(doc.text, query), query)}</span>
+        </a>
+    `;
+}
+
+// A short excerpt of the text around the first matching word
+function getSearchSnippet(text, query) {
+    const lower = text.toLowerCase();
+    const positions = query.toLowerCase().split(/\s+/).filter(Boolean)
+        .map(term => lower.indexOf(term))
+        .filter(position => position !== -1);
+    const position = positions.length > 0 ? Math.min.apply(null, positions) : 0;
+    
+    const start = Math.max(0, position - 60);
+    const end = Math.min(text.length, position + 120);
+    return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+}
+
+function highlightSearchTerms(text, query) {
+    const terms = query.split(/\s+/).filter(Boolean)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (terms.length === 0) return escapeHtml(text);
+    
+    // Split on the raw text so matches never land inside an escaped entity; odd parts are the matches
+    return text.split(new RegExp(`(${terms.join('|')})`, 'gi'))
+        .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+registerFeature('site-search', initializeSiteSearch);
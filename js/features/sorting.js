@@ -0,0 +1,144 @@
+import { registerFeature } from '../lib/features.js';
+import { getCardEpisodeNumber, getCardPresenter, getCardDate, updateGroupHeadings } from '../lib/cards.js';
+
+const GRID_SELECTOR = '.recording-grid, .resource-grid';
+
+// Sort and group controls shared by the episode grid (index) and the resource grid.
+// Cards are reordered in place; grouping adds a heading row before each group.
+export function initializeCardSorting(root) {
+    const grid = root.matches(GRID_SELECTOR) ? root : root.querySelector(GRID_SELECTOR);
+    if (!grid) return;
+    
+    const isEpisodeGrid = grid.classList.contains('recording-grid');
+    const cards = Array.from(grid.querySelectorAll(':scope > .recording-card, :scope > .resource-card'));
+    if (cards.length === 0) return;
+    
+    // Read everything we sort on once; the original position breaks ties
+    const entries = cards.map((card, index) => ({
+        card,
+        index,
+        date: getCardDate(card),
+        number: getCardEpisodeNumber(card),
+        title: (card.querySelector('h2, h3') || card).textContent.trim(),
+        presenter: getCardPresenter(card),
+        category: card.getAttribute('data-category') || ''
+    }));
+    
+    const sortOptions = isEpisodeGrid
+        ? [['newest', 'Newest first'], ['oldest', 'Oldest first'], ['episode', 'Episode number'], ['title', 'Title'], ['presenter', 'Presenter']]
+        : [['newest', 'Newest first'], ['oldest', 'Oldest first'], ['title', 'Title'], ['presenter', 'Source']];
+    const groupOptions = [['none', 'No grouping'], ['month', 'Month'], ['category', 'Category']];
+    
+    const control = document.createElement('div');
+    control.className = 'sort-control';
+    control.innerHTML = `
+        <label for="card-sort">Sort</label>
+        <select id="card-sort">${sortOptions.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}</select>
+        <label for="card-group">Group</label>
+        <select id="card-group">${groupOptions.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}</select>
+    `;
+    
+    const filters = document.querySelector('.episodes-filters, .resources-filters');
+    if (filters) {
+        filters.appendChild(control);
+    } else {
+        grid.parentNode.insertBefore(control, grid);
+    }
+    
+    const sortSelect = control.querySelector('#card-sort');
+    const groupSelect = control.querySelector('#card-group');
+    const render = () => arrangeCards(grid, entries, sortSelect.value, groupSelect.value);
+    
+    sortSelect.addEventListener('change', render);
+    groupSelect.addEventListener('change', render);
+    render();
+}
+
+function arrangeCards(grid, entries, sortBy, groupBy) {
+    const sorted = entries.slice().sort(getCardComparator(sortBy));
+    
+    grid.querySelectorAll('.card-group-heading').forEach(heading => heading.remove());
+    
+    if (groupBy === 'none') {
+        sorted.forEach(entry => grid.appendChild(entry.card));
+        return;
+    }
+    
+    // Bucket the sorted cards, keeping their order within each group
+    const groups = new Map();
+    sorted.forEach(entry => {
+        const key = getCardGroupKey(entry, groupBy);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    });
+    
+    getOrderedGroupKeys([...groups.keys()], groupBy, sortBy).forEach(key => {
+        const heading = document.createElement('h2');
+        heading.className = 'card-group-heading';
+        heading.textContent = getCardGroupLabel(key, groupBy);
+        grid.appendChild(heading);
+        groups.get(key).forEach(entry => grid.appendChild(entry.card));
+    });
+    
+    updateGroupHeadings();
+}
+
+function getCardComparator(sortBy) {
+    // Cards missing the value being compared always go last
+    const missingLast = (a, b) => (a ? 0 : 1) - (b ? 0 : 1);
+    const byDate = direction => (a, b) => {
+        if (!a.date || !b.date) return missingLast(a.date, b.date);
+        return direction * (a.date - b.date);
+    };
+    const byText = key => (a, b) => {
+        if (!a[key] || !b[key]) return missingLast(a[key], b[key]);
+        return a[key].localeCompare(b[key], undefined, { sensitivity: 'base' });
+    };
+    const newest = byDate(-1);
+    const byIndex = (a, b) => a.index - b.index;
+    
+    const comparators = {
+        newest: (a, b) => newest(a, b) || (b.number || 0) - (a.number || 0) || byIndex(a, b),
+        oldest: (a, b) => byDate(1)(a, b) || (a.number || 0) - (b.number || 0) || byIndex(a, b),
+        episode: (a, b) => (a.number || Infinity) - (b.number || Infinity) || byIndex(a, b),
+        title: (a, b) => byText('title')(a, b) || byIndex(a, b),
+        presenter: (a, b) => byText('presenter')(a, b) || newest(a, b) || byIndex(a, b)
+    };
+    
+    return comparators[sortBy] || comparators.newest;
+}
+
+function getCardGroupKey(entry, groupBy) {
+    if (groupBy === 'month') {
+        return entry.date ? `${entry.date.getFullYear()}-${String(entry.date.getMonth() + 1).padStart(2, '0')}` : '';
+    }
+    return entry.category;
+}
+
+// Months follow the date direction (oldest first only when sorting oldest first), categories
+// are alphabetical, and cards without a date or category come last
+function getOrderedGroupKeys(keys, groupBy, sortBy) {
+    const ordered = keys.filter(Boolean);
+    if (groupBy === 'month') {
+        ordered.sort();
+        if (sortBy !== 'oldest') ordered.reverse();
+    } else {
+        ordered.sort((a, b) => getCardGroupLabel(a, groupBy).localeCompare(getCardGroupLabel(b, groupBy)));
+    }
+    return keys.includes('') ? ordered.concat('') : ordered;
+}
+
+function getCardGroupLabel(key, groupBy) {
+    if (groupBy === 'month') {
+        if (!key) return 'Undated';
+        const [year, month] = key.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    }
+    if (!key) return 'Uncategorized';
+    
+    // Prefer the label the category filter already shows for this value
+    const option = document.querySelector(`#episode-category-filter option[value="${key}"]`);
+    return option ? option.textContent : key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+registerFeature('card-sorting', initializeCardSorting);
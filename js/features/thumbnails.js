@@ -0,0 +1,227 @@
+import { registerFeature } from '../lib/features.js';
+import { addPlayIcon, getYouTubeVideoId, EPISODE_VIDEO_SELECTOR } from '../lib/video.js';
+import { trackAction, getEpisodeNumber } from '../lib/telemetry.js';
+
+// Resource cards: titles are only for screen readers (the thumbnail shows them), each image
+// gets its floating bubbles, and cards without a generated thumbnail get one drawn here
+export function initializeResourceCards(root) {
+    root.querySelectorAll('.resource-card-content h2').forEach(title => {
+        title.classList.add('visually-hidden');
+    });
+    
+    root.querySelectorAll('.resource-card-image').forEach(imageContainer => {
+        // Create 4 bubble elements
+        for (let i = 0; i < 4; i++) {
+            const bubble = document.createElement('div');
+            bubble.className = 'bubble';
+            imageContainer.appendChild(bubble);
+        }
+    });
+    
+    generateResourceThumbnails(root);
+}
+
+// Thumbnails are generated at build time (scripts/build-thumbnails.js); this draws the
+// same design on a canvas only for cards still on the placeholder or whose image failed to load
+function generateResourceThumbnails(root) {
+    const resourceCards = root.querySelectorAll('.resource-card');
+    
+    resourceCards.forEach(card => {
+        const imageContainer = card.querySelector('.resource-card-image');
+        if (!imageContainer) return;
+        
+        const img = imageContainer.querySelector('img');
+        if (!img) return;
+        
+        if (img.src.includes('resource-placeholder.jpg') || (img.complete && img.naturalHeight === 0)) {
+            drawResourceThumbnail(card, img);
+        } else {
+            img.addEventListener('error', () => drawResourceThumbnail(card, img), { once: true });
+        }
+    });
+}
+
+// Keep in step with renderThumbnailSvg() in scripts/lib/thumbnails.js
+function drawResourceThumbnail(card, img) {
+    // Get details to generate a unique but consistent thumbnail
+    const title = card.querySelector('h2').textContent;
+    const sourceElement = card.querySelector('.resource-source');
+    const source = sourceElement ? sourceElement.textContent : 'source';
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = 400;
+    canvas.height = 200;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    
+    // Generate a color based on the title and source
+    const hash = stringToHash(title + source);
+    const hue = hash % 360;
+    const saturation = 70;
+    const lightness = 65;
+    
+    // Fill with gradient background
+    const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+    gradient.addColorStop(0, `hsl(${hue}, ${saturation}%, ${lightness}%)`);
+    gradient.addColorStop(1, `hsl(${(hue + 40) % 360}, ${saturation}%, ${lightness}%)`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    // Add a pattern overlay for texture
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+    for (let i = 0; i < canvas.width; i += 20) {
+        for (let j = 0; j < canvas.height; j += 20) {
+            if ((i + j) % 40 === 0) {
+                ctx.fillRect(i, j, 10, 10);
+            }
+        }
+    }
+    
+    // Draw a semi-transparent white background with darker edges for better visibility
+    const padding = 20;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.fillRect(padding, padding, canvas.width - (padding * 2), canvas.height - (padding * 2));
+    
+    // Extract date and author information
+    const dateElement = card.querySelector('.resource-date');
+    const date = dateElement ? dateElement.textContent : '';
+    
+    const authorElement = card.querySelector('.resource-source');
+    const author = authorElement ? authorElement.textContent : '';
+    
+    // Prepare to draw the title with proper padding
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    
+    const maxTextWidth = canvas.width - (padding * 3);
+    const titlePadding = 30;
+    const baseFontSize = 20;
+    ctx.font = `bold ${baseFontSize}px Inter, sans-serif`; // Set font before measuring
+    
+    // Word splitting and line formation
+    const words = title.split(' ');
+    let lines = [];
+    let currentLine = words[0];
+    
+    for (let i = 1; i < words.length; i++) {
+        const testLine = currentLine + ' ' + words[i];
+        const testWidth = ctx.measureText(testLine).width;
+        
+        if (testWidth < maxTextWidth) {
+            currentLine = testLine;
+        } else {
+            lines.push(currentLine);
+            currentLine = words[i];
+        }
+    }
+    lines.push(currentLine);
+    
+    // Limit to three lines and add ellipsis if needed
+    const maxLines = 3;
+    if (lines.length > maxLines) {
+        lines = lines.slice(0, maxLines);
+        // Only add ellipsis if the last line is getting cut off
+        const lastLineWidth = ctx.measureText(lines[maxLines-1]).width;
+        if (lastLineWidth > maxTextWidth) {
+            // Find a good cutoff point to add ellipsis
+            let shortenedLine = lines[maxLines-1];
+            while (ctx.measureText(shortenedLine + '...').width > maxTextWidth && shortenedLine.length > 0) {
+                shortenedLine = shortenedLine.slice(0, -1);
+            }
+            lines[maxLines-1] = shortenedLine + '...';
+        }
+    }
+    
+    const lineHeight = baseFontSize * 1.3;
+    const topPadding = 40;
+    
+    // Draw each line of title with black text and proper padding
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    
+    lines.forEach((line, index) => {
+        ctx.fillText(line, titlePadding, topPadding + (index * lineHeight));
+    });
+    
+    // Draw a semi-transparent footer bar for metadata
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+    const footerHeight = 40;
+    ctx.fillRect(0, canvas.height - footerHeight, canvas.width, footerHeight);
+    
+    // Draw the author at the lower left and date at the lower right
+    const metaFontSize = 14;
+    ctx.font = `${metaFontSize}px Inter, sans-serif`;
+    
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillText(author, padding, canvas.height - (footerHeight/2) - (metaFontSize/2) + 1);
+    
+    ctx.textAlign = 'right';
+    ctx.fillText(date, canvas.width - padding, canvas.height - (footerHeight/2) - (metaFontSize/2) + 1);
+    
+    // A <picture> would keep preferring its WebP source over the canvas data
+    const picture = img.closest('picture');
+    if (picture) {
+        picture.querySelectorAll('source').forEach(source => source.remove());
+    }
+    
+    // Replace the image source with canvas data
+    img.src = canvas.toDataURL('image/png');
+    
+    // Set image properties
+    img.alt = title;
+    img.style.objectFit = 'cover';
+    img.style.width = '100%';
+    img.style.height = '100%';
+}
+
+// Helper function to convert string to a hash number
+function stringToHash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash; // Convert to 32bit integer
+    }
+    return Math.abs(hash);
+}
+
+// Video thumbnails on episode cards and in the episode navigation: a play icon, and the whole
+// thumbnail opens the video. An episode page's own video is left to the transcript feature,
+// which plays it in-page.
+export function initializeVideoThumbnails(root) {
+    root.querySelectorAll('.video-container').forEach(container => {
+        const link = container.querySelector('a');
+        
+        if (link) {
+            addPlayIcon(container);
+            
+            const linkHref = link.getAttribute('href');
+            
+            if (container.matches(EPISODE_VIDEO_SELECTOR) && getYouTubeVideoId(linkHref)) return;
+            
+            // The link is the one control; clicks around it in the container are passed on to it
+            container.addEventListener('click', function(e) {
+                if (!link.contains(e.target)) {
+                    link.click();
+                    return;
+                }
+                trackAction('video open', {
+                    episode: getEpisodeNumber(linkHref),
+                    video: getYouTubeVideoId(linkHref) || null,
+                    from: 'card'
+                });
+            });
+            
+            // A link with only an unlabelled image needs a name of its own
+            if (!link.textContent.trim() && !link.querySelector('img[alt]:not([alt=""])')) {
+                link.setAttribute('aria-label', 'Watch video');
+            }
+            container.style.cursor = 'pointer';
+        }
+    });
+}
+
+registerFeature('resource-cards', initializeResourceCards);
+registerFeature('video-thumbnails', initializeVideoThumbnails);
@@ -0,0 +1,327 @@
+import { registerFeature } from '../lib/features.js';
+import { getYouTubeVideoId, getSecondsFromHref, loadYouTubeIframeApi, EPISODE_VIDEO_SELECTOR } from '../lib/video.js';
+import { trackAction, getEpisodeNumber } from '../lib/telemetry.js';
+
+// State for the in-page YouTube player on episode pages
+let embeddedPlayer = createEmbeddedPlayer();
+
+// Episode pages: transcript timestamps link into the video, which plays in-page with the
+// transcript following along, and a #t=SECONDS hash (search results link to those) shows
+// that part of the transcript
+export function initializeTranscript(root) {
+    embeddedPlayer = createEmbeddedPlayer();
+    
+    const videoId = getEpisodeVideoId(root);
+    if (videoId) {
+        makeTimestampsClickable(root, videoId);
+        
+        // Play episode videos in-page and keep the transcript in sync
+        initializeEmbeddedPlayer(root, videoId);
+    }
+    
+    // Which moments of the episode people jump to
+    root.addEventListener('click', trackTimestampClick);
+    
+    showTranscriptFromHash();
+    window.addEventListener('hashchange', showTranscriptFromHash);
+}
+
+const TIMESTAMP_LINK_SELECTOR = '.timestamp-link, a.transcript-timestamp, .chapter-markers a';
+
+function trackTimestampClick(e) {
+    const link = e.target.closest(TIMESTAMP_LINK_SELECTOR);
+    const seconds = link ? getLinkSeconds(link) : null;
+    if (seconds === null) return;
+    
+    trackAction('timestamp click', {
+        episode: getEpisodeNumber(),
+        seconds: seconds,
+        source: link.closest('.chapter-markers') ? 'chapter' : 'transcript'
+    });
+}
+
+// A timestamp link's time: data-seconds if we set it, otherwise its ?t=
+function getLinkSeconds(link) {
+    return link.dataset.seconds !== undefined
+        ? parseInt(link.dataset.seconds, 10)
+        : getSecondsFromHref(link.getAttribute('href'));
+}
+
+function createEmbeddedPlayer() {
+    return {
+        videoId: '',
+        container: null,
+        player: null,
+        ready: null,
+        timeline: [],
+        current: null,
+        syncTimer: null,
+        lastUserScroll: 0
+    };
+}
+
+// Turn [HH:MM:SS] transcript timestamps into links to that point in the video
+function makeTimestampsClickable(root, videoId) {
+    // Find all transcript timestamps
+    const timestampElements = root.querySelectorAll('.transcript-timestamp');
+    
+    timestampElements.forEach(function(element) {
+        // Some pages already ship timestamps as links; don't nest another one
+        if (element.closest('a')) return;
+        
+        // Others wrap a clock icon linking to ?t=SECONDS; register it with the player as-is
+        const innerLink = element.querySelector('a');
+        if (innerLink) {
+            const linkSeconds = getSecondsFromHref(innerLink.getAttribute('href'));
+            if (linkSeconds !== null) {
+                innerLink.classList.add('timestamp-link');
+                innerLink.dataset.seconds = linkSeconds;
+            }
+            return;
+        }
+        
+        const timestamp = element.textContent;
+        // Extract time in [HH:MM:SS], [H:MM:SS] or [MM:SS] format
+        const timeMatch = timestamp.match(/\[(?:(\d{1,2}):)?(\d{1,2}):(\d{2})\]/);
+        
+        if (timeMatch) {
+            // Convert to seconds for YouTube t parameter
+            const hours = timeMatch[1] ? parseInt(timeMatch[1], 10) : 0;
+            const minutes = parseInt(timeMatch[2], 10);
+            const seconds = parseInt(timeMatch[3], 10);
+            const totalSeconds = hours * 3600 + minutes * 60 + seconds;
+            
+            // Create a wrapper link element
+            const link = document.createElement('a');
+            link.href = `https://youtu.be/${videoId}?t=${totalSeconds}`;
+            link.target = '_blank';
+            link.classList.add('timestamp-link');
+            link.dataset.seconds = totalSeconds;
+            link.title = 'Click to watch this part of the video';
+            
+            // Add styling to show it's clickable
+            element.style.cursor = 'pointer';
+            element.style.color = '#0066cc';
+            element.style.textDecoration = 'underline';
+            
+            // Replace the timestamp element with the link element
+            const parent = element.parentNode;
+            parent.insertBefore(link, element);
+            link.appendChild(element);
+        } else {
+            console.warn('Unrecognized transcript timestamp format:', timestamp);
+        }
+    });
+}
+
+// Get the episode's YouTube video ID from the chapter markers or the main video link
+function getEpisodeVideoId(root) {
+    const firstChapterLink = root.querySelector('.chapter-markers a');
+    const videoLink = root.querySelector('.video-container a');
+    
+    return (firstChapterLink && getYouTubeVideoId(firstChapterLink.getAttribute('href'))) ||
+        (videoLink && getYouTubeVideoId(videoLink.getAttribute('href'))) ||
+        '';
+}
+
+// Set up the in-page player: the thumbnail, chapter markers and transcript timestamps all drive it
+function initializeEmbeddedPlayer(root, videoId) {
+    const container = root.querySelector(EPISODE_VIDEO_SELECTOR);
+    if (!container) return;
+    
+    embeddedPlayer.videoId = videoId;
+    embeddedPlayer.container = container;
+    embeddedPlayer.timeline = buildTranscriptTimeline(root);
+    
+    // The thumbnail plays the video here instead of opening a new tab. The link stays the one
+    // control; the container only passes on clicks that land around it.
+    const videoLink = container.querySelector('a');
+    if (videoLink && getYouTubeVideoId(videoLink.getAttribute('href'))) {
+        container.addEventListener('click', function(e) {
+            if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            e.preventDefault();
+            trackAction('video open', { episode: getEpisodeNumber(), video: videoId, from: 'episode page' });
+            seekEmbeddedPlayer(0, videoLink.getAttribute('href'));
+        });
+        
+        videoLink.setAttribute('aria-label', 'Play video');
+        container.style.cursor = 'pointer';
+    }
+    
+    // Seek instead of opening a new tab for links that point at this episode's video
+    root.addEventListener('click', function(e) {
+        const link = e.target.closest(TIMESTAMP_LINK_SELECTOR);
+        if (!link || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        
+        const href = link.getAttribute('href');
+        if (getYouTubeVideoId(href) !== embeddedPlayer.videoId) return;
+        
+        const seconds = getLinkSeconds(link);
+        if (seconds === null) return;
+        
+        e.preventDefault();
+        seekEmbeddedPlayer(seconds, href);
+    });
+    
+    // Pause auto-scrolling for a moment whenever the reader scrolls the transcript themselves
+    const transcript = root.querySelector('.transcript');
+    if (transcript) {
+        ['wheel', 'touchstart', 'keydown'].forEach(eventName => {
+            transcript.addEventListener(eventName, function() {
+                embeddedPlayer.lastUserScroll = Date.now();
+            }, { passive: true });
+        });
+    }
+}
+
+// Collect every transcript timestamp with its time in seconds, in document order
+function buildTranscriptTimeline(root) {
+    const links = root.querySelectorAll('.transcript .timestamp-link, .transcript a.transcript-timestamp');
+    
+    return Array.from(links)
+        .map(link => ({ seconds: getLinkSeconds(link), element: link }))
+        .filter(entry => entry.seconds !== null);
+}
+
+// Replace the thumbnail with an embedded player; resolves with the YT.Player once it can seek
+function openEmbeddedPlayer(startSeconds) {
+    if (embeddedPlayer.ready) return embeddedPlayer.ready;
+    
+    const container = embeddedPlayer.container;
+    container.classList.add('video-loading');
+    
+    embeddedPlayer.ready = loadYouTubeIframeApi().then(YT => new Promise(resolve => {
+        const mount = document.createElement('div');
+        container.innerHTML = '';
+        container.appendChild(mount);
+        container.classList.remove('video-loading');
+        container.classList.add('video-embedded');
+        
+        embeddedPlayer.player = new YT.Player(mount, {
+            videoId: embeddedPlayer.videoId,
+            playerVars: {
+                autoplay: 1,
+                start: startSeconds || 0,
+                rel: 0,
+                playsinline: 1
+            },
+            events: {
+                onReady: function(event) {
+                    resolve(event.target);
+                },
+                onStateChange: function(event) {
+                    if (event.data === YT.PlayerState.PLAYING) {
+                        startTranscriptSync();
+                    } else {
+                        stopTranscriptSync();
+                    }
+                }
+            }
+        });
+    })).catch(error => {
+        container.classList.remove('video-loading');
+        embeddedPlayer.ready = null;
+        throw error;
+    });
+    
+    return embeddedPlayer.ready;
+}
+
+// Jump the embedded player to a time, falling back to YouTube if the API can't load. The fallback
+// runs after the click has been handled, when a new window would be stopped as a popup, so it
+// opens YouTube in this tab.
+function seekEmbeddedPlayer(seconds, fallbackHref) {
+    const alreadyOpen = embeddedPlayer.ready !== null;
+    
+    openEmbeddedPlayer(seconds)
+        .then(player => {
+            if (alreadyOpen) {
+                player.seekTo(seconds, true);
+                player.playVideo();
+            }
+            highlightTranscriptAt(seconds);
+            embeddedPlayer.container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        })
+        .catch(error => {
+            console.error('Embedded player unavailable:', error);
+            window.location.assign(fallbackHref || `https://youtu.be/${embeddedPlayer.videoId}?t=${seconds}`);
+        });
+}
+
+function startTranscriptSync() {
+    if (embeddedPlayer.syncTimer) return;
+    embeddedPlayer.syncTimer = setInterval(function() {
+        if (embeddedPlayer.player && embeddedPlayer.player.getCurrentTime) {
+            highlightTranscriptAt(embeddedPlayer.player.getCurrentTime());
+        }
+    }, 500);
+}
+
+function stopTranscriptSync() {
+    clearInterval(embeddedPlayer.syncTimer);
+    embeddedPlayer.syncTimer = null;
+}
+
+// Highlight the transcript entry being spoken and keep it in view
+function highlightTranscriptAt(seconds) {
+    let current = null;
+    embeddedPlayer.timeline.forEach(entry => {
+        if (entry.seconds <= seconds) current = entry;
+    });
+    
+    if (!current || current === embeddedPlayer.current) return;
+    
+    if (embeddedPlayer.current) {
+        embeddedPlayer.current.element.classList.remove('transcript-current');
+    }
+    current.element.classList.add('transcript-current');
+    embeddedPlayer.current = current;
+    
+    const transcript = document.querySelector('.transcript');
+    if (!transcript || Date.now() - embeddedPlayer.lastUserScroll < 5000) return;
+    
+    const offset = current.element.getBoundingClientRect().top - transcript.getBoundingClientRect().top;
+    transcript.scrollTo({
+        top: transcript.scrollTop + offset - transcript.clientHeight / 3,
+        behavior: 'smooth'
+    });
+}
+
+// Scroll to and highlight the transcript entry named by a #t=SECONDS hash
+function showTranscriptFromHash() {
+    const match = window.location.hash.match(/^#t=(\d+)$/);
+    const transcript = document.querySelector('.transcript');
+    if (!match || !transcript) return;
+    
+    // Treat the link as the reader's chosen position so sync scrolling doesn't fight the page scroll
+    embeddedPlayer.lastUserScroll = Date.now();
+    highlightTranscriptAt(parseInt(match[1], 10));
+    
+    const target = embeddedPlayer.current ? embeddedPlayer.current.element : transcript;
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Clicking a speaker's name highlights everything they said
+export function initializeSpeakerHighlight(root) {
+    const speakers = root.querySelectorAll('.transcript-speaker');
+    speakers.forEach(speaker => {
+        speaker.addEventListener('click', function() {
+            const speakerName = this.textContent;
+            
+            // First remove all highlights
+            speakers.forEach(s => {
+                s.parentElement.style.backgroundColor = '';
+            });
+
+            // Then highlight all lines from this speaker
+            speakers.forEach(s => {
+                if (s.textContent === speakerName) {
+                    s.parentElement.style.backgroundColor = 'rgba(99, 44, 166, 0.1)';
+                }
+            });
+        });
+    });
+}
+
+registerFeature('transcript', initializeTranscript);
+registerFeature('speaker-highlight', initializeSpeakerHighlight);
@@ -0,0 +1,79 @@
+// Reading episode (.recording-card) and resource (.resource-card) cards, shared by the sorting
+// and filtering features
+
+export function getFilterableCards() {
+    return Array.from(document.querySelectorAll('.recording-card, .resource-card'));
+}
+
+export function getCardEpisodeNumber(card) {
+    const link = card.querySelector('a[href]');
+    const match = link ? link.getAttribute('href').match(/ep(\d+)\.html/) : null;
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Episode cards list their presenters in data-presenters; for resources it's the source
+export function getCardPresenter(card) {
+    const presenters = card.getAttribute('data-presenters');
+    if (presenters) return presenters.split(',')[0].trim();
+    
+    const source = card.querySelector('.resource-source');
+    return source ? source.textContent.trim() : '';
+}
+
+// The card's date, or null (with a console warning) when it has none we can parse
+export function getCardDate(card) {
+    // Extract date from either recording-card or resource-card
+    const dateElement = card.querySelector('.recording-date') || card.querySelector('.resource-date');
+    const title = (card.querySelector('h2, h3') || card).textContent.trim();
+    if (!dateElement) {
+        console.warn(`Card "${title}" has no .recording-date or .resource-date`);
+        return null;
+    }
+    
+    const dateText = dateElement.textContent.trim();
+    
+    // Cards use "Month DD, YYYY" or an ISO 2025-04-14; parse those strictly, since new Date()
+    // also accepts things like "Spring 2025" and quietly turns them into January 1st.
+    // parseCardDate() in scripts/lib/time.js follows the same rules for the build and linter.
+    const parts = dateText.match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+    const iso = dateText.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    let year, month, day;
+    if (parts) {
+        [year, month, day] = [parseInt(parts[3], 10), getMonthNumber(parts[1]), parseInt(parts[2], 10)];
+    } else if (iso) {
+        [year, month, day] = [parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10)];
+    }
+    
+    if (month !== undefined) {
+        // new Date() would roll a day that doesn't exist (April 31) over into the next month
+        const date = new Date(year, month, day);
+        if (date.getMonth() === month && date.getDate() === day) return date;
+    }
+    
+    console.warn(`Card "${title}" has an unparseable date "${dateText}" (expected "Month DD, YYYY")`);
+    return null;
+}
+
+// Month name to number (0-11), or undefined for anything else
+export function getMonthNumber(monthName) {
+    const months = {
+        'January': 0, 'February': 1, 'March': 2, 'April': 3, 
+        'May': 4, 'June': 5, 'July': 6, 'August': 7,
+        'September': 8, 'October': 9, 'November': 10, 'December': 11
+    };
+    
+    return Object.prototype.hasOwnProperty.call(months, monthName) ? months[monthName] : undefined;
+}
+
+// Hide a group's heading when filters have hidden every card in it
+export function updateGroupHeadings() {
+    document.querySelectorAll('.card-group-heading').forEach(heading => {
+        let hasVisibleCard = false;
+        let sibling = heading.nextElementSibling;
+        while (sibling && !sibling.classList.contains('card-group-heading')) {
+            if (sibling.style.display !== 'none') hasVisibleCard = true;
+            sibling = sibling.nextElementSibling;
+        }
+        heading.style.display = hasVisibleCard ? '' : 'none';
+    });
+}
@@ -0,0 +1,64 @@
+// The visitor's choice about analytics: nothing (not asked yet), 'none', 'analytics' (Datadog
+// RUM) or 'all' (RUM and session replay). Kept in localStorage; a change is announced with a
+// `consentchange` event on window whose detail is the new choice.
+
+import { isInPagesDir } from './site.js';
+
+const CONSENT_KEY = 'aiToolsLab.consent';
+const CHOICES = ['none', 'analytics', 'all'];
+
+export function getConsent() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONSENT_KEY));
+        return saved && CHOICES.includes(saved.choice) ? saved.choice : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+export function saveConsent(choice) {
+    try {
+        localStorage.setItem(CONSENT_KEY, JSON.stringify({ choice, decidedAt: new Date().toISOString() }));
+    } catch (e) {
+        // Storage unavailable; the choice still applies to this page
+        console.warn('Could not save the privacy choice:', e);
+    }
+    window.dispatchEvent(new CustomEvent('consentchange', { detail: choice }));
+}
+
+// Asks once per visitor, and again from the footer's "Privacy settings". Nothing is collected
+// while it's open.
+export function showConsentBanner() {
+    const existing = document.querySelector('.consent-banner');
+    if (existing) {
+        existing.querySelector('button').focus();
+        return;
+    }
+
+    const privacyUrl = `${isInPagesDir() ? '' : 'pages/'}privacy.html`;
+    const banner = document.createElement('section');
+    banner.className = 'consent-banner';
+    banner.setAttribute('aria-labelledby', 'consent-banner-title');
+    banner.innerHTML = `
+        <h2 id="consent-banner-title">Your privacy</h2>
+        <p>May we measure how the site is used with Datadog Real User Monitoring? Session replay also
+        records your visit, with everything you type masked. Nothing is collected unless you agree.
+        <a href="${privacyUrl}">Privacy notice</a></p>
+        <div class="consent-actions">
+            <button type="button" class="btn" data-consent="all">Allow analytics and replay</button>
+            <button type="button" class="btn" data-consent="analytics">Analytics only</button>
+            <button type="button" class="btn" data-consent="none">No thanks</button>
+        </div>
+    `;
+
+    const current = getConsent();
+    banner.querySelectorAll('[data-consent]').forEach(button => {
+        if (button.getAttribute('data-consent') === current) button.setAttribute('aria-pressed', 'true');
+        button.addEventListener('click', function() {
+            banner.remove();
+            saveConsent(button.getAttribute('data-consent'));
+        });
+    });
+
+    document.body.appendChild(banner);
+}
@@ -0,0 +1,35 @@
+// JSON built by the scripts in scripts/ (manifests, search index, dictionary terms), fetched at
+// most once per page. A failed request is forgotten so the next caller can try again.
+
+import { getPathPrefix } from './site.js';
+
+const requests = new Map();
+
+// `path` is relative to the site root, e.g. "data/episodes.json". `prepare` runs once on the
+// parsed JSON, for callers that want to index it up front.
+export function loadJson(path, prepare = data => data) {
+    const url = new URL(`${getPathPrefix()}${path}`, window.location.href).href;
+    
+    if (!requests.has(url)) {
+        requests.set(url, fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`${path} request failed with status ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(prepare)
+            .catch(error => {
+                requests.delete(url);
+                throw error;
+            }));
+    }
+    return requests.get(url);
+}
+
+// Episode, resource and tool manifests (data/episodes.json, data/resources.json,
+// data/tools.json), built by scripts/build-manifest.js, and data/dictionary-terms.json from
+// scripts/build-dictionary.js
+export function loadManifest(name) {
+    return loadJson(`data/${name}.json`);
+}
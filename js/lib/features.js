@@ -0,0 +1,35 @@
+// Page features. Each module in js/features/ registers its features by name, and a page opts
+// in by listing them on the element they enhance:
+//
+//   <header class="site-header" data-feature="navigation site-search">
+//
+// startFeatures() runs each listed feature once per element, so pages only pay for what they use.
+
+const features = new Map();
+
+export function registerFeature(name, init) {
+    if (features.has(name)) {
+        throw new Error(`Feature "${name}" is already registered`);
+    }
+    features.set(name, init);
+}
+
+// Start every feature named by a [data-feature] element under root, in document order.
+// A feature that throws is reported and the rest still start.
+export function startFeatures(root = document) {
+    root.querySelectorAll('[data-feature]').forEach(element => {
+        element.getAttribute('data-feature').split(/\s+/).filter(Boolean).forEach(name => {
+            const init = features.get(name);
+            if (!init) {
+                console.warn(`Unknown data-feature "${name}"`, element);
+                return;
+            }
+            
+            try {
+                init(element);
+            } catch (error) {
+                console.error(`Feature "${name}" failed to start:`, error);
+            }
+        });
+    });
+}
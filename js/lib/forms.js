@@ -0,0 +1,237 @@
+// Forms described by their markup. Every named field is sent, under its name as a path:
+//
+//   <form data-event="User Feedback Submission" data-tag="answers.tool">
+//       <input name="user.email" type="email" required data-error-required="We need your email">
+//       <select name="answers.tool" data-options="tools">...</select>
+//       <input name="user.name" data-default="Anonymous">
+//
+// becomes { message: 'User Feedback Submission', ddtags: 'tool:cursor', user: { email, name },
+// answers: { tool }, ... }, so a new question is a new field and no JavaScript.
+//
+// Fields are checked with their own constraints (required, type, pattern, maxlength), plus the
+// validator named by data-validate (see registerValidator). Messages can be replaced with
+// data-error-required, data-error-type, data-error-pattern and data-error-length, and are shown
+// under the field.
+//
+// A group marked data-shown-by="<checkbox id>" is shown only while that checkbox is ticked;
+// until then its fields are disabled, so they are neither checked nor sent.
+//
+// Each event also says how the form was filled in, for the proxy's spam checks: the time since
+// the form was set up and whatever is in its [data-trap] field, an unnamed input people never
+// see (`submission: { elapsedMs, trap }`).
+
+import { loadManifest } from './data.js';
+
+const validators = new Map();
+const formStartTimes = new WeakMap();
+
+// `check(value, field)` returns why the value can't be accepted, or '' if it's fine
+export function registerValidator(name, check) {
+    validators.set(name, check);
+}
+
+// Turn off the browser's own error bubbles in favour of inline messages, re-check a field as
+// it's corrected, and fill [data-options] selects
+export function enhanceForm(form) {
+    form.noValidate = true;
+    formStartTimes.set(form, Date.now());
+
+    getFields(form).forEach(field => {
+        const recheck = function() {
+            if (field.getAttribute('aria-invalid') === 'true') validateField(field);
+        };
+        field.addEventListener('input', recheck);
+        field.addEventListener('change', recheck);
+    });
+
+    form.querySelectorAll('select[data-options]').forEach(populateOptions);
+    form.querySelectorAll('[data-shown-by]').forEach(group => followCheckbox(form, group));
+}
+
+function followCheckbox(form, group) {
+    const checkbox = document.getElementById(group.getAttribute('data-shown-by'));
+    if (!checkbox) {
+        console.warn(`No checkbox #${group.getAttribute('data-shown-by')} for data-shown-by`, group);
+        return;
+    }
+
+    const update = function() {
+        group.hidden = !checkbox.checked;
+        group.querySelectorAll('input, select, textarea').forEach(field => {
+            field.disabled = !checkbox.checked;
+        });
+    };
+    checkbox.addEventListener('change', update);
+    // The reset event comes before the fields are reset
+    form.addEventListener('reset', () => setTimeout(update, 0));
+    update();
+}
+
+// Check every field, showing or clearing its message; focuses the first problem.
+// Returns whether the form can be sent.
+export function validateForm(form) {
+    const invalid = getFields(form).filter(field => !validateField(field));
+    if (invalid.length > 0) invalid[0].focus();
+    return invalid.length === 0;
+}
+
+// The Datadog log event for a form: its data-event message, the data-tag field as ddtags, and
+// every named field
+export function buildFormEvent(form) {
+    const values = serializeForm(form);
+    return Object.assign({
+        message: form.getAttribute('data-event'),
+        ddsource: 'website',
+        ddtags: getFormTag(form, values),
+        hostname: window.location.hostname,
+        service: 'ai-tools-website',
+        status: 'info'
+    }, values, {
+        timestamp: new Date().toISOString(),
+        submission: getSubmissionDetails(form)
+    });
+}
+
+function getSubmissionDetails(form) {
+    const trap = form.querySelector('[data-trap]');
+    return {
+        elapsedMs: Date.now() - (formStartTimes.get(form) || Date.now()),
+        trap: trap ? trap.value : ''
+    };
+}
+
+// Every named field as a nested object ("user.name" -> { user: { name } }). Empty fields are
+// left out unless they have a data-default; several values under one name are joined.
+export function serializeForm(form) {
+    const values = {};
+    const data = new FormData(form);
+
+    Array.from(new Set(data.keys())).forEach(name => {
+        const field = form.elements.namedItem(name);
+        const fallback = field && field.getAttribute ? field.getAttribute('data-default') : null;
+        const value = data.getAll(name)
+            .filter(entry => typeof entry === 'string')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .join(', ') || fallback;
+
+        if (value) setPath(values, name, value);
+    });
+    return values;
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((parent, key) => {
+        if (!parent[key] || typeof parent[key] !== 'object') parent[key] = {};
+        return parent[key];
+    }, target)[last] = value;
+}
+
+function getPath(source, path) {
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), source);
+}
+
+// "answers.tool" -> "tool:cursor"; the proxy accepts one tag per event
+function getFormTag(form, values) {
+    const path = form.getAttribute('data-tag');
+    if (!path) return undefined;
+    const value = getPath(values, path);
+    return `${path.split('.').pop()}:${value || 'not_specified'}`;
+}
+
+function getFields(form) {
+    return Array.from(form.elements).filter(field => field.name && !field.disabled &&
+        field.tagName !== 'BUTTON' && field.tagName !== 'FIELDSET' && field.type !== 'hidden');
+}
+
+function validateField(field) {
+    field.setCustomValidity('');
+    const problem = getFieldProblem(field);
+    field.setCustomValidity(problem);
+    showFieldError(field, problem);
+    return !problem;
+}
+
+function getFieldProblem(field) {
+    const value = typeof field.value === 'string' ? field.value.trim() : field.value;
+    const validity = field.validity;
+
+    if (validity.valueMissing || (field.required && !value)) {
+        return field.getAttribute('data-error-required') ||
+            (field.tagName === 'SELECT' ? 'Please choose an option' : 'Please fill in this field');
+    }
+    if (!value) return '';
+
+    if (validity.typeMismatch) {
+        return field.getAttribute('data-error-type') || (field.type === 'email'
+            ? 'Please enter an email address, e.g. name@example.com'
+            : 'Please enter a full URL, e.g. https://example.com/article');
+    }
+    if (validity.patternMismatch) {
+        return field.getAttribute('data-error-pattern') || 'Please match the requested format';
+    }
+    // tooLong is only reported for typed input, so check the length directly
+    if (field.maxLength > 0 && value.length > field.maxLength) {
+        return field.getAttribute('data-error-length') || `Please keep this under ${field.maxLength} characters`;
+    }
+
+    const validatorName = field.getAttribute('data-validate');
+    if (validatorName) {
+        const check = validators.get(validatorName);
+        if (!check) {
+            console.warn(`Unknown data-validate "${validatorName}"`, field);
+            return '';
+        }
+        return check(value, field) || '';
+    }
+    return '';
+}
+
+// The message goes in a .field-error after the field, which describes it to screen readers
+function showFieldError(field, problem) {
+    const id = `${field.id || field.name.replace(/\W/g, '-')}-error`;
+    let message = document.getElementById(id);
+
+    if (!message) {
+        if (!problem) return;
+        message = document.createElement('p');
+        message.className = 'field-error';
+        message.id = id;
+        field.insertAdjacentElement('afterend', message);
+
+        const describedBy = field.getAttribute('aria-describedby');
+        field.setAttribute('aria-describedby', describedBy ? `${describedBy} ${id}` : id);
+    }
+
+    message.textContent = problem;
+    message.hidden = !problem;
+    if (problem) {
+        field.setAttribute('aria-invalid', 'true');
+    } else {
+        field.removeAttribute('aria-invalid');
+    }
+}
+
+// data-options="tools" adds an option per entry in data/tools.json's `tools` ({ id, label }),
+// before any option marked data-last. The options already in the markup stay if it can't load.
+function populateOptions(select) {
+    const name = select.getAttribute('data-options');
+    loadManifest(name)
+        .then(data => {
+            const entries = Array.isArray(data[name]) ? data[name] : [];
+            const last = select.querySelector('option[data-last]');
+            const existing = new Set(Array.from(select.options).map(option => option.value));
+
+            entries.filter(entry => !existing.has(entry.id)).forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = entry.label;
+                select.insertBefore(option, last);
+            });
+        })
+        .catch(error => {
+            console.warn(`Could not load the ${name} choices:`, error);
+        });
+}
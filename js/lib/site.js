@@ -0,0 +1,19 @@
+// Where the current page sits, and the site's settings: js/config.js, written at build time by
+// scripts/build-config.js, under anything in window.AI_TOOLS_LAB_CONFIG set by the host page
+// (scripts/dev-server.js injects one).
+
+import buildConfig from '../config.js';
+
+// Pages live in pages/; the root index.html only redirects there
+export function isInPagesDir() {
+    return window.location.pathname.includes('/pages/');
+}
+
+// Prefix for site-root paths such as data/ and images/
+export function getPathPrefix() {
+    return isInPagesDir() ? '../' : '';
+}
+
+export function getSiteConfig() {
+    return Object.assign({}, buildConfig, window.AI_TOOLS_LAB_CONFIG);
+}
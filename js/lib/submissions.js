@@ -0,0 +1,255 @@
+// Sending form submissions to the Datadog proxy (proxy/datadog-proxy.js), and keeping the ones
+// that can't be sent right now in localStorage to retry later
+
+import { getSiteConfig } from './site.js';
+import { showToast } from './toast.js';
+import { getChallengeHeaders } from './challenge.js';
+
+// Post a payload to the Datadog proxy; resolves with the parsed response, rejects on failure
+function sendToDatadog(payload, submitButton) {
+    // Display sending state
+    const originalButtonText = submitButton ? submitButton.textContent : '';
+    if (submitButton) {
+        submitButton.textContent = 'Sending...';
+        submitButton.disabled = true;
+    }
+    
+    const resetButton = function() {
+        if (submitButton) {
+            submitButton.textContent = originalButtonText;
+            submitButton.disabled = false;
+        }
+    };
+    
+    return SUBMISSION_TRANSPORTS[getSubmissionTransportName()](payload)
+    .then(result => {
+        resetButton();
+        
+        if (!result.ok) {
+            const error = new Error(`Failed to submit to Datadog: ${result.status} - ${result.text}`);
+            error.status = result.status;
+            throw error;
+        }
+        return result;
+    }, error => {
+        resetButton();
+        throw error;
+    });
+}
+
+// Where form submissions go. Pick one with ?transport=NAME (remembered for the tab; not in a
+// production build, where a shared link must not quietly stop submissions from reaching
+// Datadog) or window.AI_TOOLS_LAB_CONFIG = { transport: NAME }; scripts/dev-server.js sets
+// 'local'. Each transport resolves with { ok, status, text, json }.
+const SUBMISSION_TRANSPORTS = {
+    // Pretends the submission was accepted; nothing leaves the browser
+    mock: function() {
+        return new Promise(resolve => {
+            setTimeout(() => {
+                resolve({ ok: true, status: 202, text: '', json: { status: 'accepted', trackingId: 'MOCK' } });
+            }, 500);
+        });
+    },
+    // The proxy mounted by scripts/dev-server.js, which records logs to disk instead of sending them
+    local: function(payload) {
+        return postToProxy(getSiteConfig().localProxyUrl || 'http://localhost:8888/api/datadog', payload);
+    },
+    // The deployed Netlify function
+    production: function(payload) {
+        return postToProxy(getSiteConfig().proxyUrl || '/api/datadog', payload);
+    }
+};
+
+function getSubmissionTransportName() {
+    const config = getSiteConfig();
+    const name = (config.environment !== 'production' && getRequestedTransportName()) || config.transport || 'production';
+    if (!SUBMISSION_TRANSPORTS[name]) {
+        console.warn(`Unknown submission transport "${name}", using production`);
+        return 'production';
+    }
+    return name;
+}
+
+// The transport asked for with ?transport=NAME on this page or earlier in the tab, or null
+function getRequestedTransportName() {
+    const fromQuery = new URLSearchParams(window.location.search).get('transport');
+    try {
+        if (fromQuery) sessionStorage.setItem('aiToolsLab.transport', fromQuery);
+    } catch (e) {
+        // Storage unavailable; the query parameter still applies to this page
+    }
+    
+    let remembered = null;
+    try {
+        remembered = sessionStorage.getItem('aiToolsLab.transport');
+    } catch (e) {
+        remembered = null;
+    }
+    return fromQuery || remembered;
+}
+
+// POST to a proxy endpoint with a freshly solved challenge; non-2xx responses resolve too, so
+// the caller can inspect the status
+function postToProxy(url, payload) {
+    return getChallengeHeaders(url)
+    .then(challengeHeaders => fetch(url, {
+        method: 'POST',
+        headers: Object.assign({
+            'Content-Type': 'application/json'
+        }, challengeHeaders),
+        body: JSON.stringify([payload])
+    }))
+    .then(response => {
+        // Try to get response text even if not OK
+        return response.text().then(text => {
+            // Try to parse as JSON if possible
+            let jsonResponse = null;
+            try {
+                jsonResponse = JSON.parse(text);
+            } catch (e) {
+                // Not JSON, that's fine
+            }
+            
+            return { 
+                ok: response.ok, 
+                status: response.status, 
+                text: text,
+                json: jsonResponse
+            };
+        });
+    });
+}
+
+// Submissions that failed because of the network or a busy server wait in localStorage
+const SUBMISSION_QUEUE_KEY = 'aiToolsLab.pendingSubmissions';
+const SUBMISSION_RETRY_BASE_MS = 30 * 1000;
+const SUBMISSION_RETRY_MAX_MS = 60 * 60 * 1000;
+let submissionRetryTimer = null;
+
+// Send now if we can; resolves with { queued: true } when the payload was saved for a retry instead
+export function submitPayload(payload, submitButton) {
+    if (navigator.onLine === false && queueSubmission(payload)) {
+        return Promise.resolve({ queued: true });
+    }
+    
+    return sendToDatadog(payload, submitButton).catch(error => {
+        if (!isRetryableSubmissionError(error) || !queueSubmission(payload)) throw error;
+        return { queued: true };
+    });
+}
+
+// Network failures, rate limiting and server errors are worth retrying; validation errors are not
+function isRetryableSubmissionError(error) {
+    return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+function readSubmissionQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(SUBMISSION_QUEUE_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function writeSubmissionQueue(queue) {
+    try {
+        if (queue.length > 0) {
+            localStorage.setItem(SUBMISSION_QUEUE_KEY, JSON.stringify(queue));
+        } else {
+            localStorage.removeItem(SUBMISSION_QUEUE_KEY);
+        }
+        return true;
+    } catch (e) {
+        console.error('Could not save pending submissions:', e);
+        return false;
+    }
+}
+
+// Returns false when storage is unavailable, so the caller can tell the user it wasn't kept
+function queueSubmission(payload) {
+    const queue = readSubmissionQueue();
+    queue.push({ payload: payload, attempts: 0, nextAttemptAt: Date.now() });
+    const saved = writeSubmissionQueue(queue);
+    if (saved) scheduleSubmissionRetry(SUBMISSION_RETRY_BASE_MS);
+    return saved;
+}
+
+function scheduleSubmissionRetry(delay) {
+    clearTimeout(submissionRetryTimer);
+    submissionRetryTimer = setTimeout(flushSubmissionQueue, delay);
+}
+
+// Send every queued submission that is due, backing off exponentially on repeated failures
+function flushSubmissionQueue() {
+    if (flushSubmissionQueue.running || navigator.onLine === false) return;
+    
+    const now = Date.now();
+    const due = readSubmissionQueue().filter(item => item.nextAttemptAt <= now);
+    if (due.length === 0) {
+        scheduleNextSubmissionRetry();
+        return;
+    }
+    
+    flushSubmissionQueue.running = true;
+    
+    // One at a time, so the proxy's rate limit isn't hit by our own backlog
+    due.reduce((chain, item) => chain.then(() => sendToDatadog(item.payload)
+        .then(result => {
+            removeQueuedSubmission(item);
+            showToast(`Your saved ${describeSubmission(item.payload)} has been sent.${formatTrackingId(result)}`, 'success');
+        })
+        .catch(error => {
+            if (!isRetryableSubmissionError(error)) {
+                console.error('Dropping a saved submission the server rejected:', error);
+                removeQueuedSubmission(item);
+                showToast(`Your saved ${describeSubmission(item.payload)} could not be sent.`, 'error');
+                return;
+            }
+            const delay = Math.min(SUBMISSION_RETRY_BASE_MS * Math.pow(2, item.attempts), SUBMISSION_RETRY_MAX_MS);
+            updateQueuedSubmission(item, { attempts: item.attempts + 1, nextAttemptAt: Date.now() + delay });
+        })), Promise.resolve())
+        .then(() => {
+            flushSubmissionQueue.running = false;
+            scheduleNextSubmissionRetry();
+        });
+}
+
+function scheduleNextSubmissionRetry() {
+    const queue = readSubmissionQueue();
+    if (queue.length === 0) return;
+    const next = Math.min.apply(null, queue.map(item => item.nextAttemptAt));
+    scheduleSubmissionRetry(Math.max(next - Date.now(), 1000));
+}
+
+// Queue entries are matched by their payload's timestamp, which is unique per submission
+function removeQueuedSubmission(item) {
+    writeSubmissionQueue(readSubmissionQueue().filter(entry => entry.payload.timestamp !== item.payload.timestamp));
+}
+
+function updateQueuedSubmission(item, changes) {
+    writeSubmissionQueue(readSubmissionQueue().map(entry =>
+        entry.payload.timestamp === item.payload.timestamp ? Object.assign({}, entry, changes) : entry));
+}
+
+// What the toasts call a saved submission, going by its type (the proxy's event schemas)
+const SUBMISSION_NAMES = {
+    'User Feedback Submission': 'feedback',
+    'Resource Suggestion': 'resource suggestion',
+    'Data Request': 'data request'
+};
+
+function describeSubmission(payload) {
+    return SUBMISSION_NAMES[payload.message] || 'submission';
+}
+
+// " Your reference is ABC123." when the proxy returned a tracking ID
+export function formatTrackingId(result) {
+    const trackingId = result && result.json && result.json.trackingId;
+    return trackingId ? ` Your reference is ${trackingId}.` : '';
+}
+
+// Retry anything left over from an earlier visit, and again as soon as we're back online
+export function startSubmissionRetries() {
+    flushSubmissionQueue();
+    window.addEventListener('online', flushSubmissionQueue);
+}
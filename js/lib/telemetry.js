@@ -0,0 +1,59 @@
+// What people do on the site, sent to Datadog RUM as custom actions:
+//
+//   trackAction('timestamp click', { episode: 3, seconds: 754 })
+//
+// Nothing is sent unless RUM has been started, which features/analytics.js only does for
+// visitors who agreed to analytics; until then every call is a no-op. With ?telemetry=debug
+// (remembered for the tab, ?telemetry=off to stop) or window.AI_TOOLS_LAB_CONFIG =
+// { telemetryDebug: true }, each action is also logged to the console, whether or not it was
+// sent, so they can be checked without a Datadog account.
+//
+// Actions describe what was used, never what was typed into a form.
+
+import { getConsent } from './consent.js';
+import { getSiteConfig } from './site.js';
+
+const DEBUG_KEY = 'aiToolsLab.telemetry';
+
+export function trackAction(name, context = {}) {
+    const sending = isCollecting();
+    if (isDebugging()) {
+        console.info(`[telemetry] ${name}${sending ? '' : ' (not sent)'}`, context);
+    }
+    if (!sending) return;
+
+    try {
+        window.DD_RUM.addAction(name, context);
+    } catch (error) {
+        console.warn(`Could not send the "${name}" action:`, error);
+    }
+}
+
+// The episode a page or link is about (ep03.html -> 3), or null
+export function getEpisodeNumber(href = window.location.pathname) {
+    const match = (href || '').match(/ep(\d+)\.html/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// RUM is running (getInitConfiguration() is only set once init() has been called) and the
+// visitor still agrees to it
+function isCollecting() {
+    const rum = window.DD_RUM;
+    const consent = getConsent();
+    return (consent === 'analytics' || consent === 'all') && Boolean(rum) &&
+        typeof rum.addAction === 'function' &&
+        typeof rum.getInitConfiguration === 'function' && Boolean(rum.getInitConfiguration());
+}
+
+function isDebugging() {
+    const fromQuery = new URLSearchParams(window.location.search).get('telemetry');
+    try {
+        if (fromQuery === 'debug') sessionStorage.setItem(DEBUG_KEY, 'debug');
+        if (fromQuery === 'off') sessionStorage.removeItem(DEBUG_KEY);
+        if (sessionStorage.getItem(DEBUG_KEY) === 'debug') return true;
+    } catch (e) {
+        // Storage unavailable; the query parameter still applies to this page
+        if (fromQuery === 'debug') return true;
+    }
+    return fromQuery !== 'off' && getSiteConfig().telemetryDebug === true;
+}
@@ -0,0 +1,35 @@
+// Non-blocking status message; type is 'success', 'info' or 'error'
+export function showToast(message, type) {
+    let container = document.querySelector('.toast-container');
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'toast-container';
+        container.setAttribute('role', 'status');
+        container.setAttribute('aria-live', 'polite');
+        document.body.appendChild(container);
+    }
+    
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type || 'info'}`;
+    
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+    
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'toast-close';
+    closeButton.setAttribute('aria-label', 'Dismiss');
+    closeButton.textContent = '×';
+    toast.appendChild(closeButton);
+    
+    const dismiss = function() {
+        toast.classList.add('toast-hiding');
+        setTimeout(() => toast.remove(), 300);
+    };
+    closeButton.addEventListener('click', dismiss);
+    // Errors stay until dismissed
+    if (type !== 'error') setTimeout(dismiss, 8000);
+    
+    container.appendChild(toast);
+}
@@ -0,0 +1,20 @@
+// How resource links are compared, by the suggestion form (features/forms.js) and by
+// scripts/suggestions.js, which imports this module so the two can't drift apart
+
+// A key that's the same for two links to the same resource: the host in lower case without
+// www., the path without trailing slashes and the query without utm_* parameters, sorted. The
+// scheme, port and #fragment aren't part of it. Anything that isn't a URL is its own key.
+export function normalizeResourceUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const params = Array.from(parsed.searchParams.entries())
+            .filter(([key]) => !key.startsWith('utm_'))
+            .map(([key, value]) => `${key}=${value}`)
+            .sort();
+        return parsed.hostname.toLowerCase().replace(/^www\./, '') +
+            parsed.pathname.replace(/\/+$/, '') +
+            (params.length > 0 ? `?${params.join('&')}` : '');
+    } catch (e) {
+        return url;
+    }
+}
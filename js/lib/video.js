@@ -0,0 +1,62 @@
+// YouTube links and the play icon shared by episode pages and episode cards
+
+// An episode page's own video, which plays in-page rather than opening YouTube
+export const EPISODE_VIDEO_SELECTOR = '.episode-content .video-container, main > .video-container';
+
+// Extract the video ID from youtu.be/ID or youtube.com/watch?v=ID links
+export function getYouTubeVideoId(href) {
+    if (!href) return '';
+    if (href.includes('youtu.be/')) {
+        return href.split('youtu.be/')[1].split('?')[0];
+    }
+    if (href.includes('youtube.com/watch?v=')) {
+        return href.split('v=')[1].split('&')[0];
+    }
+    return '';
+}
+
+// Read the start time from a ?t=N (or &t=N) query parameter
+export function getSecondsFromHref(href) {
+    const match = (href || '').match(/[?&]t=(\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Add a play icon to a video container's link if it doesn't have one
+export function addPlayIcon(container) {
+    const link = container.querySelector('a');
+    if (!link || link.querySelector('.play-icon')) return;
+    
+    const playIcon = document.createElement('span');
+    playIcon.className = 'play-icon';
+    link.appendChild(playIcon);
+}
+
+let iframeApi = null;
+
+// Load the YouTube IFrame API once, on first use
+export function loadYouTubeIframeApi() {
+    if (window.YT && window.YT.Player) {
+        return Promise.resolve(window.YT);
+    }
+    
+    if (!iframeApi) {
+        iframeApi = new Promise((resolve, reject) => {
+            const previousCallback = window.onYouTubeIframeAPIReady;
+            window.onYouTubeIframeAPIReady = function() {
+                if (typeof previousCallback === 'function') previousCallback();
+                resolve(window.YT);
+            };
+            
+            const script = document.createElement('script');
+            script.src = 'https://www.youtube.com/iframe_api';
+            script.async = true;
+            script.onerror = function() {
+                iframeApi = null;
+                reject(new Error('Failed to load the YouTube IFrame API'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    
+    return iframeApi;
+}
@@ -0,0 +1,24 @@
+// Entry point for every page: <script type="module" src="../js/main.js"></script>
+//
+// Each feature module registers itself when imported; startFeatures() then runs the ones the
+// page asks for with data-feature (see lib/features.js).
+
+import './features/navigation.js';
+import './features/site-search.js';
+import './features/easter-egg.js';
+import './features/transcripts.js';
+import './features/thumbnails.js';
+import './features/filters.js';
+import './features/sorting.js';
+import './features/forms.js';
+import './features/manifests.js';
+import './features/dictionary.js';
+import './features/analytics.js';
+import { startFeatures } from './lib/features.js';
+import { startSubmissionRetries } from './lib/submissions.js';
+
+// Module scripts run after the document has been parsed, so there's no need to wait for DOMContentLoaded
+startFeatures(document);
+
+// Retry form submissions left over from an earlier visit
+startSubmissionRetries();
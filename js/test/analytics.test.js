@@ -0,0 +1,125 @@
+// Datadog RUM behind the consent banner (js/features/analytics.js, js/lib/consent.js)
+
+const CONSENT_KEY = 'aiToolsLab.consent';
+
+// What scripts/build-config.js writes when RUM is configured
+const config = {
+    rum: {
+        src: 'https://www.datadoghq-browser-agent.com/us1/v6/datadog-rum.js',
+        applicationId: 'test-application',
+        clientToken: 'pubtest',
+        site: 'datadoghq.com',
+        service: 'ai-labs',
+        env: 'test',
+        sessionSampleRate: 100,
+        sessionReplaySampleRate: 20,
+        defaultPrivacyLevel: 'mask-user-input'
+    }
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function sdkScripts(page) {
+    return Array.from(page.document.querySelectorAll('script[src*="datadog-rum"]'));
+}
+
+// Stands in for the SDK the page asked for, recording how it was started
+function loadFakeSdk(page) {
+    const calls = { init: [], replay: 0 };
+    page.window.DD_RUM = {
+        init: options => calls.init.push(options),
+        startSessionReplayRecording: () => { calls.replay++; }
+    };
+    sdkScripts(page).forEach(script => script.dispatchEvent(new page.window.Event('load')));
+    return calls;
+}
+
+function choose(page, choice) {
+    page.document.querySelector(`.consent-banner [data-consent="${choice}"]`).click();
+}
+
+function savedChoice(page) {
+    return JSON.parse(page.window.localStorage.getItem(CONSENT_KEY) || 'null');
+}
+
+export const scenarios = [
+    {
+        name: 'a first visit asks before loading anything',
+        page: 'ep01.html',
+        config,
+        run: page => {
+            const banner = page.document.querySelector('.consent-banner');
+            return Boolean(banner) && sdkScripts(page).length === 0 &&
+                banner.querySelector('a').getAttribute('href') === 'privacy.html';
+        }
+    },
+    {
+        name: '"No thanks" is remembered and loads nothing',
+        page: 'ep01.html',
+        config,
+        run: async page => {
+            choose(page, 'none');
+            await wait(10);
+            return !page.document.querySelector('.consent-banner') && sdkScripts(page).length === 0 &&
+                savedChoice(page).choice === 'none';
+        }
+    },
+    {
+        name: '"Analytics only" starts RUM without session replay',
+        page: 'ep01.html',
+        config,
+        run: async page => {
+            choose(page, 'analytics');
+            const injected = sdkScripts(page).length === 1;
+            const calls = loadFakeSdk(page);
+            await wait(10);
+            const options = calls.init[0] || {};
+            return injected && calls.init.length === 1 && options.applicationId === 'test-application' && !('src' in options) &&
+                options.sessionReplaySampleRate === 0 && options.startSessionReplayRecordingManually === true &&
+                calls.replay === 0 || [JSON.stringify(calls)];
+        }
+    },
+    {
+        name: 'a saved choice of everything starts RUM and replay without asking',
+        page: 'ep01.html',
+        config,
+        storage: { [CONSENT_KEY]: JSON.stringify({ choice: 'all', decidedAt: '2025-04-01T12:00:00.000Z' }) },
+        run: async page => {
+            const asked = Boolean(page.document.querySelector('.consent-banner'));
+            const calls = loadFakeSdk(page);
+            await wait(10);
+            return !asked && calls.init.length === 1 && calls.init[0].sessionReplaySampleRate === 20 &&
+                calls.replay === 1 || [JSON.stringify(calls)];
+        }
+    },
+    {
+        name: 'an unreadable saved choice is asked again',
+        page: 'ep01.html',
+        config,
+        storage: { [CONSENT_KEY]: '{"choice":"maybe"}' },
+        run: page => Boolean(page.document.querySelector('.consent-banner')) && sdkScripts(page).length === 0
+    },
+    {
+        name: 'a build without RUM settings never asks',
+        page: 'ep01.html',
+        run: page => !page.document.querySelector('.consent-banner') && sdkScripts(page).length === 0
+    },
+    {
+        name: 'pages that don\'t opt in never ask',
+        html: '<main class="container"><p>Nothing to measure here</p></main>',
+        config,
+        run: page => !page.document.querySelector('.consent-banner')
+    },
+    {
+        name: 'the footer\'s privacy settings reopen the banner with the current choice marked',
+        page: 'about.html',
+        config,
+        storage: { [CONSENT_KEY]: JSON.stringify({ choice: 'none', decidedAt: '2025-04-01T12:00:00.000Z' }) },
+        run: page => {
+            const askedFirst = Boolean(page.document.querySelector('.consent-banner'));
+            page.document.querySelector('[data-feature="privacy-settings"]').click();
+            const pressed = page.document.querySelector('.consent-banner [aria-pressed="true"]');
+            return !askedFirst && Boolean(pressed) && pressed.getAttribute('data-consent') === 'none';
+        }
+    }
+];
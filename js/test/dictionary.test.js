@@ -0,0 +1,111 @@
+// Dictionary term links and the dictionary page search (js/features/dictionary.js)
+
+import { fakeFetch } from '../../scripts/lib/dom-page.js';
+
+const terms = {
+    version: 1,
+    terms: [
+        { term: 'Large Language Model', slug: 'large-language-model', definition: 'A model trained on lots of text.', aliases: [{ text: 'Large Language Model', exact: false }, { text: 'LLM', exact: true }] },
+        { term: 'Attention', slug: 'attention', definition: 'Weighing parts of the input.', aliases: [{ text: 'Attention', exact: false }] },
+        { term: 'Multi-Head Attention', slug: 'multi-head-attention', definition: 'Several attention heads at once.', aliases: [{ text: 'Multi-Head Attention', exact: false }] }
+    ]
+};
+
+const episode = `
+    <main data-feature="dictionary-terms">
+        <div class="episode-content">
+            <h1>LLM news</h1>
+            <p>Every LLM uses multi-head attention. Another LLM, more attention.</p>
+            <p>Llm in lowercase is not the acronym.</p>
+        </div>
+    </main>
+`;
+
+const resourceCard = `
+    <main data-feature="dictionary-terms">
+        <div class="resource-card">
+            <a href="https://example.com" aria-describedby="existing">
+                <div class="resource-card-content"><p>How LLMs work</p></div>
+            </a>
+        </div>
+    </main>
+`;
+
+function refs(page) {
+    return Array.from(page.document.querySelectorAll('.dictionary-term-link')).map(link => link.textContent);
+}
+
+function search(page, query) {
+    const input = page.document.getElementById('search-term');
+    input.value = query;
+    input.dispatchEvent(new page.window.Event('input'));
+    return Array.from(page.document.querySelectorAll('.dictionary-term'))
+        .filter(term => term.style.display !== 'none')
+        .map(term => term.id.replace(/^term-/, ''));
+}
+
+export const scenarios = [
+    {
+        name: 'links the first mention of each term, longest name first, skipping headings',
+        html: episode,
+        fetch: fakeFetch({ 'data/dictionary-terms.json': terms }),
+        run: page => {
+            const linked = refs(page);
+            return linked.join('|') === 'LLM|multi-head attention|attention' ? [] : linked;
+        }
+    },
+    {
+        name: 'term links point at the dictionary entry and are described by the definition',
+        html: episode,
+        fetch: fakeFetch({ 'data/dictionary-terms.json': terms }),
+        run: page => {
+            const link = page.document.querySelector('a.dictionary-term-link');
+            const tooltip = page.document.getElementById(link.getAttribute('aria-describedby'));
+            return link.getAttribute('href') === 'dictionary.html#term-large-language-model' &&
+                tooltip.getAttribute('role') === 'tooltip' && tooltip.textContent.includes('trained on lots of text');
+        }
+    },
+    {
+        name: 'inside a card link the term is highlighted and the card link is described instead',
+        html: resourceCard,
+        fetch: fakeFetch({ 'data/dictionary-terms.json': terms }),
+        run: page => {
+            const card = page.document.querySelector('.resource-card a');
+            return refs(page).join('|') === 'LLMs' && !page.document.querySelector('a a') &&
+                card.getAttribute('aria-describedby') === 'existing dictionary-term-large-language-model';
+        }
+    },
+    {
+        name: 'pages still work when the terms can\'t be loaded',
+        html: episode,
+        fetch: fakeFetch({}),
+        run: page => refs(page).length === 0 &&
+            page.logs.some(entry => entry.level === 'warn' && String(entry.args[0]).includes('Dictionary terms unavailable'))
+    },
+    {
+        name: 'the dictionary search finds a term by its acronym',
+        page: 'dictionary.html',
+        run: page => {
+            const found = search(page, 'rag');
+            return found.includes('rag-retrieval-augmented-generation') && !found.includes('average') || [found.join(', ')];
+        }
+    },
+    {
+        name: 'the dictionary search forgives a typo and reports how many it shows',
+        page: 'dictionary.html',
+        run: page => {
+            const found = search(page, 'tranformer');
+            const status = page.document.querySelector('.dictionary-search-status').textContent;
+            return found.includes('transformer') && /\d/.test(status) || [found.join(', '), status];
+        }
+    },
+    {
+        name: 'clearing the search shows every term again',
+        page: 'dictionary.html',
+        run: page => {
+            const total = page.document.querySelectorAll('.dictionary-term').length;
+            search(page, 'transformer');
+            return search(page, '').length === total;
+        }
+    }
+];
@@ -0,0 +1,50 @@
+// Footer easter egg (js/features/easter-egg.js)
+
+const markup = `
+    <span id="easter-egg" class="easter-egg" data-feature="easter-egg">π</span>
+    <div id="easter-egg-modal" class="easter-egg-modal">
+        <div class="easter-egg-modal-content">
+            <span class="easter-egg-close">&times;</span>
+            <p>Sandy?</p>
+        </div>
+    </div>
+`;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export const scenarios = [
+    {
+        name: 'clicking π shows the modal',
+        html: markup,
+        run: async page => {
+            page.document.getElementById('easter-egg').click();
+            await wait(20);
+            const modal = page.document.getElementById('easter-egg-modal');
+            return modal.style.display === 'flex' && modal.classList.contains('show');
+        }
+    },
+    {
+        name: 'the close button and the backdrop hide it again',
+        html: markup,
+        run: async page => {
+            const modal = page.document.getElementById('easter-egg-modal');
+            page.document.getElementById('easter-egg').click();
+            page.document.querySelector('.easter-egg-close').click();
+            await wait(320);
+            const closedByButton = modal.style.display === 'none';
+
+            page.document.getElementById('easter-egg').click();
+            await wait(20);
+            modal.click();
+            return closedByButton && !modal.classList.contains('show');
+        }
+    },
+    {
+        name: 'a page without the modal is left alone',
+        html: '<span id="easter-egg" data-feature="easter-egg">π</span>',
+        run: page => {
+            page.document.getElementById('easter-egg').click();
+            return page.logs.every(entry => entry.level !== 'error');
+        }
+    }
+];
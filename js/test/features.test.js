@@ -0,0 +1,56 @@
+// Feature registration and start-up (js/lib/features.js)
+
+import { registerFeature, startFeatures } from '../lib/features.js';
+
+const started = [];
+registerFeature('test-record', element => started.push(element.id));
+registerFeature('test-throws', () => {
+    throw new Error('broken on purpose');
+});
+
+export const scenarios = [
+    {
+        name: 'starts each listed feature once per element, in document order',
+        html: '<div id="a" data-feature="test-record"></div><div id="b" data-feature="  test-record "></div>',
+        run: page => {
+            const ids = started.splice(0);
+            return ids.join(',') === 'a,b' ? [] : [`started ${ids.join(',')}`];
+        }
+    },
+    {
+        name: 'a feature that throws is reported and the rest still start',
+        html: '<div id="c" data-feature="test-throws test-record"></div>',
+        run: page => {
+            const ids = started.splice(0);
+            const reported = page.logs.some(entry => entry.level === 'error' && String(entry.args[0]).includes('Feature "test-throws" failed to start'));
+            return ids.join(',') === 'c' && reported;
+        }
+    },
+    {
+        name: 'an unknown feature name is a warning',
+        html: '<div data-feature="no-such-feature"></div>',
+        run: page => page.logs.some(entry => entry.level === 'warn' && String(entry.args[0]).includes('Unknown data-feature "no-such-feature"'))
+    },
+    {
+        name: 'registering a name twice throws',
+        html: '',
+        run: () => {
+            try {
+                registerFeature('test-record', () => {});
+            } catch (error) {
+                return /already registered/.test(error.message);
+            }
+            return false;
+        }
+    },
+    {
+        name: 'starting again under a root only touches that root',
+        html: '<div id="outside" data-feature="test-record"></div><section><div id="inside" data-feature="test-record"></div></section>',
+        run: page => {
+            started.splice(0);
+            startFeatures(page.document.querySelector('section'));
+            const ids = started.splice(0);
+            return ids.join(',') === 'inside' ? [] : [`started ${ids.join(',')}`];
+        }
+    }
+];
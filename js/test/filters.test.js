@@ -0,0 +1,130 @@
+// Tag and category filters, and the observations filters (js/features/filters.js)
+
+const filters = `
+    <div class="filter-container" data-feature="tag-filters">
+        <div class="episodes-filters">
+            <select id="episode-category-filter">
+                <option value="all">All Categories</option>
+                <option value="demo">Demos</option>
+                <option value="guide">Guides</option>
+            </select>
+            <div class="tag-buttons">
+                <button class="tag-filter active" data-tag="all">All Tags</button>
+                <button class="tag-filter" data-tag="mcp">MCP</button>
+                <button class="tag-filter" data-tag="cursor">Cursor</button>
+                <button class="tag-filter" data-tag="sora">Sora</button>
+            </div>
+        </div>
+    </div>
+    <div class="recording-grid">
+        <div class="recording-card" id="one" data-category="demo" data-tags="mcp,cursor"></div>
+        <div class="recording-card" id="two" data-category="guide" data-tags="mcp"></div>
+        <div class="recording-card" id="three" data-category="demo" data-tags="cursor"></div>
+    </div>
+`;
+
+function visibleCards(page) {
+    return Array.from(page.document.querySelectorAll('.recording-card'))
+        .filter(card => card.style.display !== 'none')
+        .map(card => card.id)
+        .join(',');
+}
+
+function clickTag(page, tag) {
+    page.document.querySelector(`.tag-filter[data-tag="${tag}"]`).click();
+}
+
+const observations = `
+    <main data-feature="observation-filters">
+        <div class="mobile-tab active" data-view="takeaways">Takeaways</div>
+        <input type="text" id="observationSearch">
+        <div class="filter-item active" data-filter="tool" data-value="all">All</div>
+        <div class="filter-item" data-filter="tool" data-value="cursor">Cursor</div>
+        <div class="filter-item active" data-filter="concept" data-value="all">All</div>
+        <div class="filter-item" data-filter="concept" data-value="testing">Testing</div>
+        <button id="resetFilters">Reset</button>
+        <div class="takeaway-card" id="a" data-tools="cursor" data-concepts="testing">Cursor writes tests</div>
+        <div class="takeaway-card" id="b" data-tools="sora" data-concepts="video">Sora makes video</div>
+        <div class="empty-state" id="emptyState"><button class="reset-filters">Reset</button></div>
+    </main>
+`;
+
+function visibleTakeaways(page) {
+    return Array.from(page.document.querySelectorAll('.takeaway-card'))
+        .filter(card => card.style.display !== 'none')
+        .map(card => card.id)
+        .join(',');
+}
+
+export const scenarios = [
+    {
+        name: 'a tag shows the cards carrying it and goes into the URL',
+        html: filters,
+        run: page => {
+            clickTag(page, 'cursor');
+            return visibleCards(page) === 'one,three' && page.window.location.search === '?tags=cursor';
+        }
+    },
+    {
+        name: '"any" mode shows cards with either tag, "all" mode only those with both',
+        html: filters,
+        run: page => {
+            clickTag(page, 'cursor');
+            clickTag(page, 'mcp');
+            const any = visibleCards(page);
+            page.document.querySelector('.tag-mode-option[data-mode="all"]').click();
+            return any === 'one,two,three' && visibleCards(page) === 'one' &&
+                page.window.location.search === '?tags=mcp,cursor&mode=all';
+        }
+    },
+    {
+        name: 'a shared link restores the selection, dropping tags the page doesn\'t have',
+        html: filters,
+        path: '/pages/index.html?tags=mcp,nope&category=demo',
+        run: page => visibleCards(page) === 'one' &&
+            page.document.getElementById('episode-category-filter').value === 'demo' &&
+            page.window.location.search === '?tags=mcp&category=demo'
+    },
+    {
+        name: 'tags count the cards they would leave and mark the ones that leave none',
+        html: filters,
+        run: page => {
+            const count = tag => page.document.querySelector(`.tag-filter[data-tag="${tag}"] .tag-count`).textContent;
+            return count('all') === '3' && count('mcp') === '2' && count('cursor') === '2' &&
+                page.document.querySelector('.tag-filter[data-tag="sora"]').classList.contains('no-matches');
+        }
+    },
+    {
+        name: '"All Tags" clears the selection',
+        html: filters,
+        run: page => {
+            clickTag(page, 'sora');
+            const none = visibleCards(page);
+            clickTag(page, 'all');
+            return none === '' && visibleCards(page) === 'one,two,three' && page.window.location.search === '';
+        }
+    },
+    {
+        name: 'observation filters combine tool, concept and search',
+        html: observations,
+        run: page => {
+            page.document.querySelector('[data-filter="tool"][data-value="cursor"]').click();
+            const byTool = visibleTakeaways(page);
+            const search = page.document.getElementById('observationSearch');
+            search.value = 'video';
+            search.dispatchEvent(new page.window.Event('input'));
+            return byTool === 'a' && visibleTakeaways(page) === '' &&
+                page.document.getElementById('emptyState').style.display === 'block';
+        }
+    },
+    {
+        name: 'resetting the observation filters shows everything again',
+        html: observations,
+        run: page => {
+            page.document.querySelector('[data-filter="concept"][data-value="testing"]').click();
+            page.document.querySelector('.empty-state .reset-filters').click();
+            return visibleTakeaways(page) === 'a,b' &&
+                page.document.querySelector('[data-filter="concept"][data-value="all"]').classList.contains('active');
+        }
+    }
+];
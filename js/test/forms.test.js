@@ -0,0 +1,324 @@
+// Feedback, resource suggestion and data request forms (js/features/forms.js), sent through
+// lib/submissions.js
+
+import { startSubmissionRetries } from '../lib/submissions.js';
+
+const accepted = { status: 'accepted', trackingId: 'ABC123' };
+
+const tools = { version: 1, tools: [{ id: 'cursor', label: 'Cursor' }, { id: 'n8n', label: 'n8n' }] };
+
+// Answers the proxy with `status` and remembers what was posted, with its challenge headers.
+// data/tools.json and an easy challenge are served too.
+function proxy(status, posted) {
+    return (url, options) => {
+        if (String(url).endsWith('data/tools.json')) {
+            return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(tools) });
+        }
+        if (String(url).endsWith('/challenge')) {
+            return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ challenge: 'test-challenge', difficulty: 4 }) });
+        }
+        posted.push({ url: String(url), headers: options.headers, body: JSON.parse(options.body) });
+        return Promise.resolve({
+            ok: status >= 200 && status < 300,
+            status,
+            text: () => Promise.resolve(JSON.stringify(status === 202 ? accepted : { error: 'nope' }))
+        });
+    };
+}
+
+function fill(page, values) {
+    Object.keys(values).forEach(id => {
+        page.document.getElementById(id).value = values[id];
+    });
+}
+
+// Ticks "You may contact me", which shows the name and email fields
+function askToBeContacted(page) {
+    const checkbox = page.document.getElementById('feedback-contact');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new page.window.Event('change'));
+}
+
+// Waits long enough for the challenge to be solved and the post to be answered
+function submit(page, form) {
+    form.dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+    return new Promise(resolve => setTimeout(resolve, 100));
+}
+
+function errors(page) {
+    return Array.from(page.document.querySelectorAll('.field-error'))
+        .filter(message => !message.hidden)
+        .map(message => message.textContent);
+}
+
+function toast(page) {
+    const element = page.document.querySelector('.toast');
+    return element ? element.textContent : '';
+}
+
+const feedbackPosts = [];
+const suggestionPosts = [];
+const requestPosts = [];
+const mockPosts = [];
+
+export const scenarios = [
+    {
+        name: 'feedback is posted to the proxy and the form is cleared',
+        page: 'about.html',
+        fetch: proxy(202, feedbackPosts),
+        run: async page => {
+            askToBeContacted(page);
+            fill(page, { name: 'Ada', email: 'ada@example.com', tool: 'cursor', feedback: 'More please' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            const post = feedbackPosts.pop();
+            const event = post.body[0];
+            return post.url.endsWith('/api/datadog') &&
+                event.message === 'User Feedback Submission' && event.ddtags === 'tool:cursor' &&
+                event.user.email === 'ada@example.com' && event.feedback === 'More please' &&
+                event.answers.tool === 'cursor' &&
+                page.document.getElementById('feedback').value === '' &&
+                toast(page).includes('Thank you for your feedback! Your reference is ABC123.');
+        }
+    },
+    {
+        name: 'every named field is sent, including questions the script doesn\'t know about',
+        page: 'about.html',
+        fetch: proxy(202, feedbackPosts),
+        run: async page => {
+            fill(page, { 'ai-tool-interest': '  Agents  ', feedback: 'More please' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            const event = feedbackPosts.pop().body[0];
+            return event.answers['ai-tool-interest'] === 'Agents' && !('tool' in event.answers) &&
+                event.ddtags === 'tool:not_specified' || [JSON.stringify(event)];
+        }
+    },
+    {
+        name: 'tool choices come from data/tools.json, with "Other" kept last',
+        page: 'about.html',
+        fetch: proxy(202, feedbackPosts),
+        run: page => {
+            const options = Array.from(page.document.getElementById('tool').options).map(option => option.value);
+            return options.join(',') === ',cursor,n8n,other' || [options.join(',')];
+        }
+    },
+    {
+        name: 'missing fields are reported under each one and nothing is sent',
+        page: 'about.html',
+        fetch: proxy(202, feedbackPosts),
+        run: async page => {
+            const sent = feedbackPosts.length;
+            askToBeContacted(page);
+            fill(page, { email: 'not an email' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            const email = page.document.getElementById('email');
+            return feedbackPosts.length === sent &&
+                errors(page).join('|') === 'Please write your feedback before sending|Please enter an email address, e.g. name@example.com' &&
+                email.getAttribute('aria-invalid') === 'true' && email.getAttribute('aria-describedby') === 'email-error' &&
+                page.document.activeElement === page.document.getElementById('feedback') || [errors(page).join('|')];
+        }
+    },
+    {
+        name: 'correcting a field clears its message',
+        page: 'about.html',
+        run: async page => {
+            askToBeContacted(page);
+            await submit(page, page.document.getElementById('datadog-form'));
+            const email = page.document.getElementById('email');
+            email.value = 'ada@example.com';
+            email.dispatchEvent(new page.window.Event('input'));
+            return !email.hasAttribute('aria-invalid') && page.document.getElementById('email-error').hidden &&
+                errors(page).length === 1;
+        }
+    },
+    {
+        name: 'each post carries a solved challenge and how the form was filled in',
+        page: 'about.html',
+        fetch: proxy(202, feedbackPosts),
+        run: async page => {
+            fill(page, { name: 'Ada', email: 'ada@example.com', feedback: 'More please' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            const post = feedbackPosts.pop();
+            const bytes = new Uint8Array(await crypto.subtle.digest('SHA-256',
+                new TextEncoder().encode(`test-challenge:${post.headers['X-Challenge-Solution']}`)));
+            const event = post.body[0];
+            return post.headers['X-Challenge'] === 'test-challenge' && bytes[0] < 16 &&
+                typeof event.submission.elapsedMs === 'number' && event.submission.trap === '';
+        }
+    },
+    {
+        name: 'the honeypot\'s contents are sent, not its answer',
+        page: 'about.html',
+        fetch: proxy(202, feedbackPosts),
+        run: async page => {
+            fill(page, { name: 'Bot', email: 'bot@example.com', feedback: 'Buy now', 'feedback-website': 'https://spam.example' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            const event = feedbackPosts.pop().body[0];
+            return event.submission.trap === 'https://spam.example' && !('website' in event) &&
+                !JSON.stringify(event.answers || {}).includes('spam.example');
+        }
+    },
+    {
+        name: 'a rejected submission keeps the form and shows an error',
+        page: 'about.html',
+        fetch: proxy(400, feedbackPosts),
+        run: async page => {
+            fill(page, { name: 'Ada', email: 'ada@example.com', feedback: 'More please' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            return page.document.getElementById('feedback').value === 'More please' &&
+                toast(page).includes('There was a problem submitting your feedback');
+        }
+    },
+    {
+        name: 'a server error queues the submission for later',
+        page: 'about.html',
+        fetch: proxy(503, feedbackPosts),
+        run: async page => {
+            fill(page, { name: 'Ada', email: 'ada@example.com', feedback: 'More please' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            const queue = JSON.parse(page.window.localStorage.getItem('aiToolsLab.pendingSubmissions') || '[]');
+            return queue.length === 1 && toast(page).includes('saved and will be sent automatically');
+        }
+    },
+    {
+        name: 'nothing the visitor typed is written to the console',
+        page: 'about.html',
+        fetch: proxy(202, []),
+        run: async page => {
+            fill(page, { name: 'Ada Lovelace', email: 'ada@example.com', feedback: 'More please' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            const logged = page.logs.map(entry => entry.args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+            return logged.filter(line => /ada@example\.com|Ada Lovelace|More please/.test(line));
+        }
+    },
+    {
+        name: '?transport=mock keeps submissions in the browser outside production',
+        page: 'about.html',
+        path: '/pages/about.html?transport=mock',
+        fetch: proxy(202, mockPosts),
+        run: async page => {
+            fill(page, { name: 'Ada', email: 'ada@example.com', feedback: 'More please' });
+            page.document.getElementById('datadog-form').dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+            await new Promise(resolve => setTimeout(resolve, 600));
+            return mockPosts.length === 0 && toast(page).includes('Your reference is MOCK.') &&
+                page.window.sessionStorage.getItem('aiToolsLab.transport') === 'mock';
+        }
+    },
+    {
+        name: 'a production build ignores ?transport= and posts to the proxy',
+        page: 'about.html',
+        path: '/pages/about.html?transport=mock',
+        config: { environment: 'production' },
+        fetch: proxy(202, feedbackPosts),
+        run: async page => {
+            page.window.sessionStorage.setItem('aiToolsLab.transport', 'local');
+            fill(page, { name: 'Ada', email: 'ada@example.com', feedback: 'More please' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            const post = feedbackPosts.pop();
+            return Boolean(post) && post.url.endsWith('/api/datadog') && toast(page).includes('Your reference is ABC123.');
+        }
+    },
+    {
+        name: 'a saved data request is called one when it is sent later',
+        html: '<main class="container"></main>',
+        storage: {
+            'aiToolsLab.pendingSubmissions': JSON.stringify([{
+                payload: { message: 'Data Request', timestamp: '2025-04-01T12:00:00.000Z', user: { email: 'ada@example.com' }, request: { type: 'export' } },
+                attempts: 0,
+                nextAttemptAt: 0
+            }])
+        },
+        fetch: proxy(202, []),
+        run: async page => {
+            startSubmissionRetries();
+            await new Promise(resolve => setTimeout(resolve, 100));
+            return toast(page).includes('Your saved data request has been sent. Your reference is ABC123.') || [toast(page)];
+        }
+    },
+    {
+        name: 'the suggestion form opens from its button',
+        page: 'resources.html',
+        run: page => {
+            page.document.getElementById('suggest-resource-btn').click();
+            return !page.document.getElementById('resource-form').classList.contains('hidden') &&
+                page.document.activeElement === page.document.querySelector('#resource-form input');
+        }
+    },
+    {
+        name: 'a resource already in the library is turned away before sending',
+        page: 'resources.html',
+        fetch: proxy(202, suggestionPosts),
+        run: async page => {
+            const existing = page.document.querySelector('.resource-card > a[href]').getAttribute('href');
+            fill(page, { 'resource-title': 'Again', 'resource-url': `${existing}?utm_source=newsletter` });
+            await submit(page, page.document.getElementById('resource-suggestion-form'));
+            const message = page.document.getElementById('resource-url').validationMessage;
+            return suggestionPosts.length === 0 && message.includes('already in the library') &&
+                errors(page).includes(message);
+        }
+    },
+    {
+        name: 'a new resource is posted as a suggestion',
+        page: 'resources.html',
+        fetch: proxy(202, suggestionPosts),
+        run: async page => {
+            fill(page, {
+                'resource-title': 'A new guide',
+                'resource-url': 'https://example.com/new-guide',
+                'resource-source': 'Example',
+                'resource-category': 'tutorials',
+                'resource-description': 'Worth reading'
+            });
+            await submit(page, page.document.getElementById('resource-suggestion-form'));
+            const event = (suggestionPosts.pop() || { body: [{}] }).body[0];
+            return event.message === 'Resource Suggestion' && event.ddtags === 'category:tutorials' &&
+                event.resource.url === 'https://example.com/new-guide' && event.resource.source === 'Example' &&
+                event.user.name === 'Anonymous' && event.user.email === 'Not provided' &&
+                page.document.getElementById('resource-form').classList.contains('hidden');
+        }
+    },
+    {
+        name: 'name and email are only asked for, and sent, when the visitor asks to be contacted',
+        page: 'about.html',
+        fetch: proxy(202, feedbackPosts),
+        run: async page => {
+            const details = page.document.getElementById('feedback-contact-details');
+            const hiddenAtFirst = details.hidden;
+            askToBeContacted(page);
+            const shown = !details.hidden;
+            fill(page, { name: 'Ada', email: 'ada@example.com', feedback: 'More please' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            const optedIn = feedbackPosts.pop().body[0].user;
+
+            fill(page, { name: 'Ada', email: 'ada@example.com', feedback: 'More please' });
+            await submit(page, page.document.getElementById('datadog-form'));
+            const notOptedIn = feedbackPosts.pop().body[0].user;
+            return hiddenAtFirst && shown && details.hidden &&
+                optedIn.contact === 'yes' && optedIn.name === 'Ada' && optedIn.email === 'ada@example.com' &&
+                notOptedIn === undefined && !page.document.getElementById('feedback-contact').checked ||
+                [JSON.stringify({ optedIn, notOptedIn })];
+        }
+    },
+    {
+        name: 'a data request is posted with its type as the tag',
+        page: 'privacy.html',
+        fetch: proxy(202, requestPosts),
+        run: async page => {
+            fill(page, { 'request-email': 'ada@example.com', 'request-type': 'delete', 'request-details': 'All of it' });
+            await submit(page, page.document.getElementById('data-request-form'));
+            const event = (requestPosts.pop() || { body: [{}] }).body[0];
+            return event.message === 'Data Request' && event.ddtags === 'type:delete' &&
+                event.user.email === 'ada@example.com' && event.request.details === 'All of it' &&
+                toast(page).includes("We've received your request") || [JSON.stringify(event)];
+        }
+    },
+    {
+        name: 'a data request needs an email address and a type',
+        page: 'privacy.html',
+        fetch: proxy(202, requestPosts),
+        run: async page => {
+            await submit(page, page.document.getElementById('data-request-form'));
+            return requestPosts.length === 0 && errors(page).length === 2 &&
+                errors(page)[0] === 'We need the email address you used on the site';
+        }
+    }
+];
@@ -0,0 +1,69 @@
+// Content rendered from data/episodes.json and data/resources.json (js/features/manifests.js)
+
+import { fakeFetch } from '../../scripts/lib/dom-page.js';
+
+const episodes = {
+    version: 1,
+    latest: 'ep02',
+    tags: { mcp: 'MCP', cursor: 'Cursor' },
+    episodes: [
+        { id: 'ep02', number: 2, title: 'Second <Episode>', description: 'Two', path: 'pages/ep02.html', thumbnailPath: 'images/thumbnails/ep02.png', displayDate: 'March 2, 2025', category: 'demo', tags: ['mcp'], presenters: ['Jason Hand'] },
+        { id: 'ep01', number: 1, title: 'First Episode', description: 'One', path: 'pages/ep01.html', thumbnailPath: '', displayDate: 'January 5, 2025', category: 'guide', tags: ['cursor'], presenters: ['Ryan MacLean'] }
+    ]
+};
+
+const sharedRequests = [];
+
+const featured = `
+    <section id="featured-episode" data-feature="manifest" data-manifest="episodes">
+        <div class="featured-episode-container"><p>Fallback</p></div>
+    </section>
+`;
+
+export const scenarios = [
+    {
+        name: 'the featured block shows the latest episode',
+        html: featured,
+        fetch: fakeFetch({ 'data/episodes.json': episodes }),
+        run: page => {
+            const container = page.document.querySelector('.featured-episode-container');
+            return container.querySelector('h3').textContent === 'Latest Episode: Second <Episode>' &&
+                container.querySelector('a').getAttribute('href') === '../pages/ep02.html' &&
+                container.querySelector('.tag').textContent === 'MCP';
+        }
+    },
+    {
+        name: 'an empty grid is filled, up to data-limit cards',
+        html: '<div class="recording-grid" data-feature="manifest" data-manifest="episodes" data-limit="1"></div>',
+        fetch: fakeFetch({ 'data/episodes.json': episodes }),
+        run: page => {
+            const cards = page.document.querySelectorAll('.recording-card');
+            return cards.length === 1 && cards[0].getAttribute('data-tags') === 'mcp' &&
+                Boolean(cards[0].querySelector('.featured-badge'));
+        }
+    },
+    {
+        name: 'a grid that already has cards is left as it is',
+        html: '<div class="recording-grid" data-feature="manifest" data-manifest="episodes"><div class="recording-card" id="kept"></div></div>',
+        fetch: fakeFetch({ 'data/episodes.json': episodes }),
+        run: page => page.document.querySelectorAll('.recording-card').length === 1 && Boolean(page.document.getElementById('kept'))
+    },
+    {
+        name: 'the fallback markup stays when the manifest can\'t be loaded',
+        html: featured,
+        fetch: fakeFetch({}),
+        run: page => page.document.querySelector('.featured-episode-container').textContent.trim() === 'Fallback' &&
+            page.logs.some(entry => entry.level === 'warn' && String(entry.args[0]).includes('Could not render from episodes.json'))
+    },
+    {
+        name: 'two blocks on one page share a single request',
+        html: featured + '<div class="recording-grid" data-feature="manifest" data-manifest="episodes"></div>',
+        fetch: fakeFetch({ 'data/episodes.json': episodes }, sharedRequests),
+        run: page => sharedRequests.length === 1 && page.document.querySelectorAll('.recording-card').length === 2
+    },
+    {
+        name: 'an unknown manifest name is a warning',
+        html: '<div data-feature="manifest" data-manifest="podcasts"></div>',
+        run: page => page.logs.some(entry => entry.level === 'warn' && String(entry.args[0]).includes('Unknown data-manifest "podcasts"'))
+    }
+];
@@ -0,0 +1,50 @@
+// Mobile navigation (js/features/navigation.js). The keyboard and axe checks on real pages
+// live in scripts/a11y-harness.js.
+
+const header = `
+    <header class="site-header" data-feature="navigation">
+        <div class="container">
+            <nav>
+                <ul>
+                    <li><a href="index.html" class="active">Home</a></li>
+                    <li><a href="about.html">About</a></li>
+                </ul>
+            </nav>
+        </div>
+    </header>
+`;
+
+export const scenarios = [
+    {
+        name: 'adds a toggle that controls the nav',
+        html: header,
+        run: page => {
+            const toggle = page.document.querySelector('.hamburger-menu');
+            const nav = page.document.querySelector('nav');
+            return toggle.getAttribute('aria-controls') === 'site-navigation' &&
+                nav.id === 'site-navigation' &&
+                nav.getAttribute('aria-label') === 'Main' &&
+                page.document.querySelector('a.active').getAttribute('aria-current') === 'page';
+        }
+    },
+    {
+        name: 'keeps an existing nav id',
+        html: header.replace('<nav>', '<nav id="primary">'),
+        run: page => page.document.querySelector('.hamburger-menu').getAttribute('aria-controls') === 'primary'
+    },
+    {
+        name: 'following a link closes the drawer',
+        html: header,
+        run: page => {
+            page.document.querySelector('.hamburger-menu').click();
+            const opened = page.document.body.classList.contains('menu-open');
+            page.document.querySelector('nav a[href="about.html"]').click();
+            return opened && !page.document.querySelector('nav').classList.contains('open');
+        }
+    },
+    {
+        name: 'does nothing on a header without a nav',
+        html: '<header class="site-header" data-feature="navigation"><div class="container"></div></header>',
+        run: page => !page.document.querySelector('.hamburger-menu') && !page.document.querySelector('.menu-overlay')
+    }
+];
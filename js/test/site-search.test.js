@@ -0,0 +1,92 @@
+// Header search (js/features/site-search.js)
+
+import { fakeFetch } from '../../scripts/lib/dom-page.js';
+import { searchDocuments } from '../features/site-search.js';
+
+const header = `
+    <header class="site-header" data-feature="site-search">
+        <div class="container"><nav><a href="index.html">Home</a></nav></div>
+    </header>
+`;
+
+const index = {
+    documents: [
+        { type: 'transcript', title: 'Episode 4 transcript', context: 'Episode 4', text: 'We tried Cursor rules today', url: 'ep04.html#t=60' },
+        { type: 'episode', title: 'Cursor Rules', context: 'Episode 12', text: 'Writing rules for Cursor', url: 'ep12.html' },
+        { type: 'resource', title: 'Prompt guide', context: 'Resource', text: 'Prompting <tips>', url: 'https://example.com/guide' }
+    ]
+};
+
+function documents() {
+    return index.documents.map(doc => Object.assign({}, doc, {
+        titleLower: doc.title.toLowerCase(),
+        textLower: `${doc.context} ${doc.text}`.toLowerCase()
+    }));
+}
+
+// Type into the box and wait out the debounce and the index request
+async function search(page, query) {
+    const input = page.document.querySelector('.site-search-input');
+    input.focus();
+    input.value = query;
+    input.dispatchEvent(new page.window.Event('input'));
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await new Promise(resolve => setImmediate(resolve));
+    return page.document.querySelector('.site-search-results');
+}
+
+export const scenarios = [
+    {
+        name: 'title matches rank above body matches',
+        html: '',
+        run: () => {
+            const results = searchDocuments(documents(), 'cursor rules').map(doc => doc.url);
+            return results[0] === 'ep12.html' && results.includes('ep04.html#t=60') && !results.includes('https://example.com/guide');
+        }
+    },
+    {
+        name: 'every word has to match',
+        html: '',
+        run: () => searchDocuments(documents(), 'cursor prompting').length === 0
+    },
+    {
+        name: 'shows results under the box and links them from the pages directory',
+        html: header,
+        fetch: fakeFetch({ 'data/search-index.json': index }),
+        run: async page => {
+            const results = await search(page, 'cursor');
+            const links = Array.from(results.querySelectorAll('a')).map(link => link.getAttribute('href'));
+            return !results.hidden && links[0] === 'ep12.html' &&
+                page.document.querySelector('.site-search-input').getAttribute('aria-expanded') === 'true';
+        }
+    },
+    {
+        name: 'links from the site root go into pages/, external links open in a new tab',
+        html: header,
+        path: '/index.html',
+        fetch: fakeFetch({ 'data/search-index.json': index }),
+        run: async page => {
+            const results = await search(page, 'prompt');
+            const link = results.querySelector('a');
+            return link.getAttribute('href') === 'https://example.com/guide' && link.getAttribute('target') === '_blank' &&
+                link.querySelector('.site-search-snippet').innerHTML.includes('&lt;tips&gt;');
+        }
+    },
+    {
+        name: 'a failed index request says search is unavailable',
+        html: header,
+        fetch: fakeFetch({ 'data/search-index.json': 500 }),
+        run: async page => (await search(page, 'cursor')).textContent.includes('Search is unavailable')
+    },
+    {
+        name: 'Escape hides the results',
+        html: header,
+        fetch: fakeFetch({ 'data/search-index.json': index }),
+        run: async page => {
+            const results = await search(page, 'cursor');
+            page.document.querySelector('.site-search-input')
+                .dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+            return results.hidden;
+        }
+    }
+];
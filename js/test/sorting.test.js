@@ -0,0 +1,108 @@
+// Card sorting and grouping (js/features/sorting.js)
+
+import { getCardDate } from '../lib/cards.js';
+import { parseCardDate } from '../../scripts/lib/time.js';
+
+function card(number, date, title, category) {
+    return `
+        <div class="recording-card" data-category="${category}">
+            <a href="ep${number}.html">
+                <div class="recording-card-content">
+                    <h3>${title}</h3>
+                    <span class="recording-date">${date}</span>
+                </div>
+            </a>
+        </div>`;
+}
+
+const grid = `
+    <div class="episodes-filters">
+        <select id="episode-category-filter">
+            <option value="all">All Categories</option>
+            <option value="demo">Demos</option>
+            <option value="guide">Guides</option>
+        </select>
+    </div>
+    <main data-feature="card-sorting">
+        <div class="recording-grid">
+            ${card('01', 'January 5, 2025', 'Bravo', 'demo')}
+            ${card('03', 'March 2, 2025', 'Alpha', 'guide')}
+            ${card('02', 'January 20, 2025', 'Charlie', 'demo')}
+            ${card('04', 'Spring 2025', 'Delta', '')}
+        </div>
+    </main>
+`;
+
+function order(page) {
+    return Array.from(page.document.querySelectorAll('.recording-grid > *'))
+        .map(element => element.classList.contains('card-group-heading') ? `[${element.textContent}]` : element.querySelector('h3').textContent)
+        .join(',');
+}
+
+function choose(page, id, value) {
+    const select = page.document.getElementById(id);
+    select.value = value;
+    select.dispatchEvent(new page.window.Event('change'));
+}
+
+// Dates the page sorts by and the build (manifests, linter) reads must be the same dates
+const cardDates = ['April 14, 2025', 'April 14 2025', 'Sept. 3, 2025', 'September. 3, 2025', 'april 14, 2025',
+    'APRIL 14, 2025', 'Apr 14, 2025', 'April 31, 2025', 'April 32, 2025', 'April 0, 2025', 'February 29, 2024',
+    'February 29, 2025', 'constructor 1, 2025', '2025-04-14', '2025-02-30', '2025-13-01', '2025-4-14', 'Spring 2025', ''];
+
+function isoDate(date) {
+    return date && [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+}
+
+export const scenarios = [
+    {
+        name: 'newest first by default, undated cards last',
+        html: grid,
+        run: page => order(page) === 'Alpha,Charlie,Bravo,Delta' ||
+            [order(page)]
+    },
+    {
+        name: 'getCardDate() and the build\'s parseCardDate() accept the same dates',
+        html: cardDates.map(date => card('01', date, date, '')).join(''),
+        run: page => Array.from(page.document.querySelectorAll('.recording-card'))
+            .map(element => {
+                const text = element.querySelector('.recording-date').textContent;
+                return { text, page: isoDate(getCardDate(element)), build: parseCardDate(text) };
+            })
+            .filter(date => date.page !== date.build)
+            .map(date => `"${date.text}": page ${date.page}, build ${date.build}`)
+    },
+    {
+        name: 'an unparseable date is a warning',
+        html: grid,
+        run: page => page.logs.some(entry => entry.level === 'warn' && String(entry.args[0]).includes('Delta'))
+    },
+    {
+        name: 'sorts by episode number and by title',
+        html: grid,
+        run: page => {
+            choose(page, 'card-sort', 'episode');
+            const byNumber = order(page);
+            choose(page, 'card-sort', 'title');
+            return byNumber === 'Bravo,Charlie,Alpha,Delta' && order(page) === 'Alpha,Bravo,Charlie,Delta' ||
+                [byNumber, order(page)];
+        }
+    },
+    {
+        name: 'groups by month and by category, using the filter\'s labels',
+        html: grid,
+        run: page => {
+            choose(page, 'card-group', 'month');
+            const byMonth = order(page);
+            choose(page, 'card-group', 'category');
+            return byMonth === '[March 2025],Alpha,[January 2025],Charlie,Bravo,[Undated],Delta' &&
+                order(page) === '[Demos],Charlie,Bravo,[Guides],Alpha,[Uncategorized],Delta' ||
+                [byMonth, order(page)];
+        }
+    },
+    {
+        name: 'the controls go in with the filters',
+        html: grid,
+        run: page => Boolean(page.document.querySelector('.episodes-filters .sort-control #card-sort'))
+    }
+];
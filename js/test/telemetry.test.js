@@ -0,0 +1,234 @@
+// RUM custom actions for what people do on the site (js/lib/telemetry.js)
+
+import { fakeFetch } from '../../scripts/lib/dom-page.js';
+
+const agreed = { 'aiToolsLab.consent': JSON.stringify({ choice: 'analytics', decidedAt: '2025-04-01T12:00:00.000Z' }) };
+
+const episode = `
+    <main class="container" data-feature="transcript">
+        <div class="video-container">
+            <a href="https://youtu.be/abc123" target="_blank"><img src="thumb.png" alt="Episode"></a>
+        </div>
+        <div class="episode-content">
+            <ul class="chapter-markers">
+                <li><a href="https://youtu.be/abc123?t=300" target="_blank">Demo</a></li>
+            </ul>
+            <div class="transcript">
+                <pre>
+<span class="transcript-timestamp">[00:00:05]</span> <span class="transcript-speaker">Jason Hand:</span> Hello.
+<span class="transcript-timestamp">[01:05]</span> <span class="transcript-speaker">Ryan MacLean:</span> Hi.
+                </pre>
+            </div>
+        </div>
+    </main>
+`;
+
+const episodeCards = `
+    <main data-feature="video-thumbnails">
+        <div class="recording-card">
+            <div class="video-container"><a href="ep02.html" target="_blank"><img src="ep02.png" alt=""></a></div>
+        </div>
+    </main>
+`;
+
+const filters = `
+    <div class="filter-container" data-feature="tag-filters">
+        <div class="tag-buttons">
+            <button class="tag-filter active" data-tag="all">All Tags</button>
+            <button class="tag-filter" data-tag="mcp">MCP</button>
+        </div>
+    </div>
+    <div class="recording-grid">
+        <div class="recording-card" data-tags="mcp,cursor"></div>
+        <div class="recording-card" data-tags="cursor"></div>
+    </div>
+`;
+
+const header = `
+    <header class="site-header" data-feature="site-search">
+        <div class="container"><nav><a href="index.html">Home</a></nav></div>
+    </header>
+`;
+
+const searchIndex = {
+    documents: [
+        { type: 'episode', title: 'Cursor Rules', context: 'Episode 12', text: 'Writing rules for Cursor', url: 'ep12.html' },
+        { type: 'resource', title: 'Prompt guide', context: 'Resource', text: 'Prompting tips', url: 'https://example.com/guide' }
+    ]
+};
+
+// Stands in for a started RUM SDK, recording the actions it's given
+function startFakeRum(page) {
+    const actions = [];
+    page.window.DD_RUM = {
+        addAction: (name, context) => actions.push({ name, context }),
+        getInitConfiguration: () => ({ applicationId: 'test-application' })
+    };
+    return actions;
+}
+
+function click(page, selector) {
+    page.document.querySelector(selector).dispatchEvent(new page.window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 }));
+}
+
+// A proxy that hands out an easy challenge and turns every submission away
+function rejectingProxy(url) {
+    if (String(url).endsWith('/challenge')) {
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ challenge: 'test-challenge', difficulty: 0 }) });
+    }
+    return Promise.resolve({ ok: false, status: 400, text: () => Promise.resolve('{"error":"nope"}') });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export const scenarios = [
+    {
+        name: 'nothing is sent without consent, even with RUM running',
+        html: episode,
+        path: '/pages/ep07.html',
+        run: page => {
+            const actions = startFakeRum(page);
+            click(page, '.transcript .timestamp-link');
+            return actions.length === 0;
+        }
+    },
+    {
+        name: 'nothing is sent before RUM has been started',
+        html: episode,
+        path: '/pages/ep07.html',
+        storage: agreed,
+        run: page => {
+            click(page, '.transcript .timestamp-link');
+            const actions = [];
+            page.window.DD_RUM = { addAction: name => actions.push(name), getInitConfiguration: () => undefined };
+            click(page, '.transcript .timestamp-link');
+            return actions.length === 0 && !page.logs.some(entry => entry.level === 'warn');
+        }
+    },
+    {
+        name: 'timestamp and chapter clicks report the episode and the second',
+        html: episode,
+        path: '/pages/ep07.html',
+        storage: agreed,
+        run: page => {
+            const actions = startFakeRum(page);
+            page.document.querySelectorAll('.transcript .timestamp-link')[1].dispatchEvent(
+                new page.window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 }));
+            click(page, '.chapter-markers a');
+            const sent = actions.map(action => `${action.name} ${JSON.stringify(action.context)}`);
+            return sent.join('|') === [
+                'timestamp click {"episode":7,"seconds":65,"source":"transcript"}',
+                'timestamp click {"episode":7,"seconds":300,"source":"chapter"}'
+            ].join('|') || sent;
+        }
+    },
+    {
+        name: 'playing the episode video in the page is a video open',
+        html: episode,
+        path: '/pages/ep07.html',
+        storage: agreed,
+        run: page => {
+            const actions = startFakeRum(page);
+            click(page, '.video-container img');
+            return actions.length === 1 && actions[0].name === 'video open' &&
+                JSON.stringify(actions[0].context) === '{"episode":7,"video":"abc123","from":"episode page"}';
+        }
+    },
+    {
+        name: 'opening a video from an episode card reports which episode',
+        html: episodeCards,
+        storage: agreed,
+        run: page => {
+            const actions = startFakeRum(page);
+            click(page, '.video-container img');
+            return actions.length === 1 && actions[0].name === 'video open' &&
+                JSON.stringify(actions[0].context) === '{"episode":2,"video":null,"from":"card"}';
+        }
+    },
+    {
+        name: 'a filter change reports the selection and how many cards are left',
+        html: filters,
+        storage: agreed,
+        run: page => {
+            const actions = startFakeRum(page);
+            click(page, '.tag-filter[data-tag="mcp"]');
+            return actions.length === 1 && actions[0].name === 'filter change' &&
+                JSON.stringify(actions[0].context) === '{"filter":"tags","tags":["mcp"],"mode":"any","category":"all","results":1}' ||
+                [JSON.stringify(actions)];
+        }
+    },
+    {
+        name: 'a search is reported once, after the reader stops typing',
+        html: header,
+        storage: agreed,
+        fetch: fakeFetch({ 'data/search-index.json': searchIndex }),
+        run: async page => {
+            const actions = startFakeRum(page);
+            const input = page.document.querySelector('.site-search-input');
+            for (const query of ['cu', 'cursor']) {
+                input.value = query;
+                input.dispatchEvent(new page.window.Event('input'));
+                await wait(200);
+            }
+            await wait(1100);
+            return actions.length === 1 && actions[0].name === 'search' &&
+                JSON.stringify(actions[0].context) === '{"query":"cursor","results":1}' || [JSON.stringify(actions)];
+        }
+    },
+    {
+        name: 'form outcomes are reported with the error status, and without the answers',
+        page: 'about.html',
+        storage: agreed,
+        fetch: rejectingProxy,
+        run: async page => {
+            const actions = startFakeRum(page);
+            const form = page.document.getElementById('datadog-form');
+            form.dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+
+            page.document.getElementById('name').value = 'Ada';
+            page.document.getElementById('email').value = 'ada@example.com';
+            page.document.getElementById('feedback').value = 'More please';
+            form.dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+            await wait(100);
+
+            const sent = actions.map(action => `${action.name} ${JSON.stringify(action.context)}`);
+            return sent.join('|') === [
+                'form submit {"form":"User Feedback Submission","outcome":"invalid"}',
+                'form submit {"form":"User Feedback Submission","outcome":"failed","status":400}'
+            ].join('|') || sent;
+        }
+    },
+    {
+        name: 'the about page starts RUM itself and reports its form',
+        page: 'about.html',
+        storage: agreed,
+        config: { rum: { src: 'https://www.datadoghq-browser-agent.com/us1/v6/datadog-rum.js', applicationId: 'test-application', clientToken: 'pubtest' } },
+        run: async page => {
+            // Stands in for the SDK initializeAnalytics() asked for, until init() the way the real one is
+            const actions = [];
+            let started = null;
+            page.window.DD_RUM = {
+                init: options => { started = options; },
+                getInitConfiguration: () => started,
+                addAction: (name, context) => actions.push({ name, context })
+            };
+            page.document.querySelectorAll('script[src*="datadog-rum"]').forEach(script => script.dispatchEvent(new page.window.Event('load')));
+            await wait(10);
+
+            page.document.getElementById('datadog-form').dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+            return Boolean(started) && actions.length === 1 && actions[0].name === 'form submit' &&
+                JSON.stringify(actions[0].context) === '{"form":"User Feedback Submission","outcome":"invalid"}' || [JSON.stringify(actions)];
+        }
+    },
+    {
+        name: 'debug mode logs actions locally, even when they aren\'t sent',
+        html: episode,
+        path: '/pages/ep07.html?telemetry=debug',
+        run: page => {
+            click(page, '.chapter-markers a');
+            const logged = page.logs.find(entry => entry.level === 'info' && String(entry.args[0]).startsWith('[telemetry]'));
+            return Boolean(logged) && logged.args[0] === '[telemetry] timestamp click (not sent)' &&
+                logged.args[1].seconds === 300 && page.window.sessionStorage.getItem('aiToolsLab.telemetry') === 'debug';
+        }
+    }
+];
@@ -0,0 +1,70 @@
+// Resource card and video thumbnails (js/features/thumbnails.js)
+
+const resourceGrid = `
+    <main data-feature="resource-cards">
+        <div class="resource-grid">
+            <div class="resource-card">
+                <a href="https://example.com/article" target="_blank">
+                    <div class="resource-card-image"><img src="../images/resources/article.webp" alt="Article"></div>
+                    <div class="resource-card-content">
+                        <h2>An Article</h2>
+                        <p>About things.</p>
+                        <div class="resource-meta">
+                            <span class="resource-date">March 3, 2025</span>
+                            <span class="resource-source">Example</span>
+                        </div>
+                    </div>
+                </a>
+            </div>
+        </div>
+    </main>
+`;
+
+const episodeGrid = `
+    <main data-feature="video-thumbnails">
+        <div class="video-container"><a href="https://youtu.be/own"><img src="own.png" alt=""></a></div>
+        <div class="recording-grid">
+            <div class="recording-card">
+                <div class="video-container"><a href="ep02.html"><img src="ep02.png" alt=""></a></div>
+            </div>
+            <div class="recording-card">
+                <div class="video-container"><a href="https://youtu.be/xyz" target="_blank"><img src="ep03.png" alt=""><span class="play-icon"></span></a></div>
+            </div>
+        </div>
+    </main>
+`;
+
+export const scenarios = [
+    {
+        name: 'resource titles are hidden visually and each image gets its bubbles',
+        html: resourceGrid,
+        run: page => page.document.querySelector('.resource-card-content h2').classList.contains('visually-hidden') &&
+            page.document.querySelectorAll('.resource-card-image .bubble').length === 4
+    },
+    {
+        name: 'cards with a generated thumbnail keep it',
+        html: resourceGrid,
+        run: page => page.document.querySelector('.resource-card-image img').getAttribute('src') === '../images/resources/article.webp'
+    },
+    {
+        name: 'every video thumbnail gets exactly one play icon',
+        html: episodeGrid,
+        run: page => Array.from(page.document.querySelectorAll('.video-container a'))
+            .every(link => link.querySelectorAll('.play-icon').length === 1)
+    },
+    {
+        name: 'card thumbnails are one link, and clicks around it go to that link',
+        html: episodeGrid,
+        run: page => {
+            const containers = page.document.querySelectorAll('.video-container');
+            const link = containers[2].querySelector('a');
+            let clicks = 0;
+            link.addEventListener('click', e => { clicks++; e.preventDefault(); });
+            containers[2].click();
+            return Array.from(containers).every(container => !container.hasAttribute('role')) &&
+                containers[1].querySelector('a').getAttribute('aria-label') === 'Watch video' &&
+                !containers[0].querySelector('a').hasAttribute('aria-label') &&
+                clicks === 1 && page.opened.length === 0;
+        }
+    }
+];
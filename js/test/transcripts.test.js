@@ -0,0 +1,85 @@
+// Episode transcripts and the in-page player (js/features/transcripts.js)
+
+const episode = `
+    <main class="container" data-feature="transcript">
+        <div class="video-container">
+            <a href="https://youtu.be/abc123" target="_blank"><img src="thumb.png" alt="Episode"></a>
+        </div>
+        <div class="episode-content">
+            <ul class="chapter-markers">
+                <li><a href="https://youtu.be/abc123?t=65" target="_blank">Intro</a></li>
+            </ul>
+            <div class="transcript">
+                <pre>
+<span class="transcript-timestamp">[00:00:05]</span> <span class="transcript-speaker">Jason Hand:</span> Hello.
+<span class="transcript-timestamp">[01:05]</span> <span class="transcript-speaker">Ryan MacLean:</span> Hi.
+<span class="transcript-timestamp">[1:02:03]</span> <span class="transcript-speaker">Jason Hand:</span> Bye.
+<span class="transcript-timestamp">soon</span> <span class="transcript-speaker">Ryan MacLean:</span> Later.
+                </pre>
+            </div>
+        </div>
+    </main>
+`;
+
+function timestampLinks(page) {
+    return Array.from(page.document.querySelectorAll('.transcript .timestamp-link'));
+}
+
+export const scenarios = [
+    {
+        name: 'timestamps link to that point in the video',
+        html: episode,
+        run: page => {
+            const links = timestampLinks(page).map(link => `${link.dataset.seconds} ${link.getAttribute('href')}`);
+            const expected = ['5 https://youtu.be/abc123?t=5', '65 https://youtu.be/abc123?t=65', '3723 https://youtu.be/abc123?t=3723'];
+            return links.join('|') === expected.join('|') ? [] : links;
+        }
+    },
+    {
+        name: 'an unrecognised timestamp is left as text with a warning',
+        html: episode,
+        run: page => page.logs.some(entry => entry.level === 'warn' && String(entry.args[0]).includes('Unrecognized transcript timestamp')) &&
+            !Array.from(page.document.querySelectorAll('.transcript-timestamp')).pop().closest('a')
+    },
+    {
+        name: 'the episode video\'s link is its play control',
+        html: episode,
+        run: page => {
+            const container = page.document.querySelector('.video-container');
+            return !container.hasAttribute('role') && container.querySelector('a').getAttribute('aria-label') === 'Play video';
+        }
+    },
+    {
+        name: 'when the player can\'t load, the video opens in this tab rather than a blocked popup',
+        html: episode,
+        run: async page => {
+            page.window.YT = { Player: function() { throw new Error('Player blocked'); } };
+            page.document.querySelector('.video-container img').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            return page.opened.length === 0 && page.navigations === 1;
+        }
+    },
+    {
+        name: 'a #t= hash highlights the transcript entry being spoken then',
+        html: episode,
+        path: '/pages/ep99.html#t=70',
+        run: page => {
+            const current = page.document.querySelector('.transcript-current');
+            return Boolean(current) && current.dataset.seconds === '65';
+        }
+    },
+    {
+        name: 'a page without a video still gets plain timestamps',
+        html: '<main data-feature="transcript"><div class="transcript"><pre><span class="transcript-timestamp">[00:01]</span> Hi</pre></div></main>',
+        run: page => timestampLinks(page).length === 0 && page.logs.every(entry => entry.level !== 'error')
+    },
+    {
+        name: 'clicking a speaker highlights their lines',
+        html: '<main data-feature="speaker-highlight"><div class="transcript"><p><span class="transcript-speaker">Jason Hand:</span> Hello.</p><p><span class="transcript-speaker">Ryan MacLean:</span> Hi.</p></div></main>',
+        run: page => {
+            const speakers = page.document.querySelectorAll('.transcript-speaker');
+            speakers[1].click();
+            return speakers[0].parentElement.style.backgroundColor === '' && speakers[1].parentElement.style.backgroundColor !== '';
+        }
+    }
+];
@@ -0,0 +1,34 @@
+// Comparing resource links (js/lib/urls.js), shared by the suggestion form and scripts/suggestions.js
+
+import { normalizeResourceUrl } from '../lib/urls.js';
+
+function sameKeys(urls) {
+    return new Set(urls.map(normalizeResourceUrl)).size === 1 || urls.map(normalizeResourceUrl);
+}
+
+export const scenarios = [
+    {
+        name: 'www., case, trailing slashes, fragments, ports, the scheme and utm_* parameters don\'t matter',
+        html: '',
+        run: () => sameKeys([
+            'https://example.com/guide?b=2&a=1',
+            'http://WWW.Example.com/guide/?a=1&b=2',
+            'https://www.example.com:8443/guide//?utm_source=news&a=1&b=2#setup',
+            'https://example.com/guide?a=1&utm_campaign=spring&b=2#top'
+        ])
+    },
+    {
+        name: 'the path and the other query parameters do',
+        html: '',
+        run: () => {
+            const keys = ['https://example.com/guide', 'https://example.com/Guide', 'https://example.com/guide?page=2', 'https://docs.example.com/guide']
+                .map(normalizeResourceUrl);
+            return new Set(keys).size === keys.length || keys;
+        }
+    },
+    {
+        name: 'something that isn\'t a URL is compared as it is',
+        html: '',
+        run: () => normalizeResourceUrl('example.com/guide') === 'example.com/guide'
+    }
+];
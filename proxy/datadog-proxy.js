@@ -1,77 +1,652 @@
 // A simple Netlify serverless function to proxy requests to Datadog
 // This will be deployed to /.netlify/functions/datadog-proxy
+//
+// Only the events the site's forms send (User Feedback Submission, Resource Suggestion, Data
+// Request) are forwarded. Each event is checked against its schema and rebuilt from the known fields only,
+// so nothing else can be pushed to the logs intake on our API key.
+//
+// Spam is kept out without a third-party CAPTCHA: every POST carries the solution to a
+// proof-of-work challenge, submissions that fill the form's hidden honeypot field or arrive
+// too soon after the form was opened are dropped, and the rest are tagged with a spam score.
+//
+// Personal data is kept out of the logs unless the person asked to be contacted: their name is
+// dropped, their email address is replaced by a keyed hash (so a data request can still find
+// their submissions, see scripts/privacy-request.js) and addresses, phone, card and IP numbers
+// in what they wrote are masked.
+//
+//   POST    /api/datadog             forward events to the Datadog logs intake
+//   GET     /api/datadog/challenge   issue a proof-of-work challenge for the next POST
+//   GET     /api/datadog/health      report whether DD_API_KEY / DD_APP_KEY are configured
+//   OPTIONS /api/datadog             CORS preflight
 
-exports.handler = async function(event, context) {
-  // Only accept POST requests
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      body: JSON.stringify({ error: 'Method Not Allowed' }),
-      headers: {
-        'Allow': 'POST',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type'
+const crypto = require('crypto');
+
+// Sites allowed to call the proxy; override with a comma-separated ALLOWED_ORIGINS env var
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://ai-tools-lab.com',
+  'https://www.ai-tools-lab.com',
+  'https://aitoolslab.com'
+];
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_EVENTS = 5;
+
+// Per client IP. Counters live in the function instance, so this is a best-effort limit
+const RATE_LIMIT_MAX_REQUESTS = 5;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const rateLimitBuckets = new Map();
+
+// A challenge is "<issued at>.<difficulty>.<nonce>.<signature>", signed so nothing has to be
+// stored to check it. It is solved by a number whose SHA-256 with the challenge begins with
+// `difficulty` zero bits. Override the difficulty with CHALLENGE_DIFFICULTY.
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_CHALLENGE_DIFFICULTY = 14;
+const usedChallenges = new Map();
+
+// A person takes longer than this to fill in a form; faster submissions are dropped
+const MIN_FILL_TIME_MS = 3000;
+
+// Content heuristics, each adding its weight to the event's spam_score tag (capped at 100)
+const SPAM_SIGNALS = {
+  links: 40,
+  repeated: 40,
+  disposable_email: 30,
+  fast: 20
+};
+const SPAM_LINK_LIMIT = 3;
+const SPAM_FAST_FILL_MS = 10 * 1000;
+const SPAM_REPEAT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DISPOSABLE_EMAIL_PATTERN = /@(?:[\w-]+\.)*(?:mailinator|guerrillamail|sharklasers|10minutemail|temp-?mail|throwawaymail|yopmail|trashmail|getnada|maildrop|dispostable|fakeinbox|mintemail)\.[a-z.]+$/i;
+const recentSubmissions = new Map();
+
+// Masked in free text when the person hasn't asked to be contacted, in this order so an IP
+// address isn't taken for a phone number
+const PII_PATTERNS = [
+  { pattern: /[^\s@<>()[\]]+@[^\s@<>()[\]]+\.[a-z]{2,}/gi, replacement: '[email]' },
+  { pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g, replacement: '[ip address]' },
+  { pattern: /\b(?:\d[ -]?){12,18}\d\b/g, replacement: '[card number]' },
+  { pattern: /\+?\(?\d[\d ().-]{7,}\d/g, replacement: '[phone]', minDigits: 9 }
+];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fields shared by every event
+const BASE_FIELDS = {
+  message: { type: 'string', required: true },
+  ddsource: { type: 'string', enum: ['website'], required: true },
+  ddtags: { type: 'string', maxLength: 200, pattern: /^[a-z_]+:[\w .\-/]*$/i },
+  hostname: { type: 'string', maxLength: 253 },
+  service: { type: 'string', enum: ['ai-tools-website'], required: true },
+  status: { type: 'string', enum: ['info'], required: true },
+  timestamp: { type: 'string', maxLength: 40, pattern: /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/ },
+  // How the form was filled in (see js/lib/forms.js); checked here and not forwarded
+  submission: {
+    type: 'object',
+    required: true,
+    fields: {
+      elapsedMs: { type: 'number', min: 0, required: true },
+      trap: { type: 'string', maxLength: 500 }
+    }
+  },
+  user: {
+    type: 'object',
+    fields: {
+      name: { type: 'string', maxLength: 200 },
+      email: { type: 'string', maxLength: 254 },
+      // "yes" when the person ticked "You may contact me"; their details are kept then
+      contact: { type: 'string', enum: ['yes'] }
+    }
+  }
+};
+
+// Keyed by the event's `message`. The feedback form sends its other questions as `answers`,
+// keyed by field name (see js/lib/forms.js), so a new question doesn't need a schema change.
+const EVENT_SCHEMAS = {
+  'User Feedback Submission': Object.assign({}, BASE_FIELDS, {
+    feedback: { type: 'string', maxLength: 5000, required: true },
+    answers: {
+      type: 'map',
+      maxKeys: 20,
+      keyPattern: /^[a-z][a-z0-9-]{0,49}$/,
+      values: { type: 'string', maxLength: 1000 }
+    }
+  }),
+  'Resource Suggestion': Object.assign({}, BASE_FIELDS, {
+    resource: {
+      type: 'object',
+      required: true,
+      fields: {
+        title: { type: 'string', maxLength: 300, required: true },
+        url: { type: 'string', maxLength: 2000, pattern: /^https?:\/\/\S+$/, required: true },
+        source: { type: 'string', maxLength: 200 },
+        category: { type: 'string', maxLength: 100 },
+        description: { type: 'string', maxLength: 5000 }
       }
-    };
+    }
+  }),
+  // From privacy.html: someone asking for a copy of their data, or for it to be deleted
+  'Data Request': Object.assign({}, BASE_FIELDS, {
+    user: {
+      type: 'object',
+      required: true,
+      fields: {
+        email: { type: 'string', maxLength: 254, pattern: EMAIL_PATTERN, required: true }
+      }
+    },
+    request: {
+      type: 'object',
+      required: true,
+      fields: {
+        type: { type: 'string', enum: ['export', 'delete'], required: true },
+        details: { type: 'string', maxLength: 2000 }
+      }
+    }
+  })
+};
+
+class ValidationError extends Error {}
+
+// Returns a copy of `value` holding only the fields in `fields`, or throws a ValidationError
+function sanitize(value, fields, path) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError(`${path} must be an object`);
   }
 
-  // CORS preflight
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS'
-      },
-      body: ''
-    };
+  const clean = {};
+  Object.keys(fields).forEach(key => {
+    const rule = fields[key];
+    const fieldPath = `${path}.${key}`;
+    const fieldValue = value[key];
+
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (rule.required) {
+        throw new ValidationError(`${fieldPath} is required`);
+      }
+      return;
+    }
+
+    if (rule.type === 'object') {
+      clean[key] = sanitize(fieldValue, rule.fields, fieldPath);
+      return;
+    }
+    if (rule.type === 'map') {
+      clean[key] = sanitizeMap(fieldValue, rule, fieldPath);
+      return;
+    }
+
+    clean[key] = checkValue(fieldValue, rule, fieldPath);
+  });
+
+  return clean;
+}
+
+// An object with any keys matching rule.keyPattern, each value checked against rule.values
+function sanitizeMap(value, rule, path) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError(`${path} must be an object`);
   }
 
-  try {
-    // Parse the incoming body
-    const payload = JSON.parse(event.body);
-    
-    // Get API keys from environment variables (set in Netlify dashboard)
-    const DD_API_KEY = process.env.DD_API_KEY;
-    const DD_APP_KEY = process.env.DD_APP_KEY;
-    
-    if (!DD_API_KEY || !DD_APP_KEY) {
-      console.error('Datadog API keys not configured');
-      return {
-        statusCode: 500,
-        headers: { 'Access-Control-Allow-Origin': '*' },
-        body: JSON.stringify({ error: 'Server misconfiguration - Datadog API keys not set' })
-      };
+  const keys = Object.keys(value);
+  if (keys.length > rule.maxKeys) {
+    throw new ValidationError(`${path} must have at most ${rule.maxKeys} entries`);
+  }
+
+  const clean = {};
+  keys.forEach(key => {
+    if (!rule.keyPattern.test(key)) {
+      throw new ValidationError(`${path} has an invalid key`);
+    }
+    if (value[key] === undefined || value[key] === null || value[key] === '') return;
+    clean[key] = checkValue(value[key], rule.values, `${path}.${key}`);
+  });
+  return clean;
+}
+
+function checkValue(value, rule, path) {
+  if (typeof value !== rule.type) {
+    throw new ValidationError(`${path} must be a ${rule.type}`);
+  }
+  if (rule.type === 'number' && !Number.isFinite(value)) {
+    throw new ValidationError(`${path} must be a number`);
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    throw new ValidationError(`${path} must be at least ${rule.min}`);
+  }
+  if (rule.maxLength && value.length > rule.maxLength) {
+    throw new ValidationError(`${path} must be at most ${rule.maxLength} characters`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    throw new ValidationError(`${path} must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    throw new ValidationError(`${path} has an invalid format`);
+  }
+  return value;
+}
+
+// The site sends an array of events; a single event object is accepted too
+function validatePayload(payload) {
+  const events = Array.isArray(payload) ? payload : [payload];
+
+  if (events.length === 0) {
+    throw new ValidationError('Payload must contain at least one event');
+  }
+  if (events.length > MAX_EVENTS) {
+    throw new ValidationError(`Payload must contain at most ${MAX_EVENTS} events`);
+  }
+
+  return events.map((event, index) => {
+    const schema = event && EVENT_SCHEMAS[event.message];
+    if (!schema) {
+      throw new ValidationError(`event[${index}].message must be one of: ${Object.keys(EVENT_SCHEMAS).join(', ')}`);
     }
-    
-    // Send the request to Datadog
-    const fetch = require('node-fetch');
-    const response = await fetch('https://http-intake.logs.datadoghq.com/api/v2/logs', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'DD-API-KEY': DD_API_KEY,
-        'DD-APPLICATION-KEY': DD_APP_KEY
-      },
-      body: JSON.stringify(payload)
+    return sanitize(event, schema, `event[${index}]`);
+  });
+}
+
+function getAllowedOrigins() {
+  if (!process.env.ALLOWED_ORIGINS) return DEFAULT_ALLOWED_ORIGINS;
+  return process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+// DD_SITE selects the Datadog region; DD_LOGS_INTAKE_URL points at a stand-in intake (see scripts/dev-server.js)
+function getIntakeUrl() {
+  return process.env.DD_LOGS_INTAKE_URL ||
+    `https://http-intake.logs.${process.env.DD_SITE || 'datadoghq.com'}/api/v2/logs`;
+}
+
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
+
+function getClientIp(event) {
+  const forwarded = getHeader(event, 'x-forwarded-for');
+  return getHeader(event, 'x-nf-client-connection-ip') ||
+    (forwarded && forwarded.split(',')[0].trim()) ||
+    'unknown';
+}
+
+// Fixed-window counter; returns the seconds until the window resets when the client is over the limit
+function checkRateLimit(ip, now = Date.now()) {
+  let bucket = rateLimitBuckets.get(ip);
+  if (!bucket || now - bucket.start >= RATE_LIMIT_WINDOW_MS) {
+    bucket = { start: now, count: 0 };
+    rateLimitBuckets.set(ip, bucket);
+  }
+  bucket.count++;
+
+  // Drop expired buckets so a long-lived instance doesn't grow without bound
+  if (rateLimitBuckets.size > 1000) {
+    rateLimitBuckets.forEach((value, key) => {
+      if (now - value.start >= RATE_LIMIT_WINDOW_MS) rateLimitBuckets.delete(key);
     });
-    
-    // Get the response text
-    const responseText = await response.text();
-    
-    // Return the response
-    return {
-      statusCode: response.status,
-      headers: { 'Access-Control-Allow-Origin': '*' },
-      body: responseText
-    };
+  }
+
+  if (bucket.count > RATE_LIMIT_MAX_REQUESTS) {
+    return Math.ceil((bucket.start + RATE_LIMIT_WINDOW_MS - now) / 1000);
+  }
+  return 0;
+}
+
+// Signed with CHALLENGE_SECRET, or a key derived from DD_API_KEY so every function instance
+// agrees without another setting; '' when neither is configured
+function getChallengeSecret() {
+  if (process.env.CHALLENGE_SECRET) return process.env.CHALLENGE_SECRET;
+  if (!process.env.DD_API_KEY) return '';
+  return crypto.createHash('sha256').update(`challenge:${process.env.DD_API_KEY}`).digest('hex');
+}
+
+function getChallengeDifficulty() {
+  const difficulty = parseInt(process.env.CHALLENGE_DIFFICULTY, 10);
+  return difficulty >= 0 && difficulty <= 24 ? difficulty : DEFAULT_CHALLENGE_DIFFICULTY;
+}
+
+function signChallenge(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function issueChallenge(secret, now = Date.now()) {
+  const body = `${now}.${getChallengeDifficulty()}.${crypto.randomBytes(8).toString('hex')}`;
+  return `${body}.${signChallenge(body, secret)}`;
+}
+
+function countLeadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte !== 0) return bits + Math.clz32(byte) - 24;
+    bits += 8;
+  }
+  return bits;
+}
+
+// Returns why a challenge and its solution are refused, or '' when they hold. A challenge
+// markChallengeUsed() has seen can't be used again while this instance is running.
+function checkChallenge(challenge, solution, secret, now = Date.now()) {
+  const parts = String(challenge).split('.');
+  if (parts.length !== 4) return 'Challenge is malformed';
+
+  const [issuedAt, difficulty, , signature] = parts;
+  const expected = signChallenge(parts.slice(0, 3).join('.'), secret);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return 'Challenge was not issued by this service';
+  }
+  if (!(now - Number(issuedAt) < CHALLENGE_TTL_MS)) return 'Challenge has expired';
+  if (usedChallenges.has(challenge)) return 'Challenge has already been used';
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+  if (!/^\d{1,15}$/.test(String(solution)) || countLeadingZeroBits(hash) < Number(difficulty)) {
+    return 'Challenge solution is incorrect';
+  }
+  return '';
+}
+
+function markChallengeUsed(challenge, now = Date.now()) {
+  usedChallenges.set(challenge, Number(challenge.split('.')[0]));
+  if (usedChallenges.size > 1000) {
+    usedChallenges.forEach((issued, key) => {
+      if (now - issued >= CHALLENGE_TTL_MS) usedChallenges.delete(key);
+    });
+  }
+}
+
+// The honeypot is a field people never see, so anything in it came from a script
+function isTrapped(item) {
+  return Boolean(item.submission.trap) || item.submission.elapsedMs < MIN_FILL_TIME_MS;
+}
+
+// Everything a person typed, apart from the email address and the suggested URL
+function getFreeText(item) {
+  const resource = item.resource || {};
+  return [
+    item.user && item.user.name,
+    item.feedback,
+    resource.title,
+    resource.source,
+    resource.description
+  ].concat(Object.values(item.answers || {})).filter(Boolean).join('\n');
+}
+
+// The names of the SPAM_SIGNALS an event shows
+function findSpamSignals(item, now = Date.now()) {
+  const signals = [];
+  const text = getFreeText(item);
+
+  if ((text.match(/https?:\/\/|www\./gi) || []).length >= SPAM_LINK_LIMIT) signals.push('links');
+
+  // Best effort, like the rate limit: only this instance's recent submissions are known
+  const fingerprint = crypto.createHash('sha256')
+    .update(`${item.message}\n${text.toLowerCase().replace(/\s+/g, ' ').trim()}`)
+    .digest('hex');
+  if (now - (recentSubmissions.get(fingerprint) || -Infinity) < SPAM_REPEAT_WINDOW_MS) signals.push('repeated');
+  recentSubmissions.set(fingerprint, now);
+  if (recentSubmissions.size > 1000) {
+    recentSubmissions.forEach((seen, key) => {
+      if (now - seen >= SPAM_REPEAT_WINDOW_MS) recentSubmissions.delete(key);
+    });
+  }
+
+  if (item.user && DISPOSABLE_EMAIL_PATTERN.test(item.user.email || '')) signals.push('disposable_email');
+  if (item.submission.elapsedMs < SPAM_FAST_FILL_MS) signals.push('fast');
+  return signals;
+}
+
+// Replaces the submission details with a spam_score tag and the signals behind it
+function markSpamScore(item) {
+  const signals = findSpamSignals(item);
+  const score = Math.min(100, signals.reduce((total, signal) => total + SPAM_SIGNALS[signal], 0));
+  delete item.submission;
+  item.ddtags = [item.ddtags, `spam_score:${score}`].filter(Boolean).join(',');
+  item.spam_signals = signals;
+}
+
+// Keyed with PII_HASH_SECRET, or a key derived from DD_API_KEY, so the hashes can't be reversed
+// by trying likely addresses without it; '' when neither is configured
+function getPiiHashSecret() {
+  if (process.env.PII_HASH_SECRET) return process.env.PII_HASH_SECRET;
+  if (!process.env.DD_API_KEY) return '';
+  return crypto.createHash('sha256').update(`pii:${process.env.DD_API_KEY}`).digest('hex');
+}
+
+// The hash an email address is stored under, the same however it was capitalised or spaced
+function hashEmail(email, secret = getPiiHashSecret()) {
+  if (!secret) return '';
+  return crypto.createHmac('sha256', secret).update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+function maskPersonalData(text) {
+  return PII_PATTERNS.reduce((masked, { pattern, replacement, minDigits }) => masked.replace(pattern, match => (
+    !minDigits || match.replace(/\D/g, '').length >= minDigits ? replacement : match
+  )), text);
+}
+
+// Every event gets user.email_hash for a real address. Unless the person asked to be contacted
+// (or is making a data request, which needs a reply), their name and address are dropped and
+// the free text is masked. Runs after the spam checks, which look at the original text.
+function redactPersonalData(item) {
+  const user = item.user || {};
+  if (user.email && user.email.includes('@')) {
+    const hash = hashEmail(user.email);
+    if (hash) user.email_hash = hash;
+  }
+  if (user.contact === 'yes' || item.message === 'Data Request') return;
+
+  delete user.name;
+  delete user.email;
+  if (item.feedback) item.feedback = maskPersonalData(item.feedback);
+  if (item.resource) {
+    ['title', 'source', 'description'].forEach(key => {
+      if (item.resource[key]) item.resource[key] = maskPersonalData(item.resource[key]);
+    });
+  }
+  if (item.answers) {
+    Object.keys(item.answers).forEach(key => {
+      item.answers[key] = maskPersonalData(item.answers[key]);
+    });
+  }
+}
+
+function corsHeaders(origin) {
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Headers': 'Content-Type, X-Challenge, X-Challenge-Solution',
+    'Vary': 'Origin'
+  };
+}
+
+function jsonResponse(statusCode, body, headers) {
+  return {
+    statusCode,
+    headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+    body: JSON.stringify(body)
+  };
+}
+
+// Every error has the same shape: { "error": { "code": "...", "message": "..." } }
+function errorResponse(statusCode, code, message, headers) {
+  return jsonResponse(statusCode, { error: { code, message } }, headers);
+}
+
+// The function is reachable as /api/datadog/* and /.netlify/functions/datadog-proxy/*
+function getRoute(event) {
+  const match = (event.path || '').match(/\/(health|challenge)\/?$/);
+  return match ? match[1] : '';
+}
+
+// CORS preflight
+function handleOptions(event, headers, originAllowed) {
+  if (!originAllowed) {
+    return errorResponse(403, 'origin_not_allowed', 'Origin not allowed', headers);
+  }
+  return {
+    statusCode: 204,
+    headers: Object.assign({
+      'Access-Control-Allow-Methods': ALLOWED_METHODS.join(', '),
+      'Access-Control-Max-Age': '86400'
+    }, headers),
+    body: ''
+  };
+}
+
+// GET /health reports whether the keys are set, never their values; GET /challenge issues one
+function handleGet(event, headers) {
+  const route = getRoute(event);
+  if (route === 'challenge') {
+    return handleChallenge(headers);
+  }
+  if (route !== 'health') {
+    return errorResponse(404, 'not_found', 'Not Found', headers);
+  }
+
+  const apiKeyConfigured = Boolean(process.env.DD_API_KEY);
+  const appKeyConfigured = Boolean(process.env.DD_APP_KEY);
+  return jsonResponse(200, {
+    status: apiKeyConfigured && appKeyConfigured ? 'ok' : 'misconfigured',
+    datadog: { apiKeyConfigured, appKeyConfigured }
+  }, Object.assign({ 'Cache-Control': 'no-store' }, headers));
+}
+
+// Challenges go to anyone who asks: browsers leave Origin off same-origin GETs, and a challenge
+// is worthless without the work to solve it and a POST from an allowed origin to spend it on
+function handleChallenge(headers) {
+  const secret = getChallengeSecret();
+  if (!secret) {
+    console.error('No CHALLENGE_SECRET or DD_API_KEY to sign challenges with');
+    return errorResponse(500, 'server_misconfigured', 'Challenges are not configured', headers);
+  }
+  return jsonResponse(200, { challenge: issueChallenge(secret), difficulty: getChallengeDifficulty() },
+    Object.assign({ 'Cache-Control': 'no-store' }, headers));
+}
+
+// POST forwards validated events to the Datadog logs intake
+async function handlePost(event, headers, originAllowed) {
+  if (getRoute(event)) {
+    return errorResponse(404, 'not_found', 'Not Found', headers);
+  }
+
+  if (!originAllowed) {
+    return errorResponse(403, 'origin_not_allowed', 'Origin not allowed', headers);
+  }
+
+  const retryAfter = checkRateLimit(getClientIp(event));
+  if (retryAfter > 0) {
+    return errorResponse(429, 'rate_limited', 'Too many requests, please try again later',
+      Object.assign({ 'Retry-After': String(retryAfter) }, headers));
+  }
+
+  const challenge = getHeader(event, 'x-challenge');
+  const solution = getHeader(event, 'x-challenge-solution');
+  if (!challenge || !solution) {
+    return errorResponse(403, 'challenge_required', 'Solve a challenge from GET /api/datadog/challenge first', headers);
+  }
+  const secret = getChallengeSecret();
+  if (!secret) {
+    console.error('No CHALLENGE_SECRET or DD_API_KEY to check challenges with');
+    return errorResponse(500, 'server_misconfigured', 'Challenges are not configured', headers);
+  }
+  const challengeProblem = checkChallenge(challenge, solution, secret);
+  if (challengeProblem) {
+    return errorResponse(403, 'challenge_failed', challengeProblem, headers);
+  }
+
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf8')
+    : (event.body || '');
+  if (Buffer.byteLength(rawBody, 'utf8') > MAX_BODY_BYTES) {
+    return errorResponse(413, 'payload_too_large', `Payload must be at most ${MAX_BODY_BYTES} bytes`, headers);
+  }
+
+  // Parse the incoming body and keep only the fields we know about
+  let events;
+  try {
+    events = validatePayload(JSON.parse(rawBody));
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return errorResponse(400, 'invalid_json', 'Request body must be valid JSON', headers);
+    }
+    if (error instanceof ValidationError) {
+      return errorResponse(400, 'invalid_payload', error.message, headers);
+    }
+    throw error;
+  }
+
+  // Only a payload that passed validation uses up its challenge, so a form the visitor
+  // corrects can be sent again with the same one
+  markChallengeUsed(challenge);
+
+  // Echoed back to the submitter and stored on the log so a submission can be found later
+  const trackingId = crypto.randomBytes(5).toString('hex').toUpperCase();
+
+  // Trapped events are dropped, but the answer is the same as for any other submission so a
+  // bot learns nothing from it
+  const kept = events.filter(item => !isTrapped(item));
+  if (kept.length < events.length) {
+    console.warn(`Dropped ${events.length - kept.length} submission(s) caught by the honeypot or fill-time check`);
+  }
+  if (kept.length === 0) {
+    return jsonResponse(202, { status: 'accepted', events: events.length, trackingId }, headers);
+  }
+
+  kept.forEach(item => {
+    markSpamScore(item);
+    redactPersonalData(item);
+    item.tracking_id = trackingId;
+  });
+
+  // Get API keys from environment variables (set in Netlify dashboard)
+  const DD_API_KEY = process.env.DD_API_KEY;
+  const DD_APP_KEY = process.env.DD_APP_KEY;
+
+  if (!DD_API_KEY || !DD_APP_KEY) {
+    console.error('Datadog API keys not configured');
+    return errorResponse(500, 'server_misconfigured', 'Datadog API keys are not configured', headers);
+  }
+
+  // Send the request to Datadog
+  const fetch = require('node-fetch');
+  const response = await fetch(getIntakeUrl(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'DD-API-KEY': DD_API_KEY,
+      'DD-APPLICATION-KEY': DD_APP_KEY
+    },
+    body: JSON.stringify(kept)
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    console.error(`Datadog intake responded with ${response.status}: ${await response.text()}`);
+    return errorResponse(502, 'upstream_error', `Datadog rejected the request (status ${response.status})`, headers);
+  }
+
+  return jsonResponse(response.status, { status: 'accepted', events: events.length, trackingId }, headers);
+}
+
+const ROUTES = {
+  OPTIONS: handleOptions,
+  GET: handleGet,
+  POST: handlePost
+};
+const ALLOWED_METHODS = Object.keys(ROUTES);
+
+exports.hashEmail = hashEmail;
+
+exports.handler = async function(event, context) {
+  const origin = getHeader(event, 'origin');
+  const originAllowed = Boolean(origin) && getAllowedOrigins().includes(origin);
+  const headers = originAllowed ? corsHeaders(origin) : { 'Vary': 'Origin' };
+
+  const route = ROUTES[event.httpMethod];
+  if (!route) {
+    return errorResponse(405, 'method_not_allowed', `Method ${event.httpMethod} is not allowed`,
+      Object.assign({ 'Allow': ALLOWED_METHODS.join(', ') }, headers));
+  }
+
+  try {
+    return await route(event, headers, originAllowed);
   } catch (error) {
+    // Details stay in the function log; callers get a generic message
     console.error('Error in Datadog proxy:', error);
-    return {
-      statusCode: 500,
-      headers: { 'Access-Control-Allow-Origin': '*' },
-      body: JSON.stringify({ error: 'Internal Server Error', message: error.message })
-    };
+    return errorResponse(500, 'internal_error', 'Internal Server Error', headers);
   }
-};
\ No newline at end of file
+};
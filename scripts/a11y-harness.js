@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// Accessibility harness for the site navigation
+//
+// Loads pages into jsdom with the site's modules (see lib/dom-page.js), drives the mobile
+// navigation with the mouse and keyboard (the breakpoint is a stubbed matchMedia), and runs
+// axe-core over the navigation (the nav, its toggle and the overlay) with the menu closed and
+// open. Prints one line per scenario and exits 1 if any of them fails.
+//
+// Usage: node scripts/a11y-harness.js [--verbose]
+
+const axe = require('axe-core');
+const { loadPage: loadDomPage, importFeatures, settle } = require('./lib/dom-page');
+const { getProblems, runScenarios, runHarness } = require('./lib/harness');
+
+const verbose = process.argv.includes('--verbose');
+
+// jsdom has no layout, so rules that need rendered colours can't be checked here
+const AXE_OPTIONS = {
+  runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice'] },
+  rules: { 'color-contrast': { enabled: false } }
+};
+
+// Manifests, search and dictionary data aren't needed here; their requests stay pending
+async function loadPage(file, startFeatures) {
+  const page = loadDomPage({ page: file, verbose });
+  startFeatures(page.document);
+  await settle();
+
+  const { window, document } = page;
+  return Object.assign(page, {
+    toggle: document.querySelector('.hamburger-menu'),
+    nav: document.querySelector('.site-header nav'),
+    overlay: document.querySelector('.menu-overlay'),
+    links: Array.from(document.querySelectorAll('.site-header nav a[href]')),
+    press(key, options = {}) {
+      const target = document.activeElement || document.body;
+      target.dispatchEvent(new window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, options)));
+    },
+    isOpen() {
+      return this.toggle.getAttribute('aria-expanded') === 'true' && this.nav.classList.contains('open');
+    }
+  });
+}
+
+// Tab keydowns only move focus when the page handles them (jsdom has no default focus order),
+// so a press that isn't prevented is followed by the next element in the list
+function tab(page, order, shift) {
+  const event = new page.window.KeyboardEvent('keydown', { key: 'Tab', shiftKey: shift, bubbles: true, cancelable: true });
+  page.document.activeElement.dispatchEvent(event);
+  if (!event.defaultPrevented) {
+    const index = order.indexOf(page.document.activeElement);
+    order[index + (shift ? -1 : 1)].focus();
+  }
+}
+
+async function axeViolations(page) {
+  page.window.eval(axe.source);
+  const context = { include: [['.site-header nav'], ['.hamburger-menu'], ['.menu-overlay']] };
+  const results = await page.window.axe.run(context, AXE_OPTIONS);
+  return results.violations.map(violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+const scenarios = [
+  {
+    name: 'the toggle is a button that names and controls the nav',
+    run: page => page.toggle.tagName === 'BUTTON' &&
+      page.toggle.getAttribute('aria-expanded') === 'false' &&
+      page.toggle.getAttribute('aria-controls') === page.nav.id &&
+      page.toggle.getAttribute('aria-label') === 'Menu'
+  },
+  {
+    name: 'opening moves focus to the first link',
+    run: page => {
+      page.toggle.focus();
+      page.toggle.click();
+      return page.isOpen() && page.document.activeElement === page.links[0] &&
+        page.overlay.classList.contains('active') && page.document.body.classList.contains('menu-open');
+    }
+  },
+  {
+    name: 'clicking the toggle again closes it',
+    run: page => {
+      page.toggle.click();
+      page.toggle.click();
+      return !page.isOpen() && page.document.activeElement === page.toggle;
+    }
+  },
+  {
+    name: 'Tab from the last link wraps to the toggle',
+    run: page => {
+      page.toggle.click();
+      const order = [page.toggle, ...page.links];
+      page.links[page.links.length - 1].focus();
+      tab(page, order, false);
+      return page.document.activeElement === page.toggle;
+    }
+  },
+  {
+    name: 'Shift+Tab from the toggle wraps to the last link',
+    run: page => {
+      page.toggle.click();
+      page.toggle.focus();
+      tab(page, [page.toggle, ...page.links], true);
+      return page.document.activeElement === page.links[page.links.length - 1];
+    }
+  },
+  {
+    name: 'Tab moves between links inside the drawer',
+    run: page => {
+      page.toggle.click();
+      tab(page, [page.toggle, ...page.links], false);
+      return page.document.activeElement === page.links[1];
+    }
+  },
+  {
+    name: 'Escape closes it and returns focus to the toggle',
+    run: page => {
+      page.toggle.click();
+      page.press('Escape');
+      return !page.isOpen() && page.document.activeElement === page.toggle;
+    }
+  },
+  {
+    name: 'clicking the overlay closes it',
+    run: page => {
+      page.toggle.click();
+      page.overlay.click();
+      return !page.isOpen() && page.document.activeElement === page.toggle;
+    }
+  },
+  {
+    name: 'a resize inside the breakpoint leaves it open',
+    run: page => {
+      page.toggle.click();
+      page.window.dispatchEvent(new page.window.Event('resize'));
+      return page.isOpen();
+    }
+  },
+  {
+    name: 'growing past the breakpoint closes it',
+    run: page => {
+      page.toggle.click();
+      page.setMobile(false);
+      return !page.isOpen() && !page.document.body.classList.contains('menu-open');
+    }
+  },
+  {
+    name: 'Escape does nothing while the menu is closed',
+    run: page => {
+      page.links[0].focus();
+      page.press('Escape');
+      return !page.isOpen() && page.document.activeElement === page.links[0];
+    }
+  },
+  ...['index.html', 'resources.html', 'dictionary.html', 'ep01.html'].flatMap(file => [
+    {
+      name: `axe finds no navigation violations on ${file}, menu closed`,
+      page: file,
+      run: async page => axeViolations(page)
+    },
+    {
+      name: `axe finds no navigation violations on ${file}, menu open`,
+      page: file,
+      run: async page => {
+        page.toggle.click();
+        return axeViolations(page);
+      }
+    }
+  ])
+];
+
+async function runScenario(scenario, startFeatures) {
+  const page = await loadPage(scenario.page || 'index.html', startFeatures);
+  try {
+    return { problems: getProblems(await scenario.run(page)) };
+  } finally {
+    page.close();
+  }
+}
+
+async function main() {
+  const { startFeatures } = await importFeatures();
+  return runScenarios(scenarios, scenario => runScenario(scenario, startFeatures));
+}
+
+runHarness('a11y-harness', main);
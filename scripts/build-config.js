@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+// Public runtime config
+//
+// Writes js/config.js, the settings the browser modules read through getSiteConfig() in
+// js/lib/site.js, from the build's environment:
+//
+//   SITE_ENV                 environment name, also RUM's `env` (default: Netlify's CONTEXT,
+//                            then development)
+//   PROXY_URL                where the forms post (default /api/datadog)
+//   DD_RUM_APPLICATION_ID    with DD_RUM_CLIENT_TOKEN, turns on Datadog RUM; without both the
+//   DD_RUM_CLIENT_TOKEN      site runs without analytics and never asks for consent (a
+//                            production build fails instead)
+//   DD_SITE                  Datadog site (default datadoghq.com), which picks the RUM SDK
+//   DD_RUM_SERVICE, DD_RUM_SESSION_SAMPLE_RATE, DD_RUM_SESSION_REPLAY_SAMPLE_RATE
+//
+// Everything in js/config.js ships to browsers. The proxy's secrets (SERVER_SECRETS) stay in its
+// own environment: if any of them is set here, every file that would be published is searched
+// for its value and the build fails if one turns up.
+//
+// Usage: node scripts/build-config.js [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./lib/paths');
+
+const CONFIG_PATH = path.join(ROOT, 'js', 'config.js');
+const SERVER_SECRETS = ['DD_API_KEY', 'DD_APP_KEY', 'CHALLENGE_SECRET', 'PII_HASH_SECRET'];
+
+// Never published: version control, local-only state and the git-ignored working folders
+const UNPUBLISHED = new Set(['.git', 'node_modules', '.local', 'venv', 'suggestions', 'instructions', 'observations']);
+
+// The RUM browser SDK is served per Datadog site
+const RUM_SDK_REGIONS = {
+  'datadoghq.com': 'us1',
+  'us3.datadoghq.com': 'us3',
+  'us5.datadoghq.com': 'us5',
+  'datadoghq.eu': 'eu1',
+  'ap1.datadoghq.com': 'ap1'
+};
+const RUM_SDK_VERSION = 'v6';
+
+const dryRun = process.argv.includes('--dry-run');
+
+function writeFile(file, contents) {
+  const relative = path.relative(process.cwd(), file);
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === contents) {
+    console.log(`unchanged  ${relative}`);
+    return;
+  }
+  if (dryRun) {
+    console.log(`would write ${relative}`);
+    return;
+  }
+  fs.writeFileSync(file, contents);
+  console.log(`wrote      ${relative}`);
+}
+
+function readRate(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const rate = Number(value);
+  if (!(rate >= 0 && rate <= 100)) throw new Error(`${name} must be a number from 0 to 100, not "${value}"`);
+  return rate;
+}
+
+function readRumConfig(environment) {
+  const applicationId = process.env.DD_RUM_APPLICATION_ID;
+  const clientToken = process.env.DD_RUM_CLIENT_TOKEN;
+  if (!applicationId && !clientToken) {
+    // Otherwise a deploy missing its variables would quietly ship without analytics
+    if (environment === 'production') {
+      throw new Error('a production build needs DD_RUM_APPLICATION_ID and DD_RUM_CLIENT_TOKEN');
+    }
+    return null;
+  }
+  if (!applicationId || !clientToken) {
+    throw new Error('Set both DD_RUM_APPLICATION_ID and DD_RUM_CLIENT_TOKEN, or neither');
+  }
+  // Client tokens are made for browsers; an API key in their place would be published
+  if (!clientToken.startsWith('pub')) {
+    throw new Error('DD_RUM_CLIENT_TOKEN is not a client token (they begin with "pub")');
+  }
+
+  const site = process.env.DD_SITE || 'datadoghq.com';
+  const region = RUM_SDK_REGIONS[site];
+  if (!region) {
+    throw new Error(`No RUM SDK for DD_SITE "${site}"; expected one of ${Object.keys(RUM_SDK_REGIONS).join(', ')}`);
+  }
+
+  return {
+    src: `https://www.datadoghq-browser-agent.com/${region}/${RUM_SDK_VERSION}/datadog-rum.js`,
+    applicationId,
+    clientToken,
+    site,
+    service: process.env.DD_RUM_SERVICE || 'ai-labs',
+    env: environment,
+    sessionSampleRate: readRate('DD_RUM_SESSION_SAMPLE_RATE', 100),
+    sessionReplaySampleRate: readRate('DD_RUM_SESSION_REPLAY_SAMPLE_RATE', 20),
+    defaultPrivacyLevel: 'mask-user-input'
+  };
+}
+
+function renderConfig(config) {
+  return [
+    '// Generated by scripts/build-config.js from the build\'s environment; don\'t edit.',
+    '// Everything here is public: it ships to every visitor\'s browser.',
+    '',
+    `export default ${JSON.stringify(config, null, 4)};`,
+    ''
+  ].join('\n');
+}
+
+function listPublishedFiles(dir, files = []) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    if (UNPUBLISHED.has(entry.name)) return;
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      listPublishedFiles(file, files);
+    } else if (entry.isFile()) {
+      files.push(file);
+    }
+  });
+  return files;
+}
+
+// Returns "file (SECRET)" for each published file holding a server secret's value.
+// `pending` maps files about to be written to their new contents.
+function findLeakedSecrets(pending) {
+  const secrets = SERVER_SECRETS
+    .filter(name => (process.env[name] || '').length >= 8)
+    .map(name => ({ name, value: Buffer.from(process.env[name]) }));
+  if (secrets.length === 0) return [];
+
+  const leaks = [];
+  new Set(listPublishedFiles(ROOT).concat(Object.keys(pending))).forEach(file => {
+    const contents = pending[file] !== undefined ? Buffer.from(pending[file]) : fs.readFileSync(file);
+    secrets.filter(secret => contents.includes(secret.value))
+      .forEach(secret => leaks.push(`${path.relative(ROOT, file)} (${secret.name})`));
+  });
+  return leaks;
+}
+
+function main() {
+  const environment = process.env.SITE_ENV || process.env.CONTEXT || 'development';
+  const config = {
+    environment,
+    proxyUrl: process.env.PROXY_URL || '/api/datadog',
+    rum: readRumConfig(environment)
+  };
+  const contents = renderConfig(config);
+
+  // Checked before writing, so a leaking config never reaches the disk
+  const leaks = findLeakedSecrets({ [CONFIG_PATH]: contents });
+  if (leaks.length > 0) {
+    throw new Error(`server secrets would be published in:\n  ${leaks.join('\n  ')}`);
+  }
+
+  writeFile(CONFIG_PATH, contents);
+  console.log(`config     ${environment}, RUM ${config.rum ? 'on' : 'off'}, proxy ${config.proxyUrl}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`build-config: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+// Dictionary page and terms index
+//
+// Builds two things from dictionary/dictionary.md:
+//   pages/dictionary.html       the terms, each with a #term-... anchor, grouped under their
+//                               "## Section" headings with an A-Z bar to jump between them. A
+//                               definition that mentions another term gets a "See also" link to it.
+//   data/dictionary-terms.json  every term with its definition, anchor and the phrases it is
+//                               recognised by in running text (see getTermAliases in
+//                               lib/dictionary.js). js/features/dictionary.js loads it on
+//                               episode and resource pages to link the first mention of each
+//                               term and show its definition.
+//
+// Only the jump bar and the dictionary-content block of the page are rewritten; the rest of it
+// is hand-maintained. Terms defined twice, and terms outside a section or filed under the wrong
+// letter, are reported as warnings.
+//
+// Usage: node scripts/build-dictionary.js [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const { parseDictionary, getTermAliases, findAliasClashes, createMentionFinder } = require('./lib/dictionary');
+const { escapeHtml, findElementEnd, slugify } = require('./lib/html');
+const { ROOT, PAGES_DIR } = require('./lib/paths');
+
+const DICTIONARY_PATH = path.join(ROOT, 'dictionary', 'dictionary.md');
+const PAGE_PATH = path.join(PAGES_DIR, 'dictionary.html');
+const TERMS_PATH = path.join(ROOT, 'data', 'dictionary-terms.json');
+const SCHEMA_VERSION = 1;
+
+const CONTENT_OPENING = '<div class="dictionary-content" id="dictionary-content">';
+const INDEX_OPENING = '<nav class="dictionary-index"';
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+const dryRun = process.argv.includes('--dry-run');
+
+function writeFile(file, contents) {
+  const relative = path.relative(process.cwd(), file);
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === contents) {
+    console.log(`unchanged  ${relative}`);
+    return;
+  }
+  if (dryRun) {
+    console.log(`would write ${relative}`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+  console.log(`wrote      ${relative}`);
+}
+
+function warn(entry, message) {
+  const file = path.relative(process.cwd(), DICTIONARY_PATH);
+  console.warn(`warning    ${entry ? `${file}:${entry.line}` : file}: ${message}`);
+}
+
+function checkTerms(terms) {
+  const slugs = new Map();
+  terms.forEach(entry => {
+    if (slugs.has(entry.slug)) {
+      throw new Error(`"${entry.term}" and "${slugs.get(entry.slug)}" would share the anchor #term-${entry.slug}`);
+    }
+    slugs.set(entry.slug, entry.term);
+
+    const initial = (entry.term.match(/[a-z0-9]/i) || [''])[0].toUpperCase();
+    if (!entry.section) {
+      warn(entry, `"${entry.term}" is not under a ## section, so it won't appear on the page`);
+    } else if (entry.section.length === 1 && entry.section !== initial) {
+      warn(entry, `"${entry.term}" is filed under ${entry.section}`);
+    }
+    if (!entry.definition) {
+      warn(entry, `"${entry.term}" has no definition`);
+    }
+  });
+
+  findAliasClashes(terms).forEach(clash => {
+    warn(terms.find(entry => entry.term === clash.terms[1]), `${clash.terms.map(term => `"${term}"`).join(' and ')} both define "${clash.text}"`);
+  });
+}
+
+// Terms grouped by "## Section", in the order the sections appear
+function groupSections(terms) {
+  const sections = [];
+  terms.filter(entry => entry.section).forEach(entry => {
+    let section = sections.find(candidate => candidate.title === entry.section);
+    if (!section) {
+      section = { title: entry.section, id: `section-${slugify(entry.section)}`, terms: [] };
+      sections.push(section);
+    }
+    section.terms.push(entry);
+  });
+  return sections;
+}
+
+// A-Z, with letters that have no terms shown but not linked, then any sections that aren't letters
+function renderIndex(sections, indent) {
+  const links = LETTERS.map(letter => {
+    const section = sections.find(candidate => candidate.title === letter);
+    return section
+      ? `<a href="#${section.id}">${letter}</a>`
+      : `<span class="dictionary-index-empty" aria-hidden="true">${letter}</span>`;
+  });
+  sections.filter(section => !LETTERS.includes(section.title)).forEach(section => {
+    links.push(`<a href="#${section.id}">${escapeHtml(section.title)}</a>`);
+  });
+
+  return [
+    `${INDEX_OPENING} aria-label="Jump to a section">`,
+    ...links.map(link => `${indent}    ${link}`),
+    `${indent}</nav>`
+  ].join('\n');
+}
+
+function renderTerm(entry, aliases, seeAlso, termsBySlug) {
+  const lines = [
+    `<div class="dictionary-term" id="term-${entry.slug}" data-aliases="${escapeHtml(aliases.map(alias => alias.text).join('|'))}">`,
+    `    <h3 class="term-name">${escapeHtml(entry.term)}</h3>`,
+    `    <p class="term-definition">${escapeHtml(entry.definition)}</p>`
+  ];
+  if (seeAlso.length > 0) {
+    const links = seeAlso.map(slug => `<a href="#term-${slug}">${escapeHtml(termsBySlug.get(slug).term)}</a>`);
+    lines.push(`    <p class="term-see-also">See also: ${links.join(', ')}</p>`);
+  }
+  lines.push('</div>');
+  return lines;
+}
+
+function renderContent(sections, aliases, indent) {
+  const termsBySlug = new Map();
+  sections.forEach(section => section.terms.forEach(entry => termsBySlug.set(entry.slug, entry)));
+  const findMentions = createMentionFinder(aliases);
+
+  const lines = [];
+  sections.forEach(section => {
+    lines.push(
+      `<section class="dictionary-section-set" id="${section.id}" aria-labelledby="${section.id}-title">`,
+      `    <h2 class="dictionary-section-title" id="${section.id}-title">${escapeHtml(section.title)}</h2>`,
+      '    <div class="dictionary-terms">'
+    );
+    section.terms.forEach(entry => {
+      const seeAlso = findMentions(entry.definition).filter(slug => slug !== entry.slug && termsBySlug.has(slug));
+      renderTerm(entry, aliases[entry.slug], seeAlso, termsBySlug).forEach(line => lines.push(`        ${line}`));
+    });
+    lines.push('    </div>', '</section>');
+  });
+
+  return [CONTENT_OPENING, ...lines.map(line => `${indent}    ${line}`), `${indent}</div>`].join('\n');
+}
+
+// Replaces the jump bar (adding it before the content the first time) and the content block
+function renderPage(html, sections, aliases) {
+  const contentStart = html.indexOf(CONTENT_OPENING);
+  if (contentStart === -1) {
+    throw new Error(`${path.relative(process.cwd(), PAGE_PATH)} has no ${CONTENT_OPENING}`);
+  }
+  const contentEnd = findElementEnd(html, contentStart);
+  const indent = html.slice(html.lastIndexOf('\n', contentStart) + 1, contentStart);
+  const content = renderContent(sections, aliases, indent);
+  const index = renderIndex(sections, indent);
+
+  const indexStart = html.indexOf(INDEX_OPENING);
+  if (indexStart === -1) {
+    return html.slice(0, contentStart) + index + `\n${indent}\n${indent}` + content + html.slice(contentEnd);
+  }
+  const indexEnd = findElementEnd(html, indexStart, 'nav');
+  return html.slice(0, indexStart) + index + html.slice(indexEnd, contentStart) + content + html.slice(contentEnd);
+}
+
+function main() {
+  const terms = parseDictionary(fs.readFileSync(DICTIONARY_PATH, 'utf8'));
+  checkTerms(terms);
+
+  const aliases = getTermAliases(terms);
+  const index = {
+    version: SCHEMA_VERSION,
+    terms: terms.map(entry => ({
+      term: entry.term,
+      slug: entry.slug,
+      definition: entry.definition,
+      aliases: aliases[entry.slug]
+    }))
+  };
+
+  writeFile(PAGE_PATH, renderPage(fs.readFileSync(PAGE_PATH, 'utf8'), groupSections(terms), aliases));
+  writeFile(TERMS_PATH, JSON.stringify(index, null, 2) + '\n');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`build-dictionary: ${error.message}`);
+  process.exit(1);
+}
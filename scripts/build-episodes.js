@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+// Episode site generator
+//
+// Renders templates/default_template.html for every data file in episodes/
+// (front matter + transcripts/epNN-transcript*.md) and keeps pages/index.html
+// and the prev/next navigation of neighbouring episodes in sync.
+//
+// Usage: node scripts/build-episodes.js [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const { loadEpisodes } = require('./lib/episodes');
+const { parseTranscript, renderTranscript } = require('./lib/transcript');
+const { renderChapterMarkers } = require('./lib/chapters');
+const { readRecordingGrid } = require('./lib/pages');
+const { escapeHtml, fillTemplate, findElementEnd, findElements } = require('./lib/html');
+const { PAGES_DIR, TEMPLATES_DIR } = require('./lib/paths');
+
+const TEMPLATE_PATH = path.join(TEMPLATES_DIR, 'default_template.html');
+const INDEX_PATH = path.join(PAGES_DIR, 'index.html');
+const NAVIGATION_OPENING = '<div class="episode-navigation">';
+
+const dryRun = process.argv.includes('--dry-run');
+
+function indentLines(lines, spaces) {
+  return lines.join('\n' + ' '.repeat(spaces));
+}
+
+function writeFile(file, contents) {
+  const relative = path.relative(process.cwd(), file);
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === contents) {
+    console.log(`unchanged  ${relative}`);
+    return;
+  }
+  if (dryRun) {
+    console.log(`would write ${relative}`);
+    return;
+  }
+  fs.writeFileSync(file, contents);
+  console.log(`wrote      ${relative}`);
+}
+
+// The template carries commented "Format for ..." examples next to each placeholder; drop them from output
+function stripGuideComments(template) {
+  return template.replace(/\n[ \t]*<!--(?:(?!-->)[\s\S])*?(?:\{\{|Format for)[\s\S]*?-->/g, '');
+}
+
+function renderEpisodeTranscript(episode) {
+  if (episode.transcriptFiles.length === 0) {
+    return 'Transcript coming soon.';
+  }
+  const parts = episode.transcriptFiles.map(file => parseTranscript(fs.readFileSync(file, 'utf8')));
+  return renderTranscript(parts, { speakers: episode.presenters });
+}
+
+// One <p> per paragraph of the summary; blank lines separate them
+function renderSummary(episode) {
+  return episode.summary.split(/\n\s*\n/).map(paragraph => `<p>${escapeHtml(paragraph.trim())}</p>`);
+}
+
+function renderResources(episode) {
+  return episode.resources.map(resource => {
+    const description = resource.description ? ` - ${escapeHtml(resource.description)}` : '';
+    return `<li><a href="${escapeHtml(resource.url)}" target="_blank">${escapeHtml(resource.title)}</a>${description}</li>`;
+  });
+}
+
+function renderNextEpisode(next) {
+  if (!next) {
+    return [
+      '<div class="recording-card">',
+      '    <h3>You are watching the latest episode</h3>',
+      '</div>'
+    ];
+  }
+  return [
+    '<div class="recording-card">',
+    `    <h3>${escapeHtml(next.title)}</h3>`,
+    '    <div class="video-container">',
+    `        <a href="ep${next.number}.html">`,
+    `            <img src="../images/thumbnails/ep${next.number}.png" alt="Episode ${next.number} Thumbnail">`,
+    '            <span class="play-icon"></span>',
+    '        </a>',
+    '    </div>',
+    `    <a href="ep${next.number}.html" class="btn">Watch Episode</a>`,
+    '</div>'
+  ];
+}
+
+// Renders the template's own navigation block so generated and hand-maintained pages stay identical
+function renderNavigation(template, previous, next) {
+  const start = template.indexOf(NAVIGATION_OPENING);
+  let navigation = template.slice(start, findElementEnd(template, start));
+
+  if (!previous) {
+    const [previousItem] = findElements(navigation, /<div class="nav-item">/);
+    navigation = navigation.slice(0, previousItem.start) + navigation.slice(previousItem.end).replace(/^\s*\n/, '');
+  }
+
+  return fillTemplate(navigation, {
+    PREVIOUS_EPISODE_TITLE: previous ? escapeHtml(previous.title) : '',
+    PREVIOUS_EPISODE_NUMBER: previous ? previous.number : '',
+    NEXT_EPISODE_NAVIGATION: indentLines(renderNextEpisode(next), 20)
+  });
+}
+
+function renderEpisodePage(template, episode, previous, next) {
+  const page = fillTemplate(template, {
+    EPISODE_TITLE: escapeHtml(episode.title),
+    META_DESCRIPTION: escapeHtml(episode.description),
+    EPISODE_NUMBER: episode.number,
+    YOUTUBE_ID: episode.youtubeId,
+    EPISODE_SUMMARY: indentLines(renderSummary(episode), 12),
+    CHAPTER_MARKERS: indentLines(renderChapterMarkers(episode.chapters, episode.youtubeId), 16),
+    RESOURCES: indentLines(renderResources(episode), 16),
+    KEY_TAKEAWAYS: indentLines(episode.takeaways.map(item => `<li>${escapeHtml(item)}</li>`), 16),
+    TRANSCRIPT: renderEpisodeTranscript(episode)
+  });
+
+  const start = page.indexOf(NAVIGATION_OPENING);
+  const end = findElementEnd(page, start);
+  const rendered = page.slice(0, start) + renderNavigation(template, previous, next) + page.slice(end);
+
+  const leftover = rendered.match(/\{\{[A-Z_]+\}\}/g);
+  if (leftover) {
+    throw new Error(`ep${episode.number}: unfilled template placeholders ${[...new Set(leftover)].join(', ')}`);
+  }
+  return rendered;
+}
+
+function renderRecordingCard(episode, isNewest) {
+  const badge = isNewest ? ['            <span class="featured-badge">Newest</span>'] : [];
+  return [
+    `<div class="recording-card" data-category="${escapeHtml(episode.category)}" data-tags="${escapeHtml(episode.tags.join(','))}" data-presenters="${escapeHtml(episode.presenters.join(','))}">`,
+    `    <a href="ep${episode.number}.html">`,
+    '        <div class="video-container">',
+    `            <img src="../images/thumbnails/ep${episode.number}.png" alt="Recording ${episode.numberValue} Thumbnail">`,
+    ...badge,
+    '        </div>',
+    '        <div class="recording-card-content">',
+    `            <h3>${escapeHtml(episode.title)}</h3>`,
+    `            <p>${escapeHtml(episode.description)}</p>`,
+    '            <div class="recording-meta">',
+    `                <span class="recording-date">${escapeHtml(episode.date)}</span>`,
+    '            </div>',
+    '        </div>',
+    '    </a>',
+    '</div>'
+  ].join('\n                ');
+}
+
+// Rebuilds the recording grid with generated cards upserted in newest-first order
+function updateIndex(indexHtml, episodes) {
+  const grid = readRecordingGrid(indexHtml);
+  const generated = new Map(episodes.map(episode => [episode.number, episode]));
+
+  const entries = grid.cards
+    .filter(card => !generated.has(card.number))
+    .map(card => ({ numberValue: card.numberValue, html: card.html }));
+  episodes.forEach(episode => entries.push({ numberValue: episode.numberValue, episode }));
+  entries.sort((a, b) => b.numberValue - a.numberValue);
+
+  const newest = entries[0] ? entries[0].numberValue : null;
+  const cardsHtml = entries.map(entry => {
+    if (entry.episode) {
+      return renderRecordingCard(entry.episode, entry.numberValue === newest);
+    }
+    // Only the newest card carries the badge
+    return entry.numberValue === newest
+      ? entry.html
+      : entry.html.replace(/\n\s*<span class="featured-badge">Newest<\/span>/, '');
+  });
+
+  const gridHtml = '<div class="recording-grid">\n                ' + cardsHtml.join('\n                ') + '\n            </div>';
+  return indexHtml.slice(0, grid.start) + gridHtml + indexHtml.slice(grid.end);
+}
+
+function replaceNavigation(pageHtml, navigationHtml) {
+  const start = pageHtml.indexOf(NAVIGATION_OPENING);
+  if (start === -1) return null;
+  return pageHtml.slice(0, start) + navigationHtml + pageHtml.slice(findElementEnd(pageHtml, start));
+}
+
+function main() {
+  const template = stripGuideComments(fs.readFileSync(TEMPLATE_PATH, 'utf8'));
+  const episodes = loadEpisodes();
+
+  if (episodes.length === 0) {
+    console.log('No episode data files found in episodes/ - nothing to build.');
+    return;
+  }
+
+  const indexHtml = fs.readFileSync(INDEX_PATH, 'utf8');
+
+  // Every known episode, hand-maintained or generated, ordered oldest first for prev/next lookups
+  const catalog = new Map();
+  readRecordingGrid(indexHtml).cards
+    .filter(card => card.number)
+    .forEach(card => catalog.set(card.number, { number: card.number, numberValue: card.numberValue, title: card.title }));
+  episodes.forEach(episode => catalog.set(episode.number, episode));
+  const ordered = [...catalog.values()].sort((a, b) => a.numberValue - b.numberValue);
+  const neighbours = number => {
+    const position = ordered.findIndex(entry => entry.number === number);
+    return { previous: ordered[position - 1] || null, next: ordered[position + 1] || null };
+  };
+
+  const generatedNumbers = new Set(episodes.map(episode => episode.number));
+
+  episodes.forEach(episode => {
+    const { previous, next } = neighbours(episode.number);
+    writeFile(path.join(PAGES_DIR, `ep${episode.number}.html`), renderEpisodePage(template, episode, previous, next));
+  });
+
+  // Hand-maintained pages next to a generated one need their navigation refreshed too
+  const touched = new Set();
+  episodes.forEach(episode => {
+    const { previous, next } = neighbours(episode.number);
+    [previous, next].filter(Boolean).forEach(entry => {
+      if (!generatedNumbers.has(entry.number)) touched.add(entry.number);
+    });
+  });
+
+  touched.forEach(number => {
+    const file = path.join(PAGES_DIR, `ep${number}.html`);
+    if (!fs.existsSync(file)) {
+      console.warn(`warning    ${path.relative(process.cwd(), file)} is listed in index.html but does not exist`);
+      return;
+    }
+    const { previous, next } = neighbours(number);
+    const updated = replaceNavigation(fs.readFileSync(file, 'utf8'), renderNavigation(template, previous, next));
+    if (updated === null) {
+      console.warn(`warning    ${path.relative(process.cwd(), file)} has no episode-navigation block to update`);
+      return;
+    }
+    writeFile(file, updated);
+  });
+
+  writeFile(INDEX_PATH, updateIndex(indexHtml, episodes));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`build-episodes: ${error.message}`);
+  process.exit(1);
+}
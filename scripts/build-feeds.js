@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+// Feed generator
+//
+// Publishes the episodes and resources (read from the pages, see lib/manifest.js) as
+// RSS 2.0, Atom and JSON Feed under feeds/, plus a podcast-style RSS feed of the episodes
+// whose items point at per-episode chapter files (feeds/chapters/epNN.json, in the Podcasting
+// 2.0 JSON chapters format) built from each page's .chapter-markers list.
+//
+// Feed dates come from the content, never the build time, so rebuilding without content
+// changes leaves every file untouched.
+//
+// Usage: node scripts/build-feeds.js [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const { readSite, readEpisodes, readResources } = require('./lib/manifest');
+const { escapeHtml } = require('./lib/html');
+const { formatTimestamp } = require('./lib/time');
+const { ROOT } = require('./lib/paths');
+
+const FEEDS_DIR = path.join(ROOT, 'feeds');
+const LOGO_PATH = 'images/ai-tools-lab-logo.png';
+
+const dryRun = process.argv.includes('--dry-run');
+
+function writeFile(file, contents) {
+  const relative = path.relative(process.cwd(), file);
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === contents) {
+    console.log(`unchanged  ${relative}`);
+    return;
+  }
+  if (dryRun) {
+    console.log(`would write ${relative}`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+  console.log(`wrote      ${relative}`);
+}
+
+// Items only carry a day, so publish them at midnight UTC
+function toRfc822(date) {
+  return new Date(`${date}T00:00:00Z`).toUTCString();
+}
+
+function toIso(date) {
+  return `${date}T00:00:00Z`;
+}
+
+function newestDate(items) {
+  return items.map(item => item.date).filter(Boolean).sort().pop() || null;
+}
+
+function feedUrl(site, name) {
+  return new URL(`feeds/${name}`, site.url).href;
+}
+
+function paragraphs(text) {
+  return text.split(/\n\s*\n/).map(paragraph => `<p>${escapeHtml(paragraph.trim())}</p>`).join('');
+}
+
+function chapterList(episode) {
+  if (episode.chapters.length === 0) return '';
+  const items = episode.chapters.map(chapter => `<li>${escapeHtml(`${formatTimestamp(chapter.seconds)} ${chapter.title}`)}</li>`);
+  return `<h3>Chapters</h3><ul>${items.join('')}</ul>`;
+}
+
+// The common shape every feed format is rendered from
+function episodeItems(episodes) {
+  return episodes.map(episode => ({
+    id: episode.url,
+    url: episode.url,
+    title: episode.title,
+    summary: episode.description,
+    html: (episode.thumbnailUrl ? `<p><img src="${escapeHtml(episode.thumbnailUrl)}" alt=""></p>` : '') +
+      paragraphs(episode.summary) + chapterList(episode),
+    date: episode.date,
+    image: episode.thumbnailUrl,
+    authors: episode.presenters,
+    tags: episode.tags,
+    episode
+  }));
+}
+
+function resourceItems(resources) {
+  return resources.map(resource => ({
+    id: resource.url,
+    url: resource.url,
+    title: resource.title,
+    summary: resource.description,
+    html: (resource.imageUrl ? `<p><img src="${escapeHtml(resource.imageUrl)}" alt=""></p>` : '') +
+      `<p>${escapeHtml(resource.description)}</p><p>Source: ${escapeHtml(resource.source)}</p>`,
+    date: resource.date,
+    image: resource.imageUrl,
+    authors: resource.source ? [resource.source] : [],
+    tags: resource.tags
+  }));
+}
+
+function renderRss(feed, items) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeHtml(feed.title)}</title>`,
+    `    <link>${escapeHtml(feed.homeUrl)}</link>`,
+    `    <description>${escapeHtml(feed.description)}</description>`,
+    '    <language>en</language>',
+    `    <atom:link href="${escapeHtml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`
+  ];
+  if (feed.updated) lines.push(`    <lastBuildDate>${toRfc822(feed.updated)}</lastBuildDate>`);
+
+  items.forEach(item => {
+    lines.push(
+      '    <item>',
+      `      <title>${escapeHtml(item.title)}</title>`,
+      `      <link>${escapeHtml(item.url)}</link>`,
+      `      <guid isPermaLink="true">${escapeHtml(item.id)}</guid>`,
+      `      <description>${escapeHtml(item.html)}</description>`
+    );
+    if (item.date) lines.push(`      <pubDate>${toRfc822(item.date)}</pubDate>`);
+    item.tags.forEach(tag => lines.push(`      <category>${escapeHtml(tag)}</category>`));
+    lines.push('    </item>');
+  });
+
+  lines.push('  </channel>', '</rss>');
+  return lines.join('\n') + '\n';
+}
+
+function renderAtom(feed, items) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeHtml(feed.title)}</title>`,
+    `  <subtitle>${escapeHtml(feed.description)}</subtitle>`,
+    `  <id>${escapeHtml(feed.selfUrl)}</id>`,
+    `  <link href="${escapeHtml(feed.homeUrl)}"/>`,
+    `  <link href="${escapeHtml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>`,
+    `  <updated>${toIso(feed.updated || '1970-01-01')}</updated>`,
+    `  <author><name>${escapeHtml(feed.author)}</name></author>`,
+    `  <icon>${escapeHtml(feed.icon)}</icon>`
+  ];
+
+  items.forEach(item => {
+    lines.push(
+      '  <entry>',
+      `    <title>${escapeHtml(item.title)}</title>`,
+      `    <id>${escapeHtml(item.id)}</id>`,
+      `    <link href="${escapeHtml(item.url)}"/>`,
+      `    <updated>${toIso(item.date || feed.updated || '1970-01-01')}</updated>`
+    );
+    if (item.date) lines.push(`    <published>${toIso(item.date)}</published>`);
+    item.authors.forEach(name => lines.push(`    <author><name>${escapeHtml(name)}</name></author>`));
+    item.tags.forEach(tag => lines.push(`    <category term="${escapeHtml(tag)}"/>`));
+    lines.push(
+      `    <summary>${escapeHtml(item.summary)}</summary>`,
+      `    <content type="html">${escapeHtml(item.html)}</content>`,
+      '  </entry>'
+    );
+  });
+
+  lines.push('</feed>');
+  return lines.join('\n') + '\n';
+}
+
+// https://www.jsonfeed.org/version/1.1/
+function renderJsonFeed(feed, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    description: feed.description,
+    icon: feed.icon,
+    language: 'en',
+    authors: [{ name: feed.author }],
+    items: items.map(item => {
+      const entry = {
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        content_html: item.html
+      };
+      if (item.image) entry.image = item.image;
+      if (item.date) entry.date_published = toIso(item.date);
+      if (item.authors.length > 0) entry.authors = item.authors.map(name => ({ name }));
+      if (item.tags.length > 0) entry.tags = item.tags;
+      return entry;
+    })
+  }, null, 2) + '\n';
+}
+
+// https://github.com/Podcastindex-org/podcast-namespace/blob/main/chapters/jsonChapters.md
+function renderChapters(episode) {
+  return JSON.stringify({
+    version: '1.2.0',
+    title: episode.title,
+    chapters: episode.chapters.map(chapter => {
+      const entry = { startTime: chapter.seconds, title: chapter.title };
+      if (episode.youtubeId) entry.url = `https://youtu.be/${episode.youtubeId}?t=${chapter.seconds}`;
+      return entry;
+    })
+  }, null, 2) + '\n';
+}
+
+// Episodes are published as YouTube videos, so items link to the video rather than carrying
+// an audio enclosure; podcast apps that read <podcast:chapters> still get the chapter list.
+function renderPodcast(feed, items, site) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:podcast="https://podcastindex.org/namespace/1.0">',
+    '  <channel>',
+    `    <title>${escapeHtml(feed.title)}</title>`,
+    `    <link>${escapeHtml(feed.homeUrl)}</link>`,
+    `    <description>${escapeHtml(feed.description)}</description>`,
+    '    <language>en</language>',
+    `    <atom:link href="${escapeHtml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <itunes:author>${escapeHtml(feed.author)}</itunes:author>`,
+    `    <itunes:image href="${escapeHtml(feed.icon)}"/>`,
+    '    <itunes:category text="Technology"/>',
+    '    <itunes:explicit>false</itunes:explicit>',
+    '    <podcast:medium>podcast</podcast:medium>'
+  ];
+  if (feed.updated) lines.push(`    <lastBuildDate>${toRfc822(feed.updated)}</lastBuildDate>`);
+
+  items.forEach(item => {
+    const episode = item.episode;
+    lines.push(
+      '    <item>',
+      `      <title>${escapeHtml(item.title)}</title>`,
+      `      <link>${escapeHtml(episode.youtubeUrl || item.url)}</link>`,
+      `      <guid isPermaLink="true">${escapeHtml(item.id)}</guid>`,
+      `      <description>${escapeHtml(item.html)}</description>`,
+      `      <itunes:summary>${escapeHtml(episode.summary)}</itunes:summary>`,
+      `      <itunes:episode>${episode.number}</itunes:episode>`,
+      '      <itunes:episodeType>full</itunes:episodeType>'
+    );
+    if (item.date) lines.push(`      <pubDate>${toRfc822(item.date)}</pubDate>`);
+    if (item.image) lines.push(`      <itunes:image href="${escapeHtml(item.image)}"/>`);
+    if (episode.presenters.length > 0) {
+      lines.push(`      <itunes:author>${escapeHtml(episode.presenters.join(', '))}</itunes:author>`);
+      episode.presenters.forEach(name => lines.push(`      <podcast:person>${escapeHtml(name)}</podcast:person>`));
+    }
+    if (episode.chapters.length > 0) {
+      const chaptersUrl = new URL(`feeds/chapters/${episode.id}.json`, site.url).href;
+      lines.push(`      <podcast:chapters url="${escapeHtml(chaptersUrl)}" type="application/json+chapters"/>`);
+    }
+    lines.push('    </item>');
+  });
+
+  lines.push('  </channel>', '</rss>');
+  return lines.join('\n') + '\n';
+}
+
+function writeFeeds(name, feed, items) {
+  const formats = [
+    [`${name}.xml`, renderRss],
+    [`${name}.atom`, renderAtom],
+    [`${name}.json`, renderJsonFeed]
+  ];
+  formats.forEach(([file, render]) => {
+    writeFile(path.join(FEEDS_DIR, file), render(Object.assign({}, feed, { selfUrl: feedUrl(feed.site, file) }), items));
+  });
+}
+
+function main() {
+  const site = readSite();
+  const { episodes } = readEpisodes(site.url);
+  const { resources } = readResources(site.url);
+  const common = {
+    site,
+    author: site.title,
+    icon: new URL(LOGO_PATH, site.url).href
+  };
+
+  const episodeFeed = Object.assign({}, common, {
+    title: `${site.title}: Episodes`,
+    description: site.description,
+    homeUrl: new URL('pages/index.html', site.url).href,
+    updated: newestDate(episodes)
+  });
+  writeFeeds('episodes', episodeFeed, episodeItems(episodes));
+
+  writeFeeds('resources', Object.assign({}, common, {
+    title: `${site.title}: Resources`,
+    description: 'Articles, tutorials and research about AI tools, curated by the lab.',
+    homeUrl: new URL('pages/resources.html', site.url).href,
+    updated: newestDate(resources)
+  }), resourceItems(resources));
+
+  writeFile(path.join(FEEDS_DIR, 'podcast.xml'), renderPodcast(
+    Object.assign({}, episodeFeed, { title: site.title, selfUrl: feedUrl(site, 'podcast.xml') }),
+    episodeItems(episodes),
+    site
+  ));
+  episodes
+    .filter(episode => episode.chapters.length > 0)
+    .forEach(episode => writeFile(path.join(FEEDS_DIR, 'chapters', `${episode.id}.json`), renderChapters(episode)));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`build-feeds: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+// Fixture harness for the episode generator (scripts/build-episodes.js)
+//
+// Builds a small site in a temporary folder (the real template, an index with two hand-maintained
+// episodes and a data file for a third), runs the generator on it through AI_TOOLS_LAB_ROOT and
+// checks the new page, its card in the index and the prev/next navigation on both sides. Prints
+// one line per scenario and exits 1 if any of them fails.
+//
+// Usage: node scripts/build-harness.js [--verbose]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readRecordingGrid, readEpisodePage } = require('./lib/pages');
+const { TEMPLATES_DIR } = require('./lib/paths');
+const { getProblems, runScenarios, runHarness } = require('./lib/harness');
+
+const GENERATOR_PATH = path.join(__dirname, 'build-episodes.js');
+const verbose = process.argv.includes('--verbose');
+
+function card(number, title, date, badge) {
+  return [
+    `<div class="recording-card" data-category="demo" data-tags="mcp" data-presenters="Jason Hand">`,
+    `    <a href="ep${number}.html">`,
+    '        <div class="video-container">',
+    `            <img src="../images/thumbnails/ep${number}.png" alt="Recording ${parseInt(number, 10)} Thumbnail">`,
+    ...(badge ? ['            <span class="featured-badge">Newest</span>'] : []),
+    '        </div>',
+    '        <div class="recording-card-content">',
+    `            <h3>${title}</h3>`,
+    `            <p>About ${title}</p>`,
+    '            <div class="recording-meta">',
+    `                <span class="recording-date">${date}</span>`,
+    '            </div>',
+    '        </div>',
+    '    </a>',
+    '</div>'
+  ].join('\n                ');
+}
+
+// A hand-maintained episode page: only its navigation block matters to the generator
+function handPage(number) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<body>',
+    `    <main class="container"><h1>Episode ${number}</h1></main>`,
+    '    <div class="episode-navigation">',
+    '        <div class="container"><p>Out of date</p></div>',
+    '    </div>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+const FIXTURE = {
+  'pages/index.html': [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<body>',
+    '    <main class="container">',
+    '        <section class="recordings">',
+    '            <div class="recording-grid">',
+    `                ${card('02', 'Second Episode', 'March 2, 2025', true)}`,
+    `                ${card('01', 'First Episode', 'January 5, 2025', false)}`,
+    '            </div>',
+    '        </section>',
+    '    </main>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n'),
+  'pages/ep01.html': handPage('01'),
+  'pages/ep02.html': handPage('02'),
+  'episodes/ep03.md': [
+    '---',
+    'number: 3',
+    'title: Rules & Agents',
+    'date: April 14, 2025',
+    'youtube: abc123XYZ_-',
+    'category: guide',
+    'tags: cursor, mcp',
+    'presenters: Jason Hand, Ryan MacLean',
+    'description: Writing rules for agents.',
+    'chapters:',
+    '  - 00:00 Welcome',
+    '  - 01:05 Writing the rules',
+    'resources:',
+    '  - [Cursor](https://cursor.com) - The editor',
+    'takeaways:',
+    '  - Write the rules down',
+    '---',
+    'First we look at <rules> files.',
+    '',
+    'Then at agents that follow them,',
+    'over two lines.',
+    ''
+  ].join('\n')
+};
+
+function writeFixture() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-harness-'));
+  fs.mkdirSync(path.join(root, 'templates'));
+  fs.copyFileSync(path.join(TEMPLATES_DIR, 'default_template.html'), path.join(root, 'templates', 'default_template.html'));
+  Object.keys(FIXTURE).forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), FIXTURE[file]);
+  });
+  return root;
+}
+
+function generate(root) {
+  const output = execFileSync(process.execPath, [GENERATOR_PATH], {
+    cwd: root,
+    env: Object.assign({}, process.env, { AI_TOOLS_LAB_ROOT: root }),
+    encoding: 'utf8'
+  });
+  if (verbose) process.stdout.write(output);
+  return output;
+}
+
+function navigation(html) {
+  return html.slice(html.indexOf('<div class="episode-navigation">'));
+}
+
+const scenarios = [
+  {
+    name: 'each paragraph of the summary is its own <p>',
+    run: site => {
+      const html = site.read('pages/ep03.html');
+      const page = readEpisodePage(html);
+      return html.includes([
+        '            <p>First we look at &lt;rules&gt; files.</p>',
+        '            <p>Then at agents that follow them,\nover two lines.</p>'
+      ].join('\n')) &&
+        page.summary === 'First we look at <rules> files.\n\nThen at agents that follow them,\nover two lines.' ||
+        [`summary read back as ${JSON.stringify(page.summary)}`];
+    }
+  },
+  {
+    name: 'the page carries the chapters, resources and takeaways and no placeholders',
+    run: site => {
+      const html = site.read('pages/ep03.html');
+      const page = readEpisodePage(html);
+      const problems = [];
+      if (/\{\{[A-Z_]+\}\}|Format for/.test(html)) problems.push('template placeholders or guide comments left in');
+      if (page.title !== 'Rules & Agents') problems.push(`title ${page.title}`);
+      if (JSON.stringify(page.chapters.map(chapter => [chapter.seconds, chapter.title])) !== '[[0,"Welcome"],[65,"Writing the rules"]]') {
+        problems.push(`chapters ${JSON.stringify(page.chapters)}`);
+      }
+      if (JSON.stringify(page.takeaways) !== '["Write the rules down"]') problems.push(`takeaways ${JSON.stringify(page.takeaways)}`);
+      if (!html.includes('<a href="https://cursor.com" target="_blank">Cursor</a> - The editor')) problems.push('resource missing');
+      return problems;
+    }
+  },
+  {
+    name: 'the index gets a card for it, newest first, and the badge moves to it',
+    run: site => {
+      const { cards } = readRecordingGrid(site.read('pages/index.html'));
+      const [card] = cards;
+      return cards.map(entry => entry.number).join(',') === '03,02,01' &&
+        card.title === 'Rules & Agents' && card.description === 'Writing rules for agents.' &&
+        card.date === 'April 14, 2025' && card.category === 'guide' && card.tags.join(',') === 'cursor,mcp' &&
+        card.html.includes('featured-badge') && !cards[1].html.includes('featured-badge') ||
+        [JSON.stringify(cards.map(entry => entry.html))];
+    }
+  },
+  {
+    name: 'the new page links back to the previous episode and says it is the latest',
+    run: site => {
+      const nav = navigation(site.read('pages/ep03.html'));
+      return nav.includes('<h3>Second Episode</h3>') && nav.includes('<a href="ep02.html" class="btn">Watch Episode</a>') &&
+        nav.includes('<h3>You are watching the latest episode</h3>');
+    }
+  },
+  {
+    name: 'the previous episode\'s page now links forward to it',
+    run: site => {
+      const nav = navigation(site.read('pages/ep02.html'));
+      return !nav.includes('Out of date') && nav.includes('<h3>Rules &amp; Agents</h3>') &&
+        nav.includes('<a href="ep03.html" class="btn">Watch Episode</a>') && nav.includes('<a href="ep01.html" class="btn">Watch Episode</a>') &&
+        site.read('pages/ep01.html') === FIXTURE['pages/ep01.html'];
+    }
+  },
+  {
+    name: 'building again changes nothing',
+    run: site => {
+      const output = generate(site.root);
+      return output.trim().split('\n').every(line => line.startsWith('unchanged')) || [output];
+    }
+  }
+];
+
+async function main() {
+  const root = writeFixture();
+  try {
+    generate(root);
+    const site = { root, read: file => fs.readFileSync(path.join(root, file), 'utf8') };
+    return await runScenarios(scenarios, async scenario => ({ problems: getProblems(await scenario.run(site)) }));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+runHarness('build-harness', main);
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Episode and resource manifests
+//
+// Writes data/episodes.json, data/resources.json and data/tools.json from the pages (see
+// lib/manifest.js). Each carries a schema `version`, which only changes when existing fields
+// change meaning or go away. The index page's featured episode and any [data-manifest] grid
+// (js/features/manifests.js) read them, and so can anything outside the site that needs the
+// latest episode. Form fields with data-options="tools" are filled from data/tools.json.
+//
+// Usage: node scripts/build-manifest.js [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const { readSite, readEpisodes, readResources, readTools } = require('./lib/manifest');
+const { ROOT } = require('./lib/paths');
+
+const DATA_DIR = path.join(ROOT, 'data');
+const SCHEMA_VERSION = 1;
+
+const dryRun = process.argv.includes('--dry-run');
+
+function writeFile(file, contents) {
+  const relative = path.relative(process.cwd(), file);
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === contents) {
+    console.log(`unchanged  ${relative}`);
+    return;
+  }
+  if (dryRun) {
+    console.log(`would write ${relative}`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+  console.log(`wrote      ${relative}`);
+}
+
+function main() {
+  const site = readSite();
+  const write = (name, data) => writeFile(path.join(DATA_DIR, name),
+    JSON.stringify(Object.assign({ version: SCHEMA_VERSION }, data), null, 2) + '\n');
+
+  write('episodes.json', readEpisodes(site.url));
+  write('resources.json', readResources(site.url));
+  write('tools.json', readTools());
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`build-manifest: ${error.message}`);
+  process.exit(1);
+}
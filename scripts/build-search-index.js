@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// Search index builder
+//
+// Collects searchable documents from the episode pages (title, summary, takeaways and
+// one document per timestamped transcript block), pages/resources.html,
+// pages/observations.html and dictionary/dictionary.md into data/search-index.json,
+// which the header search in js/features/site-search.js loads on first use.
+//
+// Usage: node scripts/build-search-index.js [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const { parseTranscript } = require('./lib/transcript');
+const { readEpisodePage, readResourceCards, readObservationCards } = require('./lib/pages');
+const { parseDictionary } = require('./lib/dictionary');
+const { formatTimestamp } = require('./lib/time');
+const { ROOT, PAGES_DIR } = require('./lib/paths');
+
+const DATA_DIR = path.join(ROOT, 'data');
+const OUTPUT_PATH = path.join(DATA_DIR, 'search-index.json');
+const DICTIONARY_PATH = path.join(ROOT, 'dictionary', 'dictionary.md');
+
+const dryRun = process.argv.includes('--dry-run');
+
+function listEpisodePages() {
+  return fs.readdirSync(PAGES_DIR)
+    .filter(file => /^ep\d+\.html$/.test(file))
+    .sort((a, b) => parseInt(a.slice(2), 10) - parseInt(b.slice(2), 10));
+}
+
+function plainText(text) {
+  return text.replace(/\[(?:\d{1,2}:)?\d{1,2}:\d{2}\]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function episodeDocuments(file) {
+  const page = readEpisodePage(fs.readFileSync(path.join(PAGES_DIR, file), 'utf8'));
+  const episode = `Episode ${parseInt(file.slice(2), 10)}`;
+  const documents = [{
+    type: 'episode',
+    title: page.title,
+    text: [page.summary].concat(page.takeaways, page.chapters.map(chapter => chapter.title)).join(' '),
+    url: file,
+    context: episode
+  }];
+
+  // One document per speaker turn; untimed blocks are folded into the previous turn
+  parseTranscript(page.transcript).forEach(entry => {
+    const text = plainText(entry.paragraphs.join(' '));
+    if (!text) return;
+
+    const previous = documents[documents.length - 1];
+    if (entry.seconds === null && previous.type === 'transcript') {
+      previous.text += ' ' + text;
+      return;
+    }
+
+    documents.push({
+      type: 'transcript',
+      title: page.title,
+      text,
+      url: entry.seconds === null ? file : `${file}#t=${entry.seconds}`,
+      context: [episode, entry.seconds === null ? null : formatTimestamp(entry.seconds), entry.speaker]
+        .filter(Boolean).join(' · ')
+    });
+  });
+
+  return documents;
+}
+
+function resourceDocuments() {
+  const html = fs.readFileSync(path.join(PAGES_DIR, 'resources.html'), 'utf8');
+  return readResourceCards(html).map(card => ({
+    type: 'resource',
+    title: card.title,
+    text: [card.description, card.tags.join(' ')].join(' ').trim(),
+    url: card.url,
+    context: [card.source, card.date].filter(Boolean).join(' · ')
+  }));
+}
+
+function observationDocuments() {
+  const html = fs.readFileSync(path.join(PAGES_DIR, 'observations.html'), 'utf8');
+  return readObservationCards(html).map(card => ({
+    type: 'observation',
+    title: card.title,
+    text: card.takeaways.concat(card.tools, card.concepts).join(' '),
+    url: card.href || 'observations.html',
+    context: card.episode ? `Observations · Episode ${parseInt(card.episode, 10)}` : 'Observations'
+  }));
+}
+
+function dictionaryDocuments() {
+  return parseDictionary(fs.readFileSync(DICTIONARY_PATH, 'utf8')).map(entry => ({
+    type: 'dictionary',
+    title: entry.term,
+    text: entry.definition,
+    url: `dictionary.html#term-${entry.slug}`,
+    context: 'Dictionary'
+  }));
+}
+
+function main() {
+  const documents = []
+    .concat(...listEpisodePages().map(episodeDocuments))
+    .concat(resourceDocuments(), observationDocuments(), dictionaryDocuments());
+
+  const contents = JSON.stringify({ documents }) + '\n';
+  const relative = path.relative(process.cwd(), OUTPUT_PATH);
+
+  if (fs.existsSync(OUTPUT_PATH) && fs.readFileSync(OUTPUT_PATH, 'utf8') === contents) {
+    console.log(`unchanged  ${relative} (${documents.length} documents)`);
+    return;
+  }
+  if (dryRun) {
+    console.log(`would write ${relative} (${documents.length} documents)`);
+    return;
+  }
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, contents);
+  console.log(`wrote      ${relative} (${documents.length} documents)`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`build-search-index: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// Resource thumbnail generator
+//
+// Renders the card thumbnail for every resource in pages/resources.html (the design
+// generateResourceThumbnails() in js/features/thumbnails.js used to draw on every page load) into
+// images/resources/<slug>.png and .webp. Cards still on the placeholder image are pointed at the
+// generated files; cards with a hand-picked image keep it. The page's og:image becomes a 1200x630
+// social image of the newest resource in images/resources/og/<slug>.png, and social images of
+// resources that are no longer the newest are removed.
+//
+// Usage: node scripts/build-thumbnails.js [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { readResourceCards } = require('./lib/pages');
+const { renderThumbnailSvg } = require('./lib/thumbnails');
+const { parseCardDate } = require('./lib/time');
+const { escapeHtml, slugify } = require('./lib/html');
+const { PAGES_DIR, IMAGES_DIR } = require('./lib/paths');
+
+const RESOURCES_PATH = path.join(PAGES_DIR, 'resources.html');
+const OUTPUT_DIR = path.join(IMAGES_DIR, 'resources');
+const OG_DIR = path.join(OUTPUT_DIR, 'og');
+const PLACEHOLDER_IMAGE = '../images/resource-placeholder.jpg';
+const GENERATED_PREFIX = '../images/resources/';
+
+// Cards are 400x200 design units rendered at 2x; social images are 400x210 at 3x (1200x630)
+const CARD_SIZE = { height: 200, scale: 2 };
+const OG_SIZE = { height: 210, scale: 3 };
+
+const dryRun = process.argv.includes('--dry-run');
+
+function writeFile(file, contents) {
+  const relative = path.relative(process.cwd(), file);
+  if (fs.existsSync(file) && Buffer.compare(fs.readFileSync(file), Buffer.from(contents)) === 0) {
+    console.log(`unchanged  ${relative}`);
+    return;
+  }
+  if (dryRun) {
+    console.log(`would write ${relative}`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+  console.log(`wrote      ${relative}`);
+}
+
+async function renderImages(card, slug) {
+  const resource = { title: card.title, source: card.source, date: card.date };
+  const cardImage = sharp(Buffer.from(renderThumbnailSvg(resource, CARD_SIZE)));
+
+  writeFile(path.join(OUTPUT_DIR, `${slug}.png`), await cardImage.clone().png().toBuffer());
+  writeFile(path.join(OUTPUT_DIR, `${slug}.webp`), await cardImage.clone().webp({ quality: 90 }).toBuffer());
+}
+
+async function renderOgImage(card, slug) {
+  const resource = { title: card.title, source: card.source, date: card.date };
+  writeFile(path.join(OG_DIR, `${slug}.png`),
+    await sharp(Buffer.from(renderThumbnailSvg(resource, OG_SIZE))).png().toBuffer());
+}
+
+// Only the page's og:image is used, so any other social image is left over from an earlier newest
+function removeStaleOgImages(slug) {
+  if (!fs.existsSync(OG_DIR)) return;
+  fs.readdirSync(OG_DIR).filter(file => file !== `${slug}.png`).forEach(file => {
+    const relative = path.relative(process.cwd(), path.join(OG_DIR, file));
+    if (dryRun) {
+      console.log(`would remove ${relative}`);
+      return;
+    }
+    fs.unlinkSync(path.join(OG_DIR, file));
+    console.log(`removed    ${relative}`);
+  });
+}
+
+// Replaces the card's <img> (or a previously generated <picture>) with the WebP/PNG pair
+function useGeneratedImage(cardHtml, card, slug) {
+  if (card.image !== PLACEHOLDER_IMAGE && !card.image.startsWith(GENERATED_PREFIX)) {
+    return cardHtml;
+  }
+  return cardHtml.replace(/(\n[ \t]*)(?:<picture>[\s\S]*?<\/picture>|<img\b[^>]*>)/, (match, indent) => [
+    '<picture>',
+    `    <source srcset="${GENERATED_PREFIX}${slug}.webp" type="image/webp">`,
+    `    <img src="${GENERATED_PREFIX}${slug}.png" alt="${escapeHtml(card.title)}">`,
+    '</picture>'
+  ].map(line => indent + line).join(''));
+}
+
+// Cards with a date parseCardDate() can't read never count as the newest
+function newestCard(cards) {
+  const dateOf = card => parseCardDate(card.date) || '';
+  return cards.reduce((newest, card) => (dateOf(card) > dateOf(newest) ? card : newest));
+}
+
+async function main() {
+  let html = fs.readFileSync(RESOURCES_PATH, 'utf8');
+  const cards = readResourceCards(html);
+  if (cards.length === 0) {
+    throw new Error('pages/resources.html has no resource cards');
+  }
+
+  // Social images need absolute URLs; resolve them against the page's own og:url
+  const pageUrlMatch = html.match(/<meta property="og:url" content="([^"]*)">/);
+  if (!pageUrlMatch) {
+    throw new Error('pages/resources.html has no og:url to resolve og:image against');
+  }
+
+  const slugs = new Map();
+  for (const card of cards) {
+    const slug = slugify(card.title);
+    if (slugs.has(slug)) {
+      throw new Error(`"${card.title}" and "${slugs.get(slug).title}" would share images/resources/${slug}.png`);
+    }
+    slugs.set(slug, card);
+    await renderImages(card, slug);
+  }
+
+  // Rewrite from the last card back so earlier offsets stay valid
+  [...slugs].reverse().forEach(([slug, card]) => {
+    html = html.slice(0, card.start) + useGeneratedImage(card.html, card, slug) + html.slice(card.end);
+  });
+
+  const newest = newestCard(cards);
+  const newestSlug = slugify(newest.title);
+  await renderOgImage(newest, newestSlug);
+  removeStaleOgImages(newestSlug);
+  const ogImageUrl = new URL(`${GENERATED_PREFIX}og/${newestSlug}.png`, pageUrlMatch[1]).href;
+  html = html.replace(/(<meta property="og:image" content=")[^"]*(">)/, `$1${ogImageUrl}$2`);
+
+  writeFile(RESOURCES_PATH, html);
+}
+
+main().catch(error => {
+  console.error(`build-thumbnails: ${error.message}`);
+  process.exit(1);
+});
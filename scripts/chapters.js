@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+// Chapter marker proposals
+//
+// Proposes chapters for an episode from its transcript (see lib/chapters.js for how topic
+// changes are found), for a person to review before anything reaches the page:
+//
+//   propose  writes the proposals to .local/chapters/epNN.md, one "HH:MM:SS Title" line per
+//            chapter (the format episode data files use), with the page's current chapters
+//            alongside as comments. Edit the titles and times, delete what you don't want.
+//            --print writes the chapter-marker <li> markup to stdout instead.
+//   apply    writes the reviewed file into the episode: the chapters: list of episodes/epNN.md
+//            when the page is generated from one, otherwise the chapter-markers list in
+//            pages/epNN.html.
+//
+// The transcript is the page's own unless --transcript names a file (transcripts/*.md or a
+// page); a transcripts/epNN-transcript.md is used for pages that don't have one yet.
+//
+// Usage:
+//   node scripts/chapters.js propose <epNN> [--count 8] [--transcript file] [--print] [--youtube ID]
+//   node scripts/chapters.js apply <epNN> [--youtube ID] [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const { proposeChapters, renderChapterMarkers } = require('./lib/chapters');
+const { findTranscriptFiles, parseChapter } = require('./lib/episodes');
+const { parseTranscript } = require('./lib/transcript');
+const { readEpisodePage, readPageTranscript, getYouTubeId } = require('./lib/pages');
+const { findElementEnd } = require('./lib/html');
+const { formatTimestamp } = require('./lib/time');
+const { ROOT, PAGES_DIR, EPISODES_DIR } = require('./lib/paths');
+
+const PROPOSALS_DIR = path.join(ROOT, '.local', 'chapters');
+const LIST_OPENING = '<ul class="chapter-markers">';
+
+function parseArgs(argv) {
+  const options = { command: argv[0], positional: [], flags: {} };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--print' || arg === '--dry-run') {
+      options.flags[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`${arg} expects a value`);
+      }
+      options.flags[arg.slice(2)] = argv[++i];
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// "ep5", "ep05", "5" -> "05"
+function episodeNumber(options) {
+  const match = String(options.positional[0] || '').match(/^(?:ep)?(\d+)$/i);
+  if (!match) {
+    throw new Error('Expected an episode, e.g. ep05');
+  }
+  return String(parseInt(match[1], 10)).padStart(2, '0');
+}
+
+function relative(file) {
+  return path.relative(process.cwd(), file);
+}
+
+function readPage(number) {
+  const file = path.join(PAGES_DIR, `ep${number}.html`);
+  return fs.existsSync(file) ? { file, html: fs.readFileSync(file, 'utf8') } : null;
+}
+
+function readTranscriptFile(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  return path.extname(file) === '.html' ? readPageTranscript(source) : source;
+}
+
+function readTranscript(number, page, flags) {
+  if (flags.transcript) {
+    return { source: flags.transcript, entries: parseTranscript(readTranscriptFile(flags.transcript)) };
+  }
+
+  const pageEntries = page ? parseTranscript(readPageTranscript(page.html)) : [];
+  if (pageEntries.some(entry => entry.seconds)) {
+    return { source: relative(page.file), entries: pageEntries };
+  }
+
+  const files = findTranscriptFiles(number);
+  if (files.length > 1) {
+    throw new Error(`ep${number} has ${files.length} transcript parts; pick the one that matches the video with --transcript`);
+  }
+  if (files.length === 0) {
+    throw new Error(`ep${number} has no timestamped transcript in pages/ or transcripts/`);
+  }
+  return { source: relative(files[0]), entries: parseTranscript(fs.readFileSync(files[0], 'utf8')) };
+}
+
+function youtubeIdFor(page, flags) {
+  const id = flags.youtube || (page ? getYouTubeId(readEpisodePage(page.html).videoHref) : '');
+  if (!id) {
+    throw new Error('Could not find the episode\'s YouTube video on its page; pass --youtube ID');
+  }
+  return id;
+}
+
+function proposalPath(number) {
+  return path.join(PROPOSALS_DIR, `ep${number}.md`);
+}
+
+function propose(options) {
+  const number = episodeNumber(options);
+  const page = readPage(number);
+  const transcript = readTranscript(number, page, options.flags);
+
+  let chapters;
+  try {
+    chapters = proposeChapters(transcript.entries, { count: parseInt(options.flags.count, 10) || undefined });
+  } catch (error) {
+    throw new Error(`${transcript.source}: ${error.message}`);
+  }
+
+  if (options.flags.print) {
+    process.stdout.write(renderChapterMarkers(chapters, youtubeIdFor(page, options.flags)).join('\n') + '\n');
+    return;
+  }
+
+  const current = page ? readEpisodePage(page.html).chapters : [];
+  const lines = [
+    `# Proposed chapters for ep${number}, from ${transcript.source}.`,
+    '# Edit the titles and times and delete the chapters you don\'t want, then run',
+    `#   npm run chapters -- apply ep${number}`,
+    '# Lines starting with # are ignored.',
+    ''
+  ];
+  chapters.forEach(chapter => {
+    lines.push(`# keywords: ${chapter.keywords.join(', ')}`);
+    lines.push(`${formatTimestamp(chapter.seconds)} ${chapter.title}`);
+  });
+  if (current.length > 0) {
+    lines.push('', `# Current chapters on pages/ep${number}.html:`);
+    current.forEach(chapter => lines.push(`# ${formatTimestamp(chapter.seconds || 0)} ${chapter.title}`));
+  }
+
+  const file = proposalPath(number);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+
+  chapters.forEach(chapter => console.log(`${formatTimestamp(chapter.seconds)}  ${chapter.title}`));
+  console.log(`wrote      ${relative(file)}`);
+  console.log(`Review it, then run \`npm run chapters -- apply ep${number}\`.`);
+}
+
+function readProposals(number) {
+  const file = proposalPath(number);
+  if (!fs.existsSync(file)) {
+    throw new Error(`${relative(file)} does not exist; run \`npm run chapters -- propose ep${number}\` first`);
+  }
+
+  const chapters = fs.readFileSync(file, 'utf8').split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => parseChapter(line, relative(file)));
+
+  if (chapters.length === 0) {
+    throw new Error(`${relative(file)} has no chapters left`);
+  }
+  chapters.forEach((chapter, index) => {
+    if (index > 0 && chapter.seconds <= chapters[index - 1].seconds) {
+      throw new Error(`${relative(file)}: "${chapter.title}" starts before the chapter above it`);
+    }
+  });
+  return chapters;
+}
+
+function writeFile(file, contents, dryRun) {
+  if (fs.readFileSync(file, 'utf8') === contents) {
+    console.log(`unchanged  ${relative(file)}`);
+    return false;
+  }
+  if (dryRun) {
+    console.log(`would write ${relative(file)}`);
+    return false;
+  }
+  fs.writeFileSync(file, contents);
+  console.log(`wrote      ${relative(file)}`);
+  return true;
+}
+
+// Replaces the chapters: list in an episode data file's front matter
+function applyToDataFile(file, chapters, dryRun) {
+  const source = fs.readFileSync(file, 'utf8');
+  const list = 'chapters:\n' + chapters.map(chapter => `  - ${formatTimestamp(chapter.seconds)} ${chapter.title}\n`).join('');
+  const existing = /^chapters:[ \t]*\r?\n(?:[ \t]+-[^\n]*\n)*/m;
+  const frontMatterEnd = source.indexOf('\n---', 3);
+  if (frontMatterEnd === -1) {
+    throw new Error(`${relative(file)} has no front matter`);
+  }
+
+  const updated = existing.test(source.slice(0, frontMatterEnd + 1))
+    ? source.replace(existing, list)
+    : source.slice(0, frontMatterEnd + 1) + list + source.slice(frontMatterEnd + 1);
+
+  if (writeFile(file, updated, dryRun)) {
+    console.log('Run `npm run build` to regenerate the page.');
+  }
+}
+
+function applyToPage(page, chapters, youtubeId, dryRun) {
+  const start = page.html.indexOf(LIST_OPENING);
+  if (start === -1) {
+    throw new Error(`${relative(page.file)} has no ${LIST_OPENING}`);
+  }
+  const end = findElementEnd(page.html, start, 'ul');
+  const indent = page.html.slice(page.html.lastIndexOf('\n', start) + 1, start);
+  const items = renderChapterMarkers(chapters, youtubeId).map(item => `${indent}    ${item}`);
+  const list = [LIST_OPENING, ...items, `${indent}</ul>`].join('\n');
+
+  writeFile(page.file, page.html.slice(0, start) + list + page.html.slice(end), dryRun);
+}
+
+function apply(options) {
+  const number = episodeNumber(options);
+  const chapters = readProposals(number);
+  const dataFile = path.join(EPISODES_DIR, `ep${number}.md`);
+
+  if (fs.existsSync(dataFile)) {
+    applyToDataFile(dataFile, chapters, options.flags['dry-run']);
+    return;
+  }
+
+  const page = readPage(number);
+  if (!page) {
+    throw new Error(`There is no episodes/ep${number}.md or pages/ep${number}.html to apply chapters to`);
+  }
+  applyToPage(page, chapters, youtubeIdFor(page, options.flags), options.flags['dry-run']);
+}
+
+const COMMANDS = { propose, apply };
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const command = COMMANDS[options.command];
+  if (!command) {
+    throw new Error('Usage: node scripts/chapters.js <propose|apply> <epNN> [options]');
+  }
+  command(options);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`chapters: ${error.message}`);
+  process.exit(1);
+}
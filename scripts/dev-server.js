@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+// Local development server
+//
+// Serves the site and mounts proxy/datadog-proxy.js at /api/datadog/* (as netlify.toml does),
+// with a stand-in Datadog logs intake that appends every received log to .local/intake-logs.json.
+// Pages are served with window.AI_TOOLS_LAB_CONFIG = { transport: 'local' }, so the feedback
+// and suggestion forms go through the real proxy code without any network access.
+//
+// Usage: node scripts/dev-server.js [--port 8888]
+//
+// The recorded logs can be fed to the suggestion review CLI:
+//   node scripts/suggestions.js sync --from .local/intake-logs.json
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ROOT } = require('./lib/paths');
+
+const LOG_PATH = path.join(ROOT, '.local', 'intake-logs.json');
+const INTAKE_PATH = '/__intake/api/v2/logs';
+const PROXY_ROUTE = /^\/(?:api\/datadog|\.netlify\/functions\/datadog-proxy)(?:\/|$)/;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.atom': 'application/atom+xml; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon'
+};
+
+function parseArgs(argv) {
+  const options = { port: parseInt(process.env.PORT || '8888', 10) };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = parseInt(argv[++i], 10);
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  if (!Number.isInteger(options.port)) {
+    throw new Error('--port expects a number');
+  }
+  return options;
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function recordLogs(body) {
+  const logs = fs.existsSync(LOG_PATH) ? JSON.parse(fs.readFileSync(LOG_PATH, 'utf8')) : [];
+  const received = JSON.parse(body);
+  logs.push(...(Array.isArray(received) ? received : [received]));
+  fs.mkdirSync(path.dirname(LOG_PATH), { recursive: true });
+  fs.writeFileSync(LOG_PATH, JSON.stringify(logs, null, 2) + '\n');
+  return Array.isArray(received) ? received.length : 1;
+}
+
+// Stand-in for http-intake.logs.datadoghq.com, which answers 202 with an empty object
+async function handleIntake(request, response) {
+  const count = recordLogs(await readBody(request));
+  console.log(`intake     recorded ${count} log(s) in ${path.relative(process.cwd(), LOG_PATH)}`);
+  response.writeHead(202, { 'Content-Type': 'application/json' });
+  response.end('{}');
+}
+
+async function handleProxy(request, response, url) {
+  const { handler } = require(path.join(ROOT, 'proxy', 'datadog-proxy.js'));
+  const result = await handler({
+    httpMethod: request.method,
+    path: url.pathname,
+    headers: request.headers,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    body: await readBody(request),
+    isBase64Encoded: false
+  }, {});
+
+  console.log(`proxy      ${request.method} ${url.pathname} -> ${result.statusCode}`);
+  response.writeHead(result.statusCode, result.headers || {});
+  response.end(result.body || '');
+}
+
+function injectConfig(html) {
+  const config = '<script>window.AI_TOOLS_LAB_CONFIG = { transport: \'local\', localProxyUrl: \'/api/datadog\' };</script>';
+  return html.includes('</head>') ? html.replace('</head>', `    ${config}\n</head>`) : config + html;
+}
+
+function serveStatic(request, response, url) {
+  let file = path.join(ROOT, decodeURIComponent(url.pathname));
+  if (!file.startsWith(ROOT + path.sep) && file !== ROOT) {
+    response.writeHead(403);
+    response.end('Forbidden');
+    return;
+  }
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    file = path.join(file, 'index.html');
+  }
+  if (!fs.existsSync(file)) {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Not Found');
+    return;
+  }
+
+  const extension = path.extname(file).toLowerCase();
+  const contents = fs.readFileSync(file);
+  response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream' });
+  response.end(extension === '.html' ? injectConfig(contents.toString('utf8')) : contents);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const origin = `http://localhost:${options.port}`;
+
+  // Point the proxy at the stand-in intake; the keys only have to be present
+  process.env.DD_LOGS_INTAKE_URL = `${origin}${INTAKE_PATH}`;
+  process.env.DD_API_KEY = process.env.DD_API_KEY || 'local-dev';
+  process.env.DD_APP_KEY = process.env.DD_APP_KEY || 'local-dev';
+  process.env.ALLOWED_ORIGINS = [origin, `http://127.0.0.1:${options.port}`, process.env.ALLOWED_ORIGINS]
+    .filter(Boolean).join(',');
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, origin);
+    let handling;
+
+    if (url.pathname === INTAKE_PATH && request.method === 'POST') {
+      handling = handleIntake(request, response);
+    } else if (PROXY_ROUTE.test(url.pathname)) {
+      handling = handleProxy(request, response, url);
+    } else {
+      handling = Promise.resolve(serveStatic(request, response, url));
+    }
+
+    handling.catch(error => {
+      console.error(`dev-server: ${request.method} ${url.pathname} failed:`, error);
+      if (!response.headersSent) response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Internal Server Error');
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`Serving the site at ${origin}/pages/index.html`);
+    console.log(`Proxy at ${origin}/api/datadog, logs recorded in ${path.relative(process.cwd(), LOG_PATH)}`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`dev-server: ${error.message}`);
+  process.exit(1);
+}
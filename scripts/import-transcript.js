@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Transcript importer
+//
+// Converts raw transcripts (transcripts/*.md) or existing page transcripts (pages/epNN.html)
+// into the .transcript-timestamp / .transcript-speaker markup used inside <div class="transcript"><pre>.
+// Several files are treated as parts of one session (e.g. ep04-transcriptPt1.md ep04-transcriptPt2.md).
+//
+// Usage: node scripts/import-transcript.js <file...> [--speaker "Jason=Jason Hand"] [--out file]
+
+const fs = require('fs');
+const path = require('path');
+const { parseTranscript, renderTranscript } = require('./lib/transcript');
+const { readPageTranscript } = require('./lib/pages');
+
+function parseArgs(argv) {
+  const options = { files: [], aliases: {}, out: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--speaker') {
+      const [alias, name] = (argv[++i] || '').split('=');
+      if (!alias || !name) {
+        throw new Error('--speaker expects "Short=Full Name"');
+      }
+      options.aliases[alias.trim()] = name.trim();
+    } else if (arg === '--out') {
+      options.out = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.files.length === 0) {
+    throw new Error('Usage: node scripts/import-transcript.js <file...> [--speaker "Jason=Jason Hand"] [--out file]');
+  }
+  return options;
+}
+
+// For HTML pages only the <pre> inside .transcript is a transcript
+function readTranscriptSource(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  if (path.extname(file) !== '.html') return source;
+
+  const transcript = readPageTranscript(source);
+  if (!transcript) {
+    throw new Error(`${file} has no <div class="transcript"> section`);
+  }
+  return transcript;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const parts = options.files.map(file => parseTranscript(readTranscriptSource(file)));
+
+  parts.forEach((entries, index) => {
+    const untimed = entries.filter(entry => entry.seconds === null).length;
+    if (untimed > 0) {
+      console.warn(`warning: ${options.files[index]} has ${untimed} block(s) without a leading timestamp`);
+    }
+  });
+
+  const markup = renderTranscript(parts, { aliases: options.aliases });
+
+  if (options.out) {
+    fs.writeFileSync(options.out, markup + '\n');
+    console.log(`wrote ${options.out}`);
+  } else {
+    process.stdout.write(markup + '\n');
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`import-transcript: ${error.message}`);
+  process.exit(1);
+}
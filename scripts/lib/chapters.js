@@ -0,0 +1,299 @@
+// Chapter proposals from a parsed transcript, plus the chapter-marker markup the template uses.
+//
+// The transcript is cut into 30-second blocks. Every gap between blocks is scored the way
+// TextTiling does it: how much the vocabulary of the few blocks before the gap differs from the
+// few blocks after it, measured against the similarity peaks on either side. Gaps where the main
+// speaker changes or someone says "moving on" / "let me show you" score higher. The best gaps
+// at least MIN_CHAPTER_SECONDS apart become chapters, titled after the words that are common
+// in that chapter but rare elsewhere. It is all local word counting, so expect to edit titles.
+
+const { escapeHtml } = require('./html');
+
+const BLOCK_SECONDS = 30;
+const CONTEXT_BLOCKS = 4;
+const MIN_CHAPTER_SECONDS = 90;
+const SECONDS_PER_CHAPTER = 120;
+const MIN_CHAPTERS = 3;
+const MAX_CHAPTERS = 12;
+const SPEAKER_BONUS = 0.15;
+const CUE_BONUS = 0.2;
+const PHRASE_WEIGHT = 2.5;
+const TIMESTAMP_JITTER_SECONDS = 60;
+
+const INLINE_TIMESTAMP = /\[(?:(\d{1,2}):)?(\d{1,2}):(\d{2})\]/g;
+
+const CUE_PATTERN = new RegExp([
+  "let'?s (?:move on|switch|jump|talk about|look at|take a look|go (?:back|over|ahead)|get (?:into|started))",
+  'moving on', 'switch(?:ing)? gears', 'next (?:up|thing|step|topic)', 'the next',
+  'let me (?:show|share|pull up|switch)', 'now (?:let|we|I)', 'so anyway', 'another thing', 'to wrap (?:up|this up)'
+].join('|'), 'i');
+
+const STOP_WORDS = new Set(`
+  a able about above actually add added after again against agree ahead all almost already also although always am among an and another any anybody
+  anyone anything anyway anyways are aren't around as ask at awesome away back bad basically be because been before being below
+  best better between big bit both but by call came can can't cannot cause come comes coming cool could couldn't course create created
+  definitely did didn't different do does doesn't doing don't done down during each easy either else enough even ever
+  every everybody everyone everything exactly example fact feel feels few find first for found from front fun get gets getting
+  give go goes going gone gonna good got gotta great guess guy guys had hadn't happen happened happens happy hard has hasn't have
+  haven't having he he's hear heard hello her here here's hey hi him his hmm honestly how however huh i i'd i'll
+  i'm i've idea if in instead interesting into is isn't it it's its itself just keep kind kinda knew know known knows last
+  later least less let let's like likely literally little long look looking looks lot lots love made make makes making many
+  may maybe me mean means might mine minute minutes more most much must my myself need needed needs never new next nice no nope
+  not nothing now of off oh ok okay on once one ones only or other others our ourselves out over own part pretty
+  obviously probably put quite rather re real really remember right run said same saw say saying says second see seems seen she should
+  shouldn't show side since so some somebody someone something sometimes somewhat sort start started still
+  stuff such sure take takes talk talked talking tell than thank thanks that that's the their them then there there's
+  themselves these they they'd they'll they're they've thing things think thinking this those though thought through
+  time times to today together too top totally toward tried try trying two uh um under until up upon us
+  use used using very via want wanted wants was wasn't way ways we we'd we'll we're we've well went were
+  wait weren't what what's whatever when where whether which while who whole why will with within without won't
+  work works would wouldn't wow wrong yeah year years yep yes yet you you'd you'll you're you've your yours yourself
+`.trim().split(/\s+/));
+
+// Surface form, plus the key it is counted under (lowercase, naive plural folding)
+function tokenize(text) {
+  return (text.match(/[A-Za-z][A-Za-z0-9]*(?:['.-][A-Za-z0-9]+)*/g) || [])
+    .map(word => word.replace(/'s$/i, '').replace(/\.$/, ''))
+    .filter(word => {
+      const lower = word.toLowerCase();
+      return !STOP_WORDS.has(lower) && (word.length >= 3 || /^[A-Z]{2}$/.test(word));
+    })
+    .map(word => {
+      const lower = word.toLowerCase();
+      return { word, key: lower.length > 4 && /[^s]s$/.test(lower) ? lower.slice(0, -1) : lower };
+    });
+}
+
+// Flattens transcript entries into timed pieces of text, splitting paragraphs at inline [HH:MM:SS] markers
+function toUnits(entries) {
+  const units = [];
+  let seconds = 0;
+
+  entries.forEach(entry => {
+    if (entry.seconds !== null) {
+      // A few seconds back is transcription jitter; going back further means another part started
+      if (entry.seconds < seconds - TIMESTAMP_JITTER_SECONDS) {
+        throw new Error(`the timestamps go back from ${seconds}s to ${entry.seconds}s; is this several parts of one session?`);
+      }
+      seconds = Math.max(seconds, entry.seconds);
+    }
+    entry.paragraphs.forEach(paragraph => {
+      let last = 0;
+      const push = text => {
+        if (text.trim()) units.push({ seconds, speaker: entry.speaker, text: text.trim() });
+      };
+      for (const match of paragraph.matchAll(INLINE_TIMESTAMP)) {
+        push(paragraph.slice(last, match.index));
+        const inline = (parseInt(match[1] || '0', 10) * 3600) + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+        seconds = Math.max(seconds, inline);
+        last = match.index + match[0].length;
+      }
+      push(paragraph.slice(last));
+    });
+  });
+
+  return units;
+}
+
+function addCounts(target, source) {
+  source.forEach((count, key) => target.set(key, (target.get(key) || 0) + count));
+  return target;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((count, key) => {
+    normA += count * count;
+    if (b.has(key)) dot += count * b.get(key);
+  });
+  b.forEach(count => { normB += count * count; });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function toBlocks(units) {
+  const blocks = [];
+  units.forEach(unit => {
+    const index = Math.floor(unit.seconds / BLOCK_SECONDS);
+    let block = blocks[blocks.length - 1];
+    if (!block || block.index !== index) {
+      block = { index, seconds: unit.seconds, terms: new Map(), speakers: new Map(), cue: CUE_PATTERN.test(unit.text) };
+      blocks.push(block);
+    }
+    tokenize(unit.text).forEach(({ key }) => block.terms.set(key, (block.terms.get(key) || 0) + 1));
+    if (unit.speaker) {
+      block.speakers.set(unit.speaker, (block.speakers.get(unit.speaker) || 0) + unit.text.length);
+    }
+  });
+  return blocks;
+}
+
+function mainSpeaker(blocks) {
+  const totals = blocks.reduce((all, block) => addCounts(all, block.speakers), new Map());
+  return [...totals].sort((a, b) => b[1] - a[1]).map(([speaker]) => speaker)[0] || null;
+}
+
+// One score per gap before blocks[1..]; higher means a likelier topic change
+function scoreGaps(blocks) {
+  const similarities = blocks.map((block, gap) => {
+    if (gap === 0) return null;
+    const before = blocks.slice(Math.max(0, gap - CONTEXT_BLOCKS), gap).reduce((all, b) => addCounts(all, b.terms), new Map());
+    const after = blocks.slice(gap, gap + CONTEXT_BLOCKS).reduce((all, b) => addCounts(all, b.terms), new Map());
+    return cosine(before, after);
+  });
+
+  return blocks.map((block, gap) => {
+    if (gap === 0) return null;
+    const similarity = similarities[gap];
+    let leftPeak = similarity;
+    for (let i = gap - 1; i >= 1 && similarities[i] >= leftPeak; i--) leftPeak = similarities[i];
+    let rightPeak = similarity;
+    for (let i = gap + 1; i < similarities.length && similarities[i] >= rightPeak; i++) rightPeak = similarities[i];
+
+    let score = (leftPeak - similarity) + (rightPeak - similarity);
+    const speakerBefore = mainSpeaker(blocks.slice(Math.max(0, gap - 2), gap));
+    const speakerAfter = mainSpeaker(blocks.slice(gap, gap + 2));
+    if (speakerBefore && speakerAfter && speakerBefore !== speakerAfter) score += SPEAKER_BONUS;
+    if (block.cue) score += CUE_BONUS;
+    return score;
+  });
+}
+
+function pickBoundaries(blocks, scores, count, duration) {
+  const starts = [0];
+  const candidates = blocks
+    .map((block, gap) => ({ seconds: block.seconds, score: scores[gap] }))
+    .filter(candidate => candidate.score !== null && candidate.score > 0)
+    .sort((a, b) => b.score - a.score || a.seconds - b.seconds);
+
+  for (const candidate of candidates) {
+    if (starts.length >= count) break;
+    const farEnough = starts.every(start => Math.abs(candidate.seconds - start) >= MIN_CHAPTER_SECONDS)
+      && duration - candidate.seconds >= MIN_CHAPTER_SECONDS / 2;
+    if (farEnough) starts.push(candidate.seconds);
+  }
+
+  return starts.sort((a, b) => a - b);
+}
+
+// Every word in a unit plus every pair of words that sit next to each other in it
+function termKeys(unit) {
+  const tokens = tokenize(unit.text);
+  const keys = tokens.map(token => token.key);
+  tokens.forEach((token, i) => {
+    const next = tokens[i + 1];
+    if (next && next.key !== token.key && unit.text.includes(`${token.word} ${next.word}`)) {
+      keys.push(`${token.key} ${next.key}`);
+    }
+  });
+  return keys;
+}
+
+// Words and two-word phrases scored by how much more this chapter uses them than the others do
+function titleFor(chapterUnits, documentFrequency, chapterCount, surfaces) {
+  const counts = new Map();
+  chapterUnits.forEach(unit => termKeys(unit).forEach(key => counts.set(key, (counts.get(key) || 0) + 1)));
+
+  const ranked = [...counts]
+    .map(([key, count]) => {
+      const words = key.split(' ');
+      const rarity = Math.log((chapterCount + 1) / (documentFrequency.get(key) || 1));
+      return { key, score: count * rarity * (words.length > 1 ? PHRASE_WEIGHT : 1), count };
+    })
+    .filter(entry => entry.count >= 2 && entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+
+  const picked = [];
+  for (const entry of ranked) {
+    // A two-word phrase is a title on its own; single words read better in pairs
+    if (picked.length === 2 || (picked.length === 1 && picked[0].key.includes(' '))) break;
+    const words = entry.key.split(' ');
+    if (picked.some(other => other.key.split(' ').some(word => words.includes(word)))) continue;
+    picked.push(entry);
+  }
+
+  const phrase = entry => entry.key.split(' ').map(key => surfaces.get(key) || key).join(' ');
+  return {
+    keywords: ranked.slice(0, 6).map(phrase),
+    phrases: picked.map(phrase)
+  };
+}
+
+// Most common spelling of each key, so "MCP" and "Claude" keep their capitals
+function collectSurfaces(units) {
+  const spellings = new Map();
+  units.forEach(unit => tokenize(unit.text).forEach(({ word, key }) => {
+    const forms = spellings.get(key) || new Map();
+    forms.set(word, (forms.get(word) || 0) + 1);
+    spellings.set(key, forms);
+  }));
+
+  const surfaces = new Map();
+  spellings.forEach((forms, key) => {
+    const lower = forms.get(key) || 0;
+    const [best] = [...forms].sort((a, b) => b[1] - a[1]);
+    // Sentence-initial capitals shouldn't win over a word that is mostly written in lowercase
+    surfaces.set(key, lower * 2 >= best[1] ? key : best[0]);
+  });
+  return surfaces;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Chapters for a parsed transcript as [{ seconds, title, keywords }], starting at 0. `count`
+// defaults to one per SECONDS_PER_CHAPTER, between MIN_CHAPTERS and MAX_CHAPTERS.
+function proposeChapters(entries, { count } = {}) {
+  const units = toUnits(entries);
+  if (units.length === 0) {
+    throw new Error('the transcript has no text');
+  }
+  if (units[units.length - 1].seconds === 0) {
+    throw new Error('the transcript has no timestamps to place chapters at');
+  }
+
+  const duration = units[units.length - 1].seconds + BLOCK_SECONDS;
+  const target = count || Math.min(MAX_CHAPTERS, Math.max(MIN_CHAPTERS, Math.round(duration / SECONDS_PER_CHAPTER)));
+  const blocks = toBlocks(units);
+  const starts = pickBoundaries(blocks, scoreGaps(blocks), target, duration);
+
+  const chapters = starts.map((seconds, index) => ({
+    seconds,
+    units: units.filter(unit => unit.seconds >= seconds && (index === starts.length - 1 || unit.seconds < starts[index + 1]))
+  }));
+
+  // Document frequency of every word and phrase across the chapters, for the rarity weighting
+  const documentFrequency = new Map();
+  chapters.forEach(chapter => {
+    const keys = new Set();
+    chapter.units.forEach(unit => termKeys(unit).forEach(key => keys.add(key)));
+    keys.forEach(key => documentFrequency.set(key, (documentFrequency.get(key) || 0) + 1));
+  });
+
+  const surfaces = collectSurfaces(units);
+  return chapters.map((chapter, index) => {
+    const { keywords, phrases } = titleFor(chapter.units, documentFrequency, chapters.length, surfaces);
+    const topic = phrases.join(' and ');
+    let title;
+    if (index === 0) {
+      title = topic ? `Introduction and ${topic}` : 'Introduction';
+    } else {
+      title = topic ? capitalize(topic) : `Chapter ${index + 1}`;
+    }
+    return { seconds: chapter.seconds, title, keywords };
+  });
+}
+
+// The <li> lines the template's chapter-markers list holds
+function renderChapterMarkers(chapters, youtubeId) {
+  return chapters.map(chapter =>
+    `<li><a href="https://youtu.be/${youtubeId}?t=${chapter.seconds}" target="_blank">🕒</a> ${escapeHtml(chapter.title)}</li>`
+  );
+}
+
+module.exports = {
+  proposeChapters,
+  renderChapterMarkers
+};
@@ -0,0 +1,135 @@
+// Parser for dictionary/dictionary.md: "## Section" headings containing "### Term" entries.
+
+const { slugify } = require('./html');
+
+function parseDictionary(markdown) {
+  const terms = [];
+  let section = '';
+  let current = null;
+
+  const finishTerm = () => {
+    if (current) {
+      current.definition = current.definition.join(' ').trim();
+      terms.push(current);
+    }
+    current = null;
+  };
+
+  markdown.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+
+    if (line.startsWith('### ')) {
+      finishTerm();
+      const term = line.slice(4).trim();
+      // The slug is the term's #term-... anchor on dictionary.html (see build-dictionary.js)
+      current = { term, slug: slugify(term), section, line: index + 1, definition: [] };
+    } else if (line.startsWith('## ')) {
+      finishTerm();
+      section = line.slice(3).trim();
+    } else if (line.startsWith('# ')) {
+      finishTerm();
+    } else if (line && current) {
+      current.definition.push(line);
+    }
+  });
+
+  finishTerm();
+  return terms;
+}
+
+function hasTwoCapitals(word) {
+  return (word.match(/[A-Z]/g) || []).length >= 2;
+}
+
+// Acronyms and brand-style words ("RAG", "CoT", "ChatGPT", "Q-K-V") are matched case-sensitively;
+// anything with spaces or lowercase hyphenated parts ("Chain-of-Thought") is not
+function isExactAlias(text) {
+  return !/\s/.test(text) && hasTwoCapitals(text) && !/-[a-z]/.test(text) && !/[a-z]-/.test(text);
+}
+
+// The ways a heading can be written in running text, each with a priority for settling clashes:
+//   "LLM (Large Language Model)"          -> LLM, Large Language Model
+//   "Chain-of-Thought (CoT)"              -> Chain-of-Thought, CoT
+//   "Top-p (Nucleus) Sampling"            -> Top-p Sampling, Nucleus Sampling
+//   "Bias (Statistical)"                  -> Bias, at low priority since the other Bias claims it too
+function headingAliases(heading) {
+  const match = heading.match(/^(.*?)\s*\(([^)]+)\)\s*(.*)$/);
+  if (!match) return [{ text: heading, priority: 2 }];
+
+  const [, before, inside, after] = match;
+  if (after) {
+    return [{ text: `${before} ${after}`, priority: 2 }, { text: `${inside} ${after}`, priority: 1 }];
+  }
+  // An acronym on either side means the other side spells it out; otherwise it's a qualifier
+  if ([before, inside].some(text => text.split(/\s+/).some(hasTwoCapitals))) {
+    return [{ text: before, priority: 2 }, { text: inside, priority: 1 }];
+  }
+  return [{ text: before, priority: 0 }];
+}
+
+// Every phrase any heading claims, keyed the way it is matched, with the terms claiming it
+function claimAliases(terms) {
+  const claims = new Map();
+  terms.forEach(entry => headingAliases(entry.term).forEach(alias => {
+    const key = isExactAlias(alias.text) ? alias.text : alias.text.toLowerCase();
+    if (!claims.has(key)) claims.set(key, []);
+    claims.get(key).push({ slug: entry.slug, term: entry.term, text: alias.text, priority: alias.priority });
+  }));
+  return claims;
+}
+
+// The phrases each term is recognised by, as { slug: [{ text, exact }] }. A phrase several terms
+// claim goes to the most direct claim; a tie ("Bias" for both Bias entries) drops it.
+function getTermAliases(terms) {
+  const aliases = {};
+  terms.forEach(entry => { aliases[entry.slug] = []; });
+  claimAliases(terms).forEach(claimants => {
+    const best = Math.max(...claimants.map(claim => claim.priority));
+    const winners = claimants.filter(claim => claim.priority === best);
+    if (winners.length !== 1 || aliases[winners[0].slug].some(alias => alias.text === winners[0].text)) return;
+    aliases[winners[0].slug].push({ text: winners[0].text, exact: isExactAlias(winners[0].text) });
+  });
+  return aliases;
+}
+
+// Phrases more than one term claims, as [{ text, terms }]: usually an idea defined twice. Senses
+// told apart by a qualifier, like "Bias (Statistical)" and "Bias (Technical)", aren't reported.
+function findAliasClashes(terms) {
+  const clashes = [];
+  claimAliases(terms).forEach(claimants => {
+    const names = [...new Set(claimants.map(claim => claim.term))];
+    if (names.length > 1 && claimants.some(claim => claim.priority > 0)) {
+      clashes.push({ text: claimants[0].text, terms: names });
+    }
+  });
+  return clashes;
+}
+
+// A function giving the slugs of the terms some text mentions, in order of first mention, found
+// the way markDictionaryTerms() in js/features/dictionary.js finds them
+function createMentionFinder(aliases) {
+  const byText = new Map();
+  Object.entries(aliases).forEach(([slug, list]) => list.forEach(alias => {
+    byText.set(alias.text.toLowerCase(), { slug, alias });
+  }));
+  if (byText.size === 0) return () => [];
+
+  // Longest first, so "Multi-Head Attention" wins over "Attention"; plurals match too
+  const alternatives = Array.from(byText.values())
+    .map(entry => entry.alias.text)
+    .sort((a, b) => b.length - a.length)
+    .map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\w-])(${alternatives.join('|')})(?:e?s)?(?![\\w-])`, 'gi');
+
+  return text => {
+    const slugs = [];
+    for (const match of text.matchAll(pattern)) {
+      const entry = byText.get(match[1].toLowerCase());
+      if (!entry || (entry.alias.exact && match[1] !== entry.alias.text) || slugs.includes(entry.slug)) continue;
+      slugs.push(entry.slug);
+    }
+    return slugs;
+  };
+}
+
+module.exports = { parseDictionary, getTermAliases, findAliasClashes, createMentionFinder };
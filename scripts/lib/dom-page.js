@@ -0,0 +1,201 @@
+// Running the site's browser modules (js/) against a page in jsdom, for the harnesses.
+// jsdom can't load <script type="module">, so the modules are imported into Node instead, with
+// the page's window installed as the globals they use. Each page gets its own origin, so
+// anything a module keeps per URL (lib/data.js caches requests that way) doesn't carry over.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { ROOT, PAGES_DIR } = require('./paths');
+
+const FEATURES_DIR = path.join(ROOT, 'js', 'features');
+
+// Window properties the modules use as bare globals
+const GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+  'Node', 'NodeFilter', 'Element', 'HTMLElement', 'FormData', 'Event', 'KeyboardEvent', 'MouseEvent', 'CustomEvent',
+  'getComputedStyle', 'requestAnimationFrame'
+];
+
+let pageCount = 0;
+let current = null;
+
+// A matchMedia whose (max-width: 768px) answer the caller controls through setMobile()
+function stubMatchMedia(window, state) {
+  window.matchMedia = query => {
+    const listeners = [];
+    const list = {
+      media: query,
+      get matches() { return state.mobile; },
+      addEventListener: (type, listener) => listeners.push(listener),
+      removeEventListener: () => {},
+      addListener: listener => listeners.push(listener),
+      removeListener: () => {}
+    };
+    state.queries.push({ list, listeners });
+    return list;
+  };
+}
+
+function installGlobals(window) {
+  const saved = GLOBALS.map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+  GLOBALS.forEach(name => {
+    const value = name === 'window' ? window : window[name];
+    Object.defineProperty(globalThis, name, {
+      value: typeof value === 'function' && /^[a-z]/.test(name) ? value.bind(window) : value,
+      configurable: true,
+      writable: true
+    });
+  });
+  globalThis.fetch = window.fetch;
+  const clearTimers = trackTimers();
+  return () => {
+    clearTimers();
+    saved.forEach(([name, descriptor]) => {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    });
+  };
+}
+
+// Loads a page into jsdom and makes it the current page for the modules. Options: `page`, a file
+// in pages/, or `html`, markup to use instead (a bare fragment is wrapped in <body>); `path`, the
+// page's path on the site; `fetch`, standing in for window.fetch (by default every request stays
+// pending); `mobile`, whether (max-width: 768px) matches to begin with (default true); `storage`,
+// the localStorage entries it starts with; `config`, its window.AI_TOOLS_LAB_CONFIG over the
+// built js/config.js; `verbose`, to pass its console output through.
+function loadPage(options) {
+  if (current) current.close();
+
+  const html = options.page ? fs.readFileSync(path.join(PAGES_DIR, options.page), 'utf8') : options.html;
+  const pagePath = options.path || (options.page ? `/pages/${options.page}` : '/pages/test.html');
+  const virtualConsole = new VirtualConsole();
+  const logs = [];
+  if (options.verbose) {
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+  } else {
+    ['log', 'info', 'warn', 'error'].forEach(level => virtualConsole.on(level, (...args) => logs.push({ level, args })));
+  }
+  // jsdom doesn't load other documents; it only reports that a page tried to
+  virtualConsole.on('jsdomError', error => {
+    if (error.message.startsWith('Not implemented: navigation')) page.navigations++;
+  });
+
+  const dom = new JSDOM(/<html/i.test(html) ? html : `<!DOCTYPE html><html><body>${html}</body></html>`, {
+    url: `https://page-${++pageCount}.aitoolslab.test${pagePath}`,
+    // Page scripts never run; this only lets a harness eval into the window (axe-core)
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  const state = { mobile: options.mobile !== false, queries: [] };
+
+  stubMatchMedia(window, state);
+  window.fetch = options.fetch || (() => new Promise(() => {}));
+  window.Element.prototype.scrollIntoView = () => {};
+  window.Element.prototype.scrollTo = () => {};
+  window.scrollTo = () => {};
+  window.open = (...args) => { page.opened.push(args); };
+  Object.keys(options.storage || {}).forEach(key => window.localStorage.setItem(key, options.storage[key]));
+  if (options.config) window.AI_TOOLS_LAB_CONFIG = options.config;
+
+  // The modules log through the global console, which jsdom doesn't see
+  const restoreConsole = captureConsole(window);
+  const restoreGlobals = installGlobals(window);
+
+  const page = {
+    window,
+    document: window.document,
+    logs,
+    opened: [],
+    navigations: 0,
+    // Crossing the breakpoint, as the browser reports it to matchMedia listeners
+    setMobile(mobile) {
+      state.mobile = mobile;
+      state.queries.forEach(({ list, listeners }) => listeners.forEach(listener => listener({ matches: mobile, media: list.media })));
+    },
+    close() {
+      restoreGlobals();
+      restoreConsole();
+      window.close();
+      if (current === page) current = null;
+    }
+  };
+  current = page;
+  return page;
+}
+
+// Timers the modules start are cleared with the page, so a pending toast or retry can't keep
+// the process alive. (jsdom's own timers are built on these globals, so they can't stand in.)
+function trackTimers() {
+  const original = { setTimeout, setInterval };
+  const timers = new Set();
+  globalThis.setTimeout = (...args) => {
+    const timer = original.setTimeout(...args);
+    timers.add(timer);
+    return timer;
+  };
+  globalThis.setInterval = (...args) => {
+    const timer = original.setInterval(...args);
+    timers.add(timer);
+    return timer;
+  };
+  return () => {
+    Object.assign(globalThis, original);
+    timers.forEach(timer => clearTimeout(timer));
+  };
+}
+
+function captureConsole(window) {
+  const original = {};
+  ['log', 'info', 'warn', 'error'].forEach(level => {
+    original[level] = console[level];
+    console[level] = (...args) => window.console[level](...args);
+  });
+  return () => Object.assign(console, original);
+}
+
+// Every module in js/features/, imported once; importing registers their features
+async function importFeatures() {
+  const files = fs.readdirSync(FEATURES_DIR).filter(file => file.endsWith('.js')).sort();
+  for (const file of files) {
+    await import(pathToFileURL(path.join(FEATURES_DIR, file)).href);
+  }
+  return import(pathToFileURL(path.join(ROOT, 'js', 'lib', 'features.js')).href);
+}
+
+// Let pending promise callbacks (fetches, rendering that waits on them) run
+async function settle(rounds = 5) {
+  for (let i = 0; i < rounds; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+// A fetch that answers from a table of { 'data/episodes.json': body }, matched on the end of the
+// URL; anything else is a 404. A body that is a number is used as the status instead.
+function fakeFetch(responses, requests = []) {
+  return url => {
+    requests.push(String(url));
+    const key = Object.keys(responses).find(candidate => String(url).endsWith(candidate));
+    const body = key === undefined ? 404 : responses[key];
+    const status = typeof body === 'number' ? body : 200;
+    return Promise.resolve({
+      ok: status >= 200 && status < 300,
+      status,
+      json: () => Promise.resolve(body),
+      text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body))
+    });
+  };
+}
+
+module.exports = {
+  loadPage,
+  importFeatures,
+  settle,
+  fakeFetch
+};
@@ -0,0 +1,117 @@
+// Loads the per-episode data files in episodes/ into a normalized shape
+// that the page generator (and anything else that needs episode metadata) can use.
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter } = require('./frontmatter');
+const { parseTimestamp } = require('./time');
+const { EPISODES_DIR, TRANSCRIPTS_DIR } = require('./paths');
+
+const REQUIRED_FIELDS = ['number', 'title', 'date', 'youtube', 'description'];
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// "00:41 Learning about eBPF" -> { seconds: 41, title: 'Learning about eBPF' }
+function parseChapter(line, file) {
+  const match = line.match(/^(\S+)\s+(.+)$/);
+  const seconds = match ? parseTimestamp(match[1]) : null;
+  if (seconds === null) {
+    throw new Error(`${file}: chapter "${line}" must start with a MM:SS or HH:MM:SS timestamp`);
+  }
+  return { seconds, title: match[2].trim() };
+}
+
+// "[eBPF Docs](https://ebpf.io/) - Official documentation" -> { title, url, description }
+function parseResource(line, file) {
+  const match = line.match(/^\[([^\]]+)\]\(([^)\s]+)\)(?:\s+-\s+(.+))?$/);
+  if (!match) {
+    throw new Error(`${file}: resource "${line}" must look like [Title](https://url) - optional description`);
+  }
+  return { title: match[1], url: match[2], description: match[3] || '' };
+}
+
+// Transcripts live in transcripts/epNN-transcript.md, or as epNN-transcriptPt1.md, Pt2... for long sessions
+function findTranscriptFiles(number) {
+  if (!fs.existsSync(TRANSCRIPTS_DIR)) return [];
+
+  const pattern = new RegExp(`^ep${number}-transcript(?:Pt(\\d+))?\\.md$`);
+  return fs.readdirSync(TRANSCRIPTS_DIR)
+    .map(name => ({ name, match: name.match(pattern) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => (parseInt(a.match[1] || '0', 10) - parseInt(b.match[1] || '0', 10)))
+    .map(entry => path.join(TRANSCRIPTS_DIR, entry.name));
+}
+
+function normalizeEpisode(data, body, file) {
+  const missing = REQUIRED_FIELDS.filter(field => !data[field]);
+  if (missing.length > 0) {
+    throw new Error(`${file}: missing required field(s): ${missing.join(', ')}`);
+  }
+
+  const numberValue = parseInt(data.number, 10);
+  if (isNaN(numberValue)) {
+    throw new Error(`${file}: "number" must be numeric, got "${data.number}"`);
+  }
+
+  if (isNaN(new Date(data.date).getTime())) {
+    throw new Error(`${file}: cannot parse date "${data.date}" (use "Month DD, YYYY")`);
+  }
+
+  const number = String(numberValue).padStart(2, '0');
+  const transcriptFiles = data.transcript
+    ? toList(data.transcript).map(name => path.join(TRANSCRIPTS_DIR, name))
+    : findTranscriptFiles(number);
+
+  return {
+    number,
+    numberValue,
+    title: data.title,
+    description: data.description,
+    summary: body || data.description,
+    date: data.date,
+    youtubeId: data.youtube,
+    category: data.category || 'exploration',
+    tags: toList(data.tags),
+    presenters: toList(data.presenters),
+    chapters: toList(data.chapters).map(line => parseChapter(line, file)),
+    resources: toList(data.resources).map(line => parseResource(line, file)),
+    takeaways: toList(data.takeaways),
+    transcriptFiles,
+    source: file
+  };
+}
+
+function loadEpisodeFile(file) {
+  const { data, body } = parseFrontMatter(fs.readFileSync(file, 'utf8'));
+  return normalizeEpisode(data, body, path.relative(process.cwd(), file));
+}
+
+function loadEpisodes(dir = EPISODES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const episodes = fs.readdirSync(dir)
+    .filter(name => /^ep\d+\.md$/.test(name))
+    .map(name => loadEpisodeFile(path.join(dir, name)))
+    .sort((a, b) => a.numberValue - b.numberValue);
+
+  const seen = new Set();
+  episodes.forEach(episode => {
+    if (seen.has(episode.number)) {
+      throw new Error(`Episode ${episode.number} is defined more than once in ${dir}`);
+    }
+    seen.add(episode.number);
+  });
+
+  return episodes;
+}
+
+module.exports = {
+  loadEpisodes,
+  loadEpisodeFile,
+  findTranscriptFiles,
+  parseChapter
+};
@@ -0,0 +1,50 @@
+// Minimal front-matter reader for the episode data files.
+// Supports `key: value` scalars and `key:` followed by `  - item` lists, which is
+// all the data files use. Anything fancier belongs in the markdown body.
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+    return value.slice(1, -1);
+  }
+  return value;
+}
+
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+
+  const data = {};
+  let currentList = null;
+
+  match[1].split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const listItem = line.match(/^\s+-\s+(.*)$/);
+    if (listItem) {
+      if (!currentList) {
+        throw new Error(`Front matter line ${index + 2}: list item without a key`);
+      }
+      currentList.push(parseScalar(listItem[1]));
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`Front matter line ${index + 2}: cannot parse "${line}"`);
+    }
+
+    if (pair[2] === '') {
+      currentList = data[pair[1]] = [];
+    } else {
+      currentList = null;
+      data[pair[1]] = parseScalar(pair[2]);
+    }
+  });
+
+  return { data, body: match[2].trim() };
+}
+
+module.exports = { parseFrontMatter };
@@ -0,0 +1,42 @@
+// The scenario runner the harnesses (proxy, a11y, modules) share: runs scenarios one at a time,
+// prints a PASS or FAIL line for each with its problems underneath and a count at the end, and
+// exits 1 if any of them failed.
+
+// A scenario passes when its check returns true, or an empty list of problems
+function getProblems(result) {
+  if (Array.isArray(result)) return result;
+  return result ? [] : ['unexpected state'];
+}
+
+// `run(scenario)` resolves with { problems, label, details }: `label` is printed between PASS/FAIL
+// and the name, `details` are extra lines printed after the problems. A throw is a failure.
+async function runScenarios(scenarios, run) {
+  let failures = 0;
+  for (const scenario of scenarios) {
+    let outcome;
+    try {
+      outcome = await run(scenario);
+    } catch (error) {
+      outcome = { problems: [error.stack || error.message] };
+    }
+
+    const passed = outcome.problems.length === 0;
+    if (!passed) failures++;
+    console.log([passed ? 'PASS' : 'FAIL', outcome.label, scenario.name].filter(part => part !== undefined).join('  '));
+    outcome.problems.concat(outcome.details || []).forEach(line => console.log(`      ${line}`));
+  }
+  console.log(`\n${scenarios.length - failures}/${scenarios.length} scenarios passed`);
+  return failures === 0;
+}
+
+// Runs a harness's main(), which resolves with whether everything passed
+function runHarness(name, main) {
+  main().then(passed => {
+    if (!passed) process.exit(1);
+  }, error => {
+    console.error(`${name}: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { getProblems, runScenarios, runHarness };
@@ -0,0 +1,84 @@
+// Small string-level HTML helpers shared by the build scripts.
+// The pages are hand-written HTML, so we splice markup rather than parse a DOM.
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Strip tags and decode the handful of entities the pages actually use
+function stripTags(html) {
+  return String(html)
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Replace {{PLACEHOLDER}} tokens; unknown tokens are left in place so they can be reported
+function fillTemplate(template, values) {
+  return template.replace(/\{\{([A-Z_]+)\}\}/g, (match, key) => {
+    return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match;
+  });
+}
+
+// Given the index of an opening tag, return the index just past its matching closing tag
+function findElementEnd(html, startIndex, tagName = 'div') {
+  const pattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+  pattern.lastIndex = startIndex;
+  let depth = 0;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) {
+      return pattern.lastIndex;
+    }
+  }
+
+  return -1;
+}
+
+// Find every element whose opening tag matches `openingPattern` and return its outer HTML and offsets
+function findElements(html, openingPattern, tagName = 'div') {
+  const pattern = new RegExp(openingPattern.source, openingPattern.flags.includes('g') ? openingPattern.flags : openingPattern.flags + 'g');
+  const elements = [];
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const start = match.index;
+    const end = findElementEnd(html, start, tagName);
+    if (end === -1) break;
+    elements.push({ start, end, html: html.slice(start, end) });
+    pattern.lastIndex = end;
+  }
+
+  return elements;
+}
+
+// Lowercase, dash-separated form of a title for ids and file names
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function getAttribute(html, name) {
+  const match = html.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  escapeHtml,
+  stripTags,
+  fillTemplate,
+  findElementEnd,
+  findElements,
+  getAttribute,
+  slugify
+};
@@ -0,0 +1,176 @@
+// Episode and resource data read from the pages, shared by the manifest and feed builds.
+// Episodes come from the recording cards in pages/index.html plus each pages/epNN.html;
+// resources from the cards in pages/resources.html. Both lists are newest first. The tool
+// list comes from the "Filter by Tool" filters in pages/observations.html.
+// `*Path` fields are relative to the site root, `*Url` fields are absolute.
+
+const fs = require('fs');
+const path = require('path');
+const { readRecordingGrid, readEpisodePage, readResourceCards, getYouTubeId } = require('./pages');
+const { getAttribute, stripTags, slugify } = require('./html');
+const { parseCardDate } = require('./time');
+const { ROOT, PAGES_DIR } = require('./paths');
+
+const INDEX_PATH = path.join(PAGES_DIR, 'index.html');
+const RESOURCES_PATH = path.join(PAGES_DIR, 'resources.html');
+const OBSERVATIONS_PATH = path.join(PAGES_DIR, 'observations.html');
+
+function warn(file, message) {
+  console.warn(`warning    ${path.relative(process.cwd(), file)}: ${message}`);
+}
+
+// The site root every URL in the manifests is made absolute against, from index.html's og:url
+function readSiteUrl(indexHtml) {
+  const match = indexHtml.match(/<meta property="og:url" content="([^"]*)">/);
+  if (!match) {
+    throw new Error('pages/index.html has no og:url to build absolute URLs from');
+  }
+  return new URL('/', match[1]).href;
+}
+
+// data-tag -> button text for the page's .tag-filter buttons, minus the "All Tags" button
+function readTagLabels(html) {
+  const labels = {};
+  for (const match of html.matchAll(/<button class="tag-filter[^"]*"[^>]*>([\s\S]*?)<\/button>/g)) {
+    const tag = getAttribute(match[0], 'data-tag');
+    if (tag && tag !== 'all') labels[tag] = stripTags(match[1]);
+  }
+  return labels;
+}
+
+function readCategoryLabels(html) {
+  const select = html.match(/<select id="episode-category-filter">([\s\S]*?)<\/select>/);
+  const labels = {};
+  if (!select) return labels;
+  for (const match of select[1].matchAll(/<option value="([^"]*)">([\s\S]*?)<\/option>/g)) {
+    if (match[1] !== 'all') labels[match[1]] = stripTags(match[2]);
+  }
+  return labels;
+}
+
+function byNewest(a, b) {
+  return (b.date || '').localeCompare(a.date || '') || (b.number || 0) - (a.number || 0);
+}
+
+function episodeEntry(card, siteUrl) {
+  const pageName = `ep${card.number}.html`;
+  const pagePath = path.join(PAGES_DIR, pageName);
+  const date = parseCardDate(card.date);
+  if (!date) warn(INDEX_PATH, `episode ${card.number} has an unparseable date "${card.date}"`);
+
+  let page = null;
+  if (fs.existsSync(pagePath)) {
+    page = readEpisodePage(fs.readFileSync(pagePath, 'utf8'));
+  } else {
+    warn(INDEX_PATH, `episode ${card.number} links to ${pageName}, which does not exist`);
+  }
+
+  // Like getEpisodeVideoId() in js/features/transcripts.js, the chapter links win over the video link
+  const chapterVideo = page && page.chapters.length > 0 ? getYouTubeId(page.chapters[0].href) : '';
+  const linkVideo = page ? getYouTubeId(page.videoHref) : '';
+  if (chapterVideo && linkVideo && chapterVideo !== linkVideo) {
+    warn(pagePath, `video link (${linkVideo}) and chapter links (${chapterVideo}) point at different videos; using the chapters'`);
+  }
+  const youtubeId = chapterVideo || linkVideo || null;
+
+  const thumbnail = `images/thumbnails/ep${card.number}.png`;
+  const hasThumbnail = fs.existsSync(path.join(ROOT, thumbnail));
+
+  return {
+    number: card.numberValue,
+    id: `ep${card.number}`,
+    title: card.title,
+    description: card.description,
+    summary: page ? page.summary : card.description,
+    date,
+    displayDate: card.date,
+    category: card.category || null,
+    tags: card.tags,
+    presenters: card.presenters,
+    youtubeId,
+    youtubeUrl: youtubeId ? `https://youtu.be/${youtubeId}` : null,
+    path: `pages/${pageName}`,
+    url: new URL(`pages/${pageName}`, siteUrl).href,
+    thumbnailPath: hasThumbnail ? thumbnail : null,
+    thumbnailUrl: hasThumbnail ? new URL(thumbnail, siteUrl).href : null,
+    chapters: page ? page.chapters.map(chapter => ({ title: chapter.title, seconds: chapter.seconds })) : [],
+    takeaways: page ? page.takeaways : []
+  };
+}
+
+function readEpisodes(siteUrl) {
+  const indexHtml = fs.readFileSync(INDEX_PATH, 'utf8');
+  const episodes = readRecordingGrid(indexHtml).cards
+    .filter(card => card.number)
+    .map(card => episodeEntry(card, siteUrl))
+    .sort(byNewest);
+
+  return {
+    latest: episodes.length > 0 ? episodes[0].id : null,
+    tags: readTagLabels(indexHtml),
+    categories: readCategoryLabels(indexHtml),
+    episodes
+  };
+}
+
+function readResources(siteUrl) {
+  const html = fs.readFileSync(RESOURCES_PATH, 'utf8');
+  const pageUrl = new URL('pages/resources.html', siteUrl);
+
+  const resources = readResourceCards(html).map(card => {
+    const image = card.image ? new URL(card.image, pageUrl) : null;
+    const date = parseCardDate(card.date);
+    if (!date) warn(RESOURCES_PATH, `"${card.title}" has an unparseable date "${card.date}"`);
+    return {
+      id: slugify(card.title),
+      title: card.title,
+      description: card.description,
+      url: card.url,
+      source: card.source,
+      date,
+      displayDate: card.date,
+      category: card.category || null,
+      tags: card.tags,
+      imagePath: image && image.origin === pageUrl.origin ? image.pathname.slice(1) : null,
+      imageUrl: image ? image.href : null
+    };
+  }).sort(byNewest);
+
+  return {
+    tags: readTagLabels(html),
+    categories: readCategoryLabels(html),
+    resources
+  };
+}
+
+// The tools the observations page filters by, in its order, minus "All Tools". The feedback
+// form's tool choices are filled from this (see js/lib/forms.js).
+function readTools() {
+  const html = fs.readFileSync(OBSERVATIONS_PATH, 'utf8');
+  const tools = [];
+  for (const match of html.matchAll(/<div class="filter-item[^"]*" data-filter="tool"[^>]*>\s*<span>([\s\S]*?)<\/span>/g)) {
+    const id = getAttribute(match[0], 'data-value');
+    if (id && id !== 'all') tools.push({ id, label: stripTags(match[1]) });
+  }
+  if (tools.length === 0) warn(OBSERVATIONS_PATH, 'has no tool filters');
+  return { tools };
+}
+
+// Title, description and root URL of the site, from pages/index.html's <head>
+function readSite() {
+  const html = fs.readFileSync(INDEX_PATH, 'utf8');
+  const title = html.match(/<title>([\s\S]*?)<\/title>/);
+  const description = html.match(/<meta name="description" content="([^"]*)">/);
+  return {
+    title: title ? stripTags(title[1]).replace(/^.*\|\s*/, '') : '',
+    description: description ? stripTags(description[1]) : '',
+    url: readSiteUrl(html)
+  };
+}
+
+module.exports = {
+  readSite,
+  readEpisodes,
+  readResources,
+  readTools
+};
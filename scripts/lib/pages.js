@@ -0,0 +1,134 @@
+// Readers for the hand-maintained page markup (recording cards, episode pages).
+
+const { findElements, findElementEnd, getAttribute, stripTags } = require('./html');
+
+function firstMatch(html, pattern) {
+  const match = html.match(pattern);
+  return match ? stripTags(match[1]) : '';
+}
+
+// Returns the .recording-grid bounds in pages/index.html plus one entry per recording card
+function readRecordingGrid(indexHtml) {
+  const gridStart = indexHtml.indexOf('<div class="recording-grid">');
+  if (gridStart === -1) {
+    throw new Error('pages/index.html has no <div class="recording-grid">');
+  }
+  const gridEnd = findElementEnd(indexHtml, gridStart);
+  const gridHtml = indexHtml.slice(gridStart, gridEnd);
+
+  const cards = findElements(gridHtml, /<div class="recording-card"[^>]*>/).map(element => {
+    const hrefMatch = element.html.match(/href="ep(\d+)\.html"/);
+    return {
+      start: gridStart + element.start,
+      end: gridStart + element.end,
+      html: element.html,
+      number: hrefMatch ? hrefMatch[1] : null,
+      numberValue: hrefMatch ? parseInt(hrefMatch[1], 10) : null,
+      title: firstMatch(element.html, /<h3>([\s\S]*?)<\/h3>/),
+      description: firstMatch(element.html, /<p>([\s\S]*?)<\/p>/),
+      date: firstMatch(element.html, /<span class="recording-date">([\s\S]*?)<\/span>/),
+      category: getAttribute(element.html, 'data-category') || '',
+      tags: (getAttribute(element.html, 'data-tags') || '').split(',').filter(Boolean),
+      presenters: (getAttribute(element.html, 'data-presenters') || '').split(',').map(name => name.trim()).filter(Boolean)
+    };
+  });
+
+  return { start: gridStart, end: gridEnd, cards };
+}
+
+// Pulls the structured sections out of a pages/epNN.html episode page
+function readEpisodePage(pageHtml) {
+  // The summary is every paragraph straight after the title, joined with blank lines
+  const content = pageHtml.match(/<h1>([\s\S]*?)<\/h1>\s*(?:<!--[\s\S]*?-->\s*)?((?:<p>[\s\S]*?<\/p>\s*)+)/);
+  const summary = content
+    ? [...content[2].matchAll(/<p>([\s\S]*?)<\/p>/g)].map(paragraph => stripTags(paragraph[1]).trim()).filter(Boolean).join('\n\n')
+    : '';
+  const listItems = pattern => {
+    const list = pageHtml.match(pattern);
+    if (!list) return [];
+    // The template's "Format for ..." comments hold example items of their own
+    const items = list[1].replace(/<!--[\s\S]*?-->/g, '');
+    return [...items.matchAll(/<li>([\s\S]*?)<\/li>/g)].map(item => item[1]);
+  };
+
+  // A chapter is a point in the video, so an item without a ?t= link isn't one
+  const chapters = listItems(/<ul class="chapter-markers">([\s\S]*?)<\/ul>/).map(item => {
+    const link = item.match(/href="([^"]*)"/);
+    const seconds = link ? link[1].match(/[?&]t=(\d+)/) : null;
+    return {
+      href: link ? link[1] : '',
+      seconds: seconds ? parseInt(seconds[1], 10) : null,
+      title: stripTags(item.replace(/<a\b[\s\S]*?<\/a>/, ''))
+    };
+  }).filter(chapter => chapter.seconds !== null);
+
+  const videoLink = pageHtml.match(/<div class="video-container">\s*<a href="([^"]*)"/);
+
+  return {
+    title: content ? stripTags(content[1]) : firstMatch(pageHtml, /<title>([\s\S]*?)<\/title>/),
+    summary,
+    videoHref: videoLink ? videoLink[1] : '',
+    chapters,
+    takeaways: listItems(/<ul class="takeaways">([\s\S]*?)<\/ul>/).map(stripTags),
+    transcript: readPageTranscript(pageHtml)
+  };
+}
+
+// Returns the raw contents of the transcript <pre>, or '' when the page has none
+function readPageTranscript(pageHtml) {
+  const start = pageHtml.indexOf('<div class="transcript">');
+  if (start === -1) return '';
+  const section = pageHtml.slice(start, findElementEnd(pageHtml, start));
+  const pre = section.match(/<pre[^>]*>([\s\S]*)<\/pre>/);
+  return pre ? pre[1] : section;
+}
+
+// One entry per .resource-card in pages/resources.html
+function readResourceCards(resourcesHtml) {
+  return findElements(resourcesHtml, /<div class="resource-card"[^>]*>/).map(element => {
+    const opening = element.html.slice(0, element.html.indexOf('>') + 1);
+    return {
+      start: element.start,
+      end: element.end,
+      html: element.html,
+      title: firstMatch(element.html, /<h2>([\s\S]*?)<\/h2>/),
+      description: firstMatch(element.html, /<p>([\s\S]*?)<\/p>/),
+      url: getAttribute(element.html.slice(element.html.indexOf('<a ')), 'href') || '',
+      image: getAttribute(element.html.slice(element.html.indexOf('<img ')), 'src') || '',
+      date: firstMatch(element.html, /<span class="resource-date">([\s\S]*?)<\/span>/),
+      source: firstMatch(element.html, /<span class="resource-source">([\s\S]*?)<\/span>/),
+      category: getAttribute(opening, 'data-category') || '',
+      tags: (getAttribute(opening, 'data-tags') || '').split(',').filter(Boolean)
+    };
+  });
+}
+
+// The video ID from a youtu.be/ID or youtube.com/watch?v=ID link, or '' for anything else
+function getYouTubeId(href) {
+  const match = String(href || '').match(/(?:youtu\.be\/|youtube\.com\/watch\?(?:.*&)?v=)([\w-]+)/);
+  return match ? match[1] : '';
+}
+
+// One entry per .takeaway-card in pages/observations.html
+function readObservationCards(observationsHtml) {
+  return findElements(observationsHtml, /<div class="takeaway-card"[^>]*>/).map(element => {
+    const opening = element.html.slice(0, element.html.indexOf('>') + 1);
+    return {
+      episode: getAttribute(opening, 'data-episode') || '',
+      tools: (getAttribute(opening, 'data-tools') || '').split(',').filter(Boolean),
+      concepts: (getAttribute(opening, 'data-concepts') || '').split(',').filter(Boolean),
+      title: firstMatch(element.html, /<h3>([\s\S]*?)<\/h3>/),
+      takeaways: [...element.html.matchAll(/<li>([\s\S]*?)<\/li>/g)].map(item => stripTags(item[1])),
+      href: getAttribute(element.html.slice(element.html.indexOf('takeaway-card-footer')), 'href') || ''
+    };
+  });
+}
+
+module.exports = {
+  readRecordingGrid,
+  readEpisodePage,
+  readPageTranscript,
+  readResourceCards,
+  readObservationCards,
+  getYouTubeId
+};
@@ -0,0 +1,16 @@
+const path = require('path');
+
+// AI_TOOLS_LAB_ROOT points the scripts at another copy of the site, such as the fixture
+// scripts/build-harness.js builds
+const ROOT = process.env.AI_TOOLS_LAB_ROOT
+  ? path.resolve(process.env.AI_TOOLS_LAB_ROOT)
+  : path.resolve(__dirname, '..', '..');
+
+module.exports = {
+  ROOT,
+  PAGES_DIR: path.join(ROOT, 'pages'),
+  EPISODES_DIR: path.join(ROOT, 'episodes'),
+  TRANSCRIPTS_DIR: path.join(ROOT, 'transcripts'),
+  TEMPLATES_DIR: path.join(ROOT, 'templates'),
+  IMAGES_DIR: path.join(ROOT, 'images')
+};
@@ -0,0 +1,123 @@
+// Resource card thumbnails as SVG, drawn the same way as the canvas fallback in
+// generateResourceThumbnails() (js/features/thumbnails.js): a gradient whose hue comes from the title and
+// source, a wrapped title, and a footer with the source on the left and the date on the right.
+// Layout is in 400-unit-wide design coordinates; `scale` sets the output resolution.
+
+const { escapeHtml } = require('./html');
+
+const DESIGN_WIDTH = 400;
+const PADDING = 20;
+const TITLE_X = 30;
+const TITLE_TOP = 40;
+const TITLE_FONT_SIZE = 20;
+const TITLE_MAX_WIDTH = DESIGN_WIDTH - PADDING * 3;
+const TITLE_MAX_LINES = 3;
+const META_FONT_SIZE = 14;
+const FOOTER_HEIGHT = 40;
+const FONT_FAMILY = 'Inter, sans-serif';
+
+// Same 32-bit string hash as stringToHash() in js/features/thumbnails.js, so colours match the fallback
+function stringToHash(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash) + str.charCodeAt(i);
+    hash = hash & hash;
+  }
+  return Math.abs(hash);
+}
+
+// There is no canvas to measureText() with at build time, so estimate from per-character widths
+function estimateTextWidth(text, fontSize, bold) {
+  let ems = 0;
+  for (const char of text) {
+    if (/[ijl.,:;'|!I]/.test(char)) ems += 0.3;
+    else if (/[frt ()\-/]/.test(char)) ems += 0.38;
+    else if (/[mwMW]/.test(char)) ems += 0.9;
+    else if (/[A-Z0-9]/.test(char)) ems += 0.68;
+    else ems += 0.56;
+  }
+  return ems * fontSize * (bold ? 1.08 : 1);
+}
+
+// Greedy word wrap, limited to TITLE_MAX_LINES
+function wrapTitle(title) {
+  const measure = text => estimateTextWidth(text, TITLE_FONT_SIZE, true);
+  const words = title.split(' ');
+  let lines = [];
+  let currentLine = words[0];
+
+  for (let i = 1; i < words.length; i++) {
+    const testLine = currentLine + ' ' + words[i];
+    if (measure(testLine) < TITLE_MAX_WIDTH) {
+      currentLine = testLine;
+    } else {
+      lines.push(currentLine);
+      currentLine = words[i];
+    }
+  }
+  lines.push(currentLine);
+
+  // Like the canvas version, only a last line that is itself too wide gets an ellipsis
+  if (lines.length > TITLE_MAX_LINES) {
+    lines = lines.slice(0, TITLE_MAX_LINES);
+    let lastLine = lines[TITLE_MAX_LINES - 1];
+    if (measure(lastLine) > TITLE_MAX_WIDTH) {
+      while (measure(lastLine + '...') > TITLE_MAX_WIDTH && lastLine.length > 0) {
+        lastLine = lastLine.slice(0, -1);
+      }
+      lines[TITLE_MAX_LINES - 1] = lastLine + '...';
+    }
+  }
+
+  return lines;
+}
+
+// The thumbnail for { title, source, date }. `height` is in design units: 200 for cards, 210 for
+// 1200x630 social images at scale 3.
+function renderThumbnailSvg(resource, { height = 200, scale = 2 } = {}) {
+  const width = DESIGN_WIDTH;
+  const hue = stringToHash(resource.title + resource.source) % 360;
+
+  const pattern = [];
+  for (let i = 0; i < width; i += 20) {
+    for (let j = 0; j < height; j += 20) {
+      if ((i + j) % 40 === 0) {
+        pattern.push(`<rect x="${i}" y="${j}" width="10" height="10"/>`);
+      }
+    }
+  }
+
+  // Canvas draws with textBaseline "top"; SVG positions text by its baseline
+  const titleLines = wrapTitle(resource.title).map((line, index) => {
+    const baseline = TITLE_TOP + index * TITLE_FONT_SIZE * 1.3 + TITLE_FONT_SIZE * 0.8;
+    return `<text x="${TITLE_X}" y="${baseline}">${escapeHtml(line)}</text>`;
+  });
+  const metaBaseline = height - FOOTER_HEIGHT / 2 + META_FONT_SIZE * 0.35;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}">`,
+    '<defs>',
+    `<linearGradient id="background" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="${width}" y2="${height}">`,
+    `<stop offset="0" stop-color="hsl(${hue}, 70%, 65%)"/>`,
+    `<stop offset="1" stop-color="hsl(${(hue + 40) % 360}, 70%, 65%)"/>`,
+    '</linearGradient>',
+    '</defs>',
+    `<rect width="${width}" height="${height}" fill="url(#background)"/>`,
+    `<g fill="rgba(255, 255, 255, 0.1)">${pattern.join('')}</g>`,
+    `<rect width="${width}" height="${height}" fill="rgba(0, 0, 0, 0.1)"/>`,
+    `<rect x="${PADDING}" y="${PADDING}" width="${width - PADDING * 2}" height="${height - PADDING * 2}" fill="rgba(255, 255, 255, 0.4)"/>`,
+    `<g font-family="${FONT_FAMILY}" font-weight="bold" font-size="${TITLE_FONT_SIZE}" fill="rgba(0, 0, 0, 0.8)">${titleLines.join('')}</g>`,
+    `<rect y="${height - FOOTER_HEIGHT}" width="${width}" height="${FOOTER_HEIGHT}" fill="rgba(0, 0, 0, 0.2)"/>`,
+    `<g font-family="${FONT_FAMILY}" font-size="${META_FONT_SIZE}" fill="rgba(0, 0, 0, 0.8)">`,
+    `<text x="${PADDING}" y="${metaBaseline}">${escapeHtml(resource.source)}</text>`,
+    `<text x="${width - PADDING}" y="${metaBaseline}" text-anchor="end">${escapeHtml(resource.date)}</text>`,
+    '</g>',
+    '</svg>'
+  ].join('\n');
+}
+
+module.exports = {
+  renderThumbnailSvg,
+  stringToHash,
+  wrapTitle
+};
@@ -0,0 +1,55 @@
+// Timestamp and date helpers shared by the episode, transcript, chapter and manifest tooling.
+
+// Accepts "HH:MM:SS", "H:MM:SS" or "MM:SS" (with or without surrounding brackets)
+function parseTimestamp(value) {
+  const match = String(value).trim().match(/^\[?(?:(\d{1,2}):)?(\d{1,2}):(\d{2})\]?$/);
+  if (!match) return null;
+
+  const hours = match[1] ? parseInt(match[1], 10) : 0;
+  const minutes = parseInt(match[2], 10);
+  const seconds = parseInt(match[3], 10);
+  if (minutes > 59 || seconds > 59) return null;
+
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+// Always produces the zero-padded HH:MM:SS form the transcript markup uses
+function formatTimestamp(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+// Matched exactly, as getMonthNumber() in js/lib/cards.js does
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// "YYYY-MM-DD" for a day that exists (month counts from 0), or null. Like getCardDate() in
+// js/lib/cards.js, April 31 is refused rather than rolled over into May.
+function formatCalendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCMonth() !== month || date.getUTCDate() !== day) return null;
+  return `${String(year).padStart(4, '0')}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Turns the pages' "Month DD, YYYY" dates into "YYYY-MM-DD", or null when the text isn't one
+function parseDisplayDate(value) {
+  const match = String(value).trim().match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+  if (!match) return null;
+
+  const month = MONTHS.indexOf(match[1]);
+  if (month === -1) return null;
+  return formatCalendarDate(parseInt(match[3], 10), month, parseInt(match[2], 10));
+}
+
+// The dates getCardDate() in js/lib/cards.js accepts on a card: "Month DD, YYYY" or an ISO
+// "YYYY-MM-DD". Returns "YYYY-MM-DD", or null for anything else.
+function parseCardDate(value) {
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!iso) return parseDisplayDate(text);
+  return formatCalendarDate(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+}
+
+module.exports = { parseTimestamp, formatTimestamp, parseDisplayDate, parseCardDate };
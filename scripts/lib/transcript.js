@@ -0,0 +1,147 @@
+// Transcript parsing and rendering.
+//
+// Understands both formats found in the repo:
+//   markdown (transcripts/*.md):  [00:01:00] **Jason:** text ... [00:01:30] inline marker ...
+//   page markup (pages/ep*.html): <span class="transcript-timestamp">[00:01:00]</span> <span class="transcript-speaker">Jason Hand:</span> text
+//     plus the older variants: an <a class="transcript-timestamp|timestamp-link"> link around the marker,
+//     a clock icon linking to ?t=SECONDS inside the timestamp span, and <strong>Name:</strong> speakers
+// and renders the page markup that makeTimestampsClickable() in js/features/transcripts.js expects.
+
+const { escapeHtml, stripTags } = require('./html');
+const { parseTimestamp, formatTimestamp } = require('./time');
+
+const TIMESTAMP = '\\[(?:\\d{1,2}:)?\\d{1,2}:\\d{2}\\]';
+const TURN_PATTERN = new RegExp(`^(?:(${TIMESTAMP})\\s*)?\\*\\*([^*]+?)(?::\\*\\*|\\*\\*:)\\s*(.*)$`);
+const LEADING_TIMESTAMP_PATTERN = new RegExp(`^(${TIMESTAMP})\\s+(.*)$`);
+const INLINE_TIMESTAMP_PATTERN = new RegExp(TIMESTAMP, 'g');
+
+function isPageMarkup(source) {
+  return /class="(?:transcript-timestamp|transcript-speaker|timestamp-link)"/.test(source);
+}
+
+// Rewrites page markup back into the markdown form so a single parser handles both
+function pageMarkupToMarkdown(source) {
+  return stripTags(source
+    .replace(/<span\b[^>]*class="transcript-timestamp"[^>]*>\s*<a\b[^>]*href="[^"]*[?&]t=(\d+)[^"]*"[^>]*>[^<]*<\/a>\s*<\/span>/g,
+      (match, seconds) => `[${formatTimestamp(parseInt(seconds, 10))}]`)
+    .replace(/<(a|span)\b[^>]*class="(?:transcript-timestamp|timestamp-link)"[^>]*>\s*(\[[^\]]+\])\s*<\/\1>/g, '$2')
+    .replace(/<span\b[^>]*class="transcript-speaker"[^>]*>\s*([^<]+?)\s*:?\s*<\/span>/g, '**$1:**')
+    .replace(/<strong>\s*([^<]+?)\s*:\s*<\/strong>/g, '**$1:**'));
+}
+
+// Normalizes inline [MM:SS] / [H:MM:SS] markers to [HH:MM:SS]
+function normalizeInlineTimestamps(text) {
+  return text.replace(INLINE_TIMESTAMP_PATTERN, marker => `[${formatTimestamp(parseTimestamp(marker))}]`);
+}
+
+// A transcript as entries of { seconds, speaker, paragraphs }; both are null for text before
+// the first speaker turn
+function parseTranscript(source) {
+  const markdown = isPageMarkup(source) ? pageMarkupToMarkdown(source) : source;
+  const entries = [];
+  let current = null;
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0 && current) {
+      current.paragraphs.push(normalizeInlineTimestamps(paragraph.join(' ')));
+    }
+    paragraph = [];
+  };
+
+  markdown.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+
+    if (!line) {
+      flushParagraph();
+      return;
+    }
+
+    const turn = line.match(TURN_PATTERN);
+    const leading = !turn && line.match(LEADING_TIMESTAMP_PATTERN);
+
+    if (turn || leading) {
+      flushParagraph();
+      const marker = turn ? turn[1] : leading[1];
+      current = {
+        seconds: marker ? parseTimestamp(marker) : null,
+        speaker: turn ? turn[2].trim() : null,
+        paragraphs: []
+      };
+      entries.push(current);
+      paragraph.push(turn ? turn[3] : leading[2]);
+      return;
+    }
+
+    if (!current) {
+      current = { seconds: null, speaker: null, paragraphs: [] };
+      entries.push(current);
+    }
+    paragraph.push(line);
+  });
+
+  flushParagraph();
+  return entries.filter(entry => entry.paragraphs.some(text => text.trim()) || entry.speaker);
+}
+
+// Maps a short name to the one known full name starting with it, so "Jason" and "Jason Hand"
+// render the same
+function buildSpeakerMap(speakers, aliases = {}) {
+  const map = Object.assign({}, aliases);
+  const fullNames = [...new Set(speakers.concat(Object.values(aliases)))].filter(name => name.includes(' '));
+
+  speakers.forEach(name => {
+    if (map[name] || name.includes(' ')) return;
+    const candidates = fullNames.filter(full => full.split(' ')[0].toLowerCase() === name.toLowerCase());
+    if (candidates.length === 1) {
+      map[name] = candidates[0];
+    }
+  });
+
+  return map;
+}
+
+// Parsed transcript parts as page markup. Each part of a multi-part recording restarts at zero,
+// so it gets a "Part N" divider.
+function renderTranscript(parts, options = {}) {
+  const allSpeakers = [];
+  parts.forEach(entries => entries.forEach(entry => {
+    if (entry.speaker) allSpeakers.push(entry.speaker);
+  }));
+  const speakerMap = buildSpeakerMap(allSpeakers.concat(options.speakers || []), options.aliases);
+
+  const blocks = [];
+  parts.forEach((entries, index) => {
+    if (parts.length > 1) {
+      blocks.push(`<span class="transcript-part">Part ${index + 1}</span>`);
+    }
+
+    entries.forEach(entry => {
+      const [first = '', ...rest] = entry.paragraphs;
+      const prefix = [];
+      if (entry.seconds !== null) {
+        prefix.push(`<span class="transcript-timestamp">[${formatTimestamp(entry.seconds)}]</span>`);
+      }
+      if (entry.speaker) {
+        const speaker = speakerMap[entry.speaker] || entry.speaker;
+        prefix.push(`<span class="transcript-speaker">${escapeHtml(speaker)}:</span>`);
+      }
+
+      blocks.push(prefix.concat(renderText(first)).filter(Boolean).join(' '));
+      rest.forEach(text => blocks.push(renderText(text)));
+    });
+  });
+
+  return blocks.join('\n\n');
+}
+
+function renderText(text) {
+  return escapeHtml(text.trim()).replace(INLINE_TIMESTAMP_PATTERN, marker => `<span class="transcript-timestamp">${marker}</span>`);
+}
+
+module.exports = {
+  parseTranscript,
+  renderTranscript,
+  buildSpeakerMap,
+  isPageMarkup
+};
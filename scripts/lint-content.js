@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+// Content linter
+//
+// Checks the hand-maintained content for drift:
+//   episode-section   every pages/epNN.html has the template's required sections, filled in
+//   placeholder       no {{PLACEHOLDER}} left unfilled outside comments
+//   chapter-video     chapter-marker links point at the same YouTube video as the page's video link
+//   broken-link       relative links, images and same-site absolute URLs resolve to a file
+//   card-date         card dates parse with the rules getCardDate() in js/lib/cards.js uses
+//   page-unlinked     every page in pages/ is linked from pages/index.html
+//   episode-numbering the index's episode numbers have no gaps or duplicates
+//   transcript        transcripts/ files are named epNN-transcript*.md, belong to an episode
+//                     page and have timestamps
+//   readme-path       paths in the README's Directory Structure exist
+//
+// Prints one line per issue, or with --json a report of the form
+//   { "version": 1, "errors": 2, "warnings": 1,
+//     "issues": [{ "severity": "error", "rule": "...", "file": "pages/ep04.html", "line": 73, "message": "..." }] }
+// Exits 1 when there are errors; warnings alone don't fail.
+//
+// Usage: node scripts/lint-content.js [--json]
+
+const fs = require('fs');
+const path = require('path');
+const { readRecordingGrid, readEpisodePage, readPageTranscript, readResourceCards, getYouTubeId } = require('./lib/pages');
+const { parseTranscript } = require('./lib/transcript');
+const { parseCardDate } = require('./lib/time');
+const { stripTags } = require('./lib/html');
+const { ROOT, PAGES_DIR, TEMPLATES_DIR, TRANSCRIPTS_DIR } = require('./lib/paths');
+
+const REPORT_VERSION = 1;
+const TEMPLATE_PATH = path.join(TEMPLATES_DIR, 'default_template.html');
+const INDEX_PATH = path.join(PAGES_DIR, 'index.html');
+const RESOURCES_PATH = path.join(PAGES_DIR, 'resources.html');
+const README_PATH = path.join(ROOT, 'README.md');
+
+// The sections default_template.html lays out for every episode page
+const REQUIRED_SECTIONS = [
+  { name: 'video-container', markup: '<div class="video-container"> wrapping a video link', pattern: /<div class="video-container">\s*<a href="[^"]*"/ },
+  { name: 'chapter-markers', markup: '<ul class="chapter-markers">', pattern: /<ul class="chapter-markers">/ },
+  { name: 'Resources', markup: '<h2>Resources</h2> followed by a <ul>', pattern: /<h2>Resources<\/h2>\s*<ul>/ },
+  { name: 'Key Takeaways', markup: '<h2>Key Takeaways</h2> followed by <ul class="takeaways">', pattern: /<h2>Key Takeaways<\/h2>\s*<ul class="takeaways">/ },
+  { name: 'transcript', markup: '<div class="transcript">', pattern: /<div class="transcript">/ }
+];
+
+const URL_ATTRIBUTES = /\b(href|src|srcset|content)="([^"]*)"/g;
+
+const issues = [];
+
+function report(severity, rule, file, line, message) {
+  issues.push({ severity, rule, file: path.relative(ROOT, file), line, message });
+}
+
+function lineAt(text, index) {
+  return index < 0 ? null : text.slice(0, index).split('\n').length;
+}
+
+// Comments hold the template's format examples; blank them out but keep line numbers
+function withoutComments(html) {
+  return html.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+}
+
+function readPages() {
+  return fs.readdirSync(PAGES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .sort()
+    .map(file => {
+      const fullPath = path.join(PAGES_DIR, file);
+      return { file, path: fullPath, html: withoutComments(fs.readFileSync(fullPath, 'utf8')) };
+    });
+}
+
+function checkTemplate() {
+  const template = withoutComments(fs.readFileSync(TEMPLATE_PATH, 'utf8'));
+  REQUIRED_SECTIONS.forEach(section => {
+    if (!section.pattern.test(template)) {
+      report('error', 'episode-section', TEMPLATE_PATH, null,
+        `the template no longer has the "${section.name}" section this linter requires of episode pages`);
+    }
+  });
+}
+
+function checkEpisodePage(page) {
+  REQUIRED_SECTIONS.forEach(section => {
+    if (!section.pattern.test(page.html)) {
+      report('error', 'episode-section', page.path, null, `missing the "${section.name}" section (${section.markup})`);
+    }
+  });
+
+  const episode = readEpisodePage(page.html);
+  const emptySection = (name, pattern) => report('error', 'episode-section', page.path,
+    lineAt(page.html, page.html.search(pattern)), `the "${name}" section is empty`);
+  if (page.html.includes('<ul class="chapter-markers">') && episode.chapters.length === 0) {
+    emptySection('chapter-markers', /<ul class="chapter-markers">/);
+  }
+  if (page.html.includes('<ul class="takeaways">') && episode.takeaways.length === 0) {
+    emptySection('Key Takeaways', /<ul class="takeaways">/);
+  }
+  if (page.html.includes('<div class="transcript">') && !stripTags(readPageTranscript(page.html))) {
+    emptySection('transcript', /<div class="transcript">/);
+  }
+
+  const videoId = getYouTubeId(episode.videoHref);
+  if (episode.videoHref && !videoId) {
+    report('error', 'chapter-video', page.path, lineAt(page.html, page.html.indexOf(episode.videoHref)),
+      `the video link ${episode.videoHref} is not a YouTube video`);
+  }
+  const reported = new Set();
+  episode.chapters.forEach(chapter => {
+    const chapterId = getYouTubeId(chapter.href);
+    if (!videoId || chapterId === videoId || reported.has(chapterId)) return;
+    reported.add(chapterId);
+    report('error', 'chapter-video', page.path, lineAt(page.html, page.html.indexOf(chapter.href)),
+      `chapter "${chapter.title}" links to ${chapterId ? `video ${chapterId}` : chapter.href}, but the page's video is ${videoId}`);
+  });
+}
+
+function checkPlaceholders(page) {
+  for (const match of page.html.matchAll(/\{\{([A-Z_]+)\}\}/g)) {
+    report('error', 'placeholder', page.path, lineAt(page.html, match.index), `unfilled template placeholder ${match[0]}`);
+  }
+}
+
+// Maps a link on a page to the file it should resolve to, or null when it isn't ours to check
+function localTarget(value, pagePath, siteUrl) {
+  const link = value.trim();
+  if (!link || link.startsWith('#') || /^(?:mailto|tel|javascript|data):/i.test(link)) return null;
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(link) || link.startsWith('//')) {
+    const url = new URL(link, siteUrl);
+    if (url.origin !== siteUrl.origin) return null;
+    return path.join(ROOT, decodeURIComponent(url.pathname));
+  }
+
+  const relative = link.replace(/[?#].*$/, '');
+  return relative ? path.resolve(path.dirname(pagePath), decodeURIComponent(relative)) : null;
+}
+
+function checkLinks(page, siteUrl) {
+  for (const match of page.html.matchAll(URL_ATTRIBUTES)) {
+    const [, attribute, value] = match;
+    if (attribute === 'content' && !/^(?:https?:|\.\.?\/)/.test(value)) continue;
+
+    const links = attribute === 'srcset' ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]) : [value];
+    links.forEach(link => {
+      const target = localTarget(link, page.path, siteUrl);
+      if (!target) return;
+      const resolved = fs.existsSync(target) && fs.statSync(target).isDirectory() ? path.join(target, 'index.html') : target;
+      if (!fs.existsSync(resolved)) {
+        report('error', 'broken-link', page.path, lineAt(page.html, match.index),
+          `${attribute}="${link}" points at ${path.relative(ROOT, target)}, which does not exist`);
+      }
+    });
+  }
+}
+
+function checkCardDates(file, html, cards, describe) {
+  cards.forEach(card => {
+    if (!parseCardDate(card.date)) {
+      report('error', 'card-date', file, lineAt(html, card.start),
+        `${describe(card)} has the date "${card.date}", which getCardDate() can't parse (expected "Month DD, YYYY")`);
+    }
+  });
+}
+
+function checkIndex(pages, indexHtml) {
+  const linked = new Set([...indexHtml.matchAll(/href="([^"#?]+\.html)(?:[#?][^"]*)?"/g)].map(match => path.basename(match[1])));
+  pages.filter(page => page.file !== 'index.html' && !linked.has(page.file)).forEach(page => {
+    report('error', 'page-unlinked', page.path, null, 'not linked from pages/index.html');
+  });
+
+  const grid = readRecordingGrid(indexHtml);
+  checkCardDates(INDEX_PATH, indexHtml, grid.cards, card => `the card for "${card.title}"`);
+
+  const seen = new Map();
+  grid.cards.filter(card => card.number).forEach(card => {
+    if (seen.has(card.numberValue)) {
+      report('error', 'episode-numbering', INDEX_PATH, lineAt(indexHtml, card.start),
+        `episode ${card.number} has more than one card ("${seen.get(card.numberValue).title}" and "${card.title}")`);
+    }
+    seen.set(card.numberValue, card);
+  });
+
+  const missing = [];
+  for (let number = 1; number < Math.max(0, ...seen.keys()); number++) {
+    if (!seen.has(number)) missing.push(number);
+  }
+  if (missing.length > 0) {
+    report('warning', 'episode-numbering', INDEX_PATH, lineAt(indexHtml, grid.start),
+      `no card for episode${missing.length === 1 ? '' : 's'} ${missing.join(', ')}`);
+  }
+}
+
+function checkTranscripts(pages) {
+  if (!fs.existsSync(TRANSCRIPTS_DIR)) return;
+  const episodePages = new Set(pages.map(page => page.file));
+
+  fs.readdirSync(TRANSCRIPTS_DIR).filter(file => file.endsWith('.md')).sort().forEach(file => {
+    const fullPath = path.join(TRANSCRIPTS_DIR, file);
+    const match = file.match(/^ep(\d+)-transcript(?:Pt\d+)?\.md$/);
+    if (!match) {
+      report('warning', 'transcript', fullPath, null, 'expected a name like epNN-transcript.md or epNN-transcriptPt1.md');
+      return;
+    }
+    if (!episodePages.has(`ep${match[1]}.html`)) {
+      report('warning', 'transcript', fullPath, null, `there is no pages/ep${match[1]}.html for this transcript`);
+    }
+    if (!parseTranscript(fs.readFileSync(fullPath, 'utf8')).some(entry => entry.seconds !== null)) {
+      report('warning', 'transcript', fullPath, null, 'has no [HH:MM:SS] timestamps');
+    }
+  });
+}
+
+// Top-level entries are relative to the repo root, nested ones to the entry above them
+function checkReadme() {
+  if (!fs.existsSync(README_PATH)) return;
+  const readme = fs.readFileSync(README_PATH, 'utf8');
+  const start = readme.indexOf('## Directory Structure');
+  if (start === -1) return;
+  const end = readme.indexOf('\n## ', start + 1);
+  const section = readme.slice(start, end === -1 ? undefined : end);
+
+  let parent = '';
+  let offset = start;
+  section.split('\n').forEach(line => {
+    const entry = line.match(/^(\s*)- `([^`]+)`/);
+    if (entry) {
+      const nested = entry[1].length > 0;
+      const relative = nested ? path.join(parent, entry[2]) : entry[2];
+      if (!nested) parent = entry[2];
+      if (!entry[2].includes('*') && !fs.existsSync(path.join(ROOT, relative))) {
+        report('error', 'readme-path', README_PATH, lineAt(readme, offset),
+          `the Directory Structure lists ${relative}, which does not exist`);
+      }
+    }
+    offset += line.length + 1;
+  });
+}
+
+function printIssues() {
+  issues.forEach(issue => {
+    const location = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+    console.log(`${issue.severity.padEnd(10)} ${location}  ${issue.message}  (${issue.rule})`);
+  });
+}
+
+function main() {
+  const json = process.argv.includes('--json');
+  const pages = readPages();
+  const indexHtml = pages.find(page => page.file === 'index.html').html;
+  const siteUrl = new URL(indexHtml.match(/<meta property="og:url" content="([^"]*)">/)[1]);
+
+  checkTemplate();
+  pages.forEach(page => {
+    if (/^ep\d+\.html$/.test(page.file)) checkEpisodePage(page);
+    checkPlaceholders(page);
+    checkLinks(page, siteUrl);
+  });
+  checkIndex(pages, indexHtml);
+  const resourcesHtml = withoutComments(fs.readFileSync(RESOURCES_PATH, 'utf8'));
+  checkCardDates(RESOURCES_PATH, resourcesHtml, readResourceCards(resourcesHtml), card => `"${card.title}"`);
+  checkTranscripts(pages);
+  checkReadme();
+
+  issues.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+
+  if (json) {
+    console.log(JSON.stringify({ version: REPORT_VERSION, errors, warnings: issues.length - errors, issues }, null, 2));
+  } else {
+    printIssues();
+    console.log(`${errors} error(s), ${issues.length - errors} warning(s)`);
+  }
+  process.exitCode = errors > 0 ? 1 : 0;
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`lint-content: ${error.message}`);
+  process.exit(1);
+}
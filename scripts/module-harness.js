@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Unit harness for the browser modules in js/
+//
+// Runs the scenarios exported by each js/test/*.test.js. Every scenario gets a fresh jsdom page
+// (a file from pages/ or its own markup, see lib/dom-page.js) with the page's data-feature
+// features started, the way js/main.js starts them in the browser. Prints one line per scenario
+// and exits 1 if any of them fails.
+//
+// Usage: node scripts/module-harness.js [name-filter] [--verbose]
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { loadPage, importFeatures, settle } = require('./lib/dom-page');
+const { ROOT } = require('./lib/paths');
+const { getProblems, runScenarios, runHarness } = require('./lib/harness');
+
+const TEST_DIR = path.join(ROOT, 'js', 'test');
+const verbose = process.argv.includes('--verbose');
+const filter = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+async function loadScenarios() {
+  const files = fs.readdirSync(TEST_DIR).filter(file => file.endsWith('.test.js')).sort();
+  const scenarios = [];
+  for (const file of files) {
+    const { scenarios: fileScenarios } = await import(pathToFileURL(path.join(TEST_DIR, file)).href);
+    if (!Array.isArray(fileScenarios)) {
+      throw new Error(`js/test/${file} does not export a scenarios array`);
+    }
+    const module = file.replace(/\.test\.js$/, '');
+    fileScenarios.forEach(scenario => scenarios.push(Object.assign({}, scenario, { name: `${module}: ${scenario.name}` })));
+  }
+  return filter ? scenarios.filter(scenario => scenario.name.includes(filter)) : scenarios;
+}
+
+async function runScenario(scenario, startFeatures) {
+  let problems;
+  const page = loadPage(Object.assign({ verbose }, scenario));
+  try {
+    startFeatures(page.document);
+    await settle();
+    problems = getProblems(await scenario.run(page));
+  } catch (error) {
+    problems = [error.stack || error.message];
+  } finally {
+    page.close();
+  }
+
+  const logs = problems.length > 0 && !verbose
+    ? page.logs.map(entry => `console.${entry.level}: ${entry.args.map(String).join(' ')}`)
+    : [];
+  return { problems, details: logs };
+}
+
+async function main() {
+  const { startFeatures } = await importFeatures();
+  const scenarios = await loadScenarios();
+  return runScenarios(scenarios, scenario => runScenario(scenario, startFeatures));
+}
+
+runHarness('module-harness', main);
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Data request lookup
+//
+// Submissions are stored without the sender's email address unless they asked to be contacted,
+// only with its keyed hash (see redactPersonalData() in proxy/datadog-proxy.js). Given the
+// address from a Data Request, this prints that hash and the Datadog log search that finds
+// everything they sent, to export or delete.
+//
+// Usage: node scripts/privacy-request.js <email>
+//
+// Needs the proxy's PII_HASH_SECRET, or its DD_API_KEY when no separate secret is set.
+
+const path = require('path');
+const { ROOT } = require('./lib/paths');
+const { hashEmail } = require(path.join(ROOT, 'proxy', 'datadog-proxy.js'));
+
+function main() {
+  const email = process.argv[2];
+  if (!email || !email.includes('@')) {
+    throw new Error('Usage: node scripts/privacy-request.js <email>');
+  }
+  if (!process.env.PII_HASH_SECRET && !process.env.DD_API_KEY) {
+    throw new Error('Set PII_HASH_SECRET (or DD_API_KEY) to the value the proxy uses');
+  }
+
+  const hash = hashEmail(email);
+  console.log(`email hash   ${hash}`);
+  console.log(`log search   @user.email_hash:${hash} OR @user.email:"${email.trim()}"`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`privacy-request: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,513 @@
+#!/usr/bin/env node
+// Local harness for proxy/datadog-proxy.js
+//
+// Invokes exports.handler with fake Netlify events and a stubbed node-fetch, so the
+// routing, validation, origin, size, rate-limit, spam and redaction paths can be exercised without
+// deploying or sending anything to Datadog. POSTs carry a solved challenge from the handler
+// unless a scenario says otherwise. Prints one line per scenario and exits 1 if any status
+// differs from the expected one.
+//
+// Usage: node scripts/proxy-harness.js [--verbose]
+
+const crypto = require('crypto');
+const path = require('path');
+const { ROOT } = require('./lib/paths');
+const { getProblems, runScenarios, runHarness } = require('./lib/harness');
+
+const PROXY_PATH = path.join(ROOT, 'proxy', 'datadog-proxy.js');
+const ORIGIN = 'https://ai-tools-lab.com';
+const verbose = process.argv.includes('--verbose');
+
+// Requests the handler made to the stubbed Datadog intake, and how the intake answers them
+let forwarded = [];
+let upstream = null;
+
+function acceptAll() {
+  return Promise.resolve({ status: 202, text: () => Promise.resolve('{}') });
+}
+
+function stubFetch(url, options) {
+  forwarded.push({ url, options });
+  return upstream(url, options);
+}
+
+// A fresh copy of the proxy per scenario, so rate-limit counters don't leak between them
+function loadHandler() {
+  const fetchPath = require.resolve('node-fetch', { paths: [path.dirname(PROXY_PATH)] });
+  require.cache[fetchPath] = { id: fetchPath, filename: fetchPath, loaded: true, exports: stubFetch };
+  delete require.cache[require.resolve(PROXY_PATH)];
+  return require(PROXY_PATH).handler;
+}
+
+function feedbackEvent(overrides) {
+  return Object.assign({
+    message: 'User Feedback Submission',
+    ddsource: 'website',
+    ddtags: 'tool:cursor',
+    hostname: 'ai-tools-lab.com',
+    service: 'ai-tools-website',
+    status: 'info',
+    user: { name: 'Test User', email: 'test@example.com' },
+    feedback: 'Great episode!',
+    timestamp: '2025-04-01T12:00:00.000Z',
+    submission: { elapsedMs: 45000, trap: '' }
+  }, overrides);
+}
+
+function suggestionEvent(overrides) {
+  return Object.assign({
+    message: 'Resource Suggestion',
+    ddsource: 'website',
+    ddtags: 'category:tutorials',
+    hostname: 'ai-tools-lab.com',
+    service: 'ai-tools-website',
+    status: 'info',
+    resource: {
+      title: 'Writing Cursor Rules',
+      url: 'https://example.com/cursor-rules',
+      source: 'example.com',
+      category: 'tutorials',
+      description: 'A walkthrough of cursor rules.'
+    },
+    user: { name: 'Anonymous', email: 'Not provided' },
+    timestamp: '2025-04-01T12:00:00.000Z',
+    submission: { elapsedMs: 45000 }
+  }, overrides);
+}
+
+function dataRequestEvent(overrides) {
+  return Object.assign({
+    message: 'Data Request',
+    ddsource: 'website',
+    ddtags: 'type:delete',
+    hostname: 'ai-tools-lab.com',
+    service: 'ai-tools-website',
+    status: 'info',
+    user: { email: 'Test@Example.com' },
+    request: { type: 'delete', details: 'I sent feedback in March.' },
+    timestamp: '2025-04-01T12:00:00.000Z',
+    submission: { elapsedMs: 45000 }
+  }, overrides);
+}
+
+function request(body, overrides) {
+  return Object.assign({
+    httpMethod: 'POST',
+    path: '/api/datadog',
+    headers: { 'origin': ORIGIN, 'content-type': 'application/json', 'x-nf-client-connection-ip': '203.0.113.7' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  }, overrides);
+}
+
+function sentEvents() {
+  return JSON.parse(forwarded[forwarded.length - 1].options.body);
+}
+
+// What the site does before posting: fetch a challenge and find a number that solves it
+async function solveChallenge(handler) {
+  const response = await handler(request('', { httpMethod: 'GET', path: '/api/datadog/challenge' }), {});
+  if (response.statusCode !== 200) return null;
+
+  const { challenge, difficulty } = JSON.parse(response.body);
+  for (let solution = 0; ; solution++) {
+    const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+    if (countLeadingZeroBits(hash) >= difficulty) return { challenge, solution: String(solution) };
+  }
+}
+
+function countLeadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte !== 0) return bits + Math.clz32(byte) - 24;
+    bits += 8;
+  }
+  return bits;
+}
+
+function withProof(event, proof) {
+  if (!proof) return event;
+  return Object.assign({}, event, {
+    headers: Object.assign({}, event.headers, { 'x-challenge': proof.challenge, 'x-challenge-solution': proof.solution })
+  });
+}
+
+const scenarios = [
+  {
+    name: 'forwards a feedback submission without unknown fields',
+    event: request([feedbackEvent({ injected: 'x', user: { name: 'A', email: 'a@b.c', role: 'admin' } })]),
+    expect: 202,
+    check: () => {
+      const sent = JSON.parse(forwarded[0].options.body)[0];
+      return sent.injected === undefined && sent.user.role === undefined;
+    }
+  },
+  {
+    name: 'forwards the feedback form\'s other answers',
+    event: request([feedbackEvent({ answers: { tool: 'cursor', 'ai-tool-interest': 'Agents', empty: '' } })]),
+    expect: 202,
+    check: () => {
+      const { answers } = JSON.parse(forwarded[0].options.body)[0];
+      return answers.tool === 'cursor' && answers['ai-tool-interest'] === 'Agents' && !('empty' in answers);
+    }
+  },
+  {
+    name: 'rejects answers with an unexpected key or value',
+    event: request([feedbackEvent({ answers: { '__proto__x': 'a', tool: { nested: true } } })]),
+    expect: 400
+  },
+  {
+    name: 'tags a clean submission with its spam score and leaves out how it was filled in',
+    event: request([feedbackEvent()]),
+    expect: 202,
+    check: () => {
+      const sent = sentEvents()[0];
+      return sent.ddtags === 'tool:cursor,spam_score:0' && sent.spam_signals.length === 0 && sent.submission === undefined;
+    }
+  },
+  {
+    name: 'scores links and a disposable email address',
+    event: request([feedbackEvent({
+      user: { name: 'Deals', email: 'deals@mailinator.com' },
+      feedback: 'Visit https://a.example, https://b.example and www.c.example'
+    })]),
+    expect: 202,
+    check: () => sentEvents()[0].ddtags === 'tool:cursor,spam_score:70' &&
+      sentEvents()[0].spam_signals.join(',') === 'links,disposable_email'
+  },
+  {
+    name: 'scores a repeated submission and one filled in quickly',
+    repeat: 2,
+    event: request([feedbackEvent({ feedback: 'Same  text', submission: { elapsedMs: 5000 } })]),
+    expect: 202,
+    check: () => sentEvents()[0].spam_signals.join(',') === 'repeated,fast' &&
+      JSON.parse(forwarded[0].options.body)[0].spam_signals.join(',') === 'fast'
+  },
+  {
+    name: 'drops a filled-in honeypot but answers as if it was accepted',
+    event: request([feedbackEvent({ submission: { elapsedMs: 45000, trap: 'https://spam.example' } })]),
+    expect: 202,
+    check: response => forwarded.length === 0 && Boolean(JSON.parse(response.body).trackingId)
+  },
+  {
+    name: 'drops a submission sent too soon after the form was opened',
+    event: request([feedbackEvent({ submission: { elapsedMs: 800 } })]),
+    expect: 202,
+    check: () => forwarded.length === 0
+  },
+  {
+    name: 'forwards only the untrapped events of a batch',
+    event: request([feedbackEvent({ submission: { elapsedMs: 800 } }), suggestionEvent()]),
+    expect: 202,
+    check: () => sentEvents().length === 1 && sentEvents()[0].message === 'Resource Suggestion'
+  },
+  {
+    name: 'rejects an event without its submission details',
+    event: request([feedbackEvent({ submission: undefined })]),
+    expect: 400
+  },
+  {
+    name: 'rejects a fill time that isn\'t a number',
+    event: request([feedbackEvent({ submission: { elapsedMs: '45000' } })]),
+    expect: 400
+  },
+  {
+    name: 'drops the name and hashes the email of someone who didn\'t ask to be contacted',
+    event: request([feedbackEvent({
+      feedback: 'Reach me at test@example.com or +1 (555) 010-2030. Card 4111 1111 1111 1111 from 10.0.0.12',
+      answers: { tool: 'cursor', 'ai-tool-interest': 'Ask jo@example.org' }
+    })]),
+    expect: 202,
+    check: () => {
+      const { user, feedback, answers } = sentEvents()[0];
+      const hash = require(PROXY_PATH).hashEmail('TEST@example.com');
+      return user.name === undefined && user.email === undefined && user.email_hash === hash && /^[0-9a-f]{64}$/.test(hash) &&
+        feedback === 'Reach me at [email] or [phone]. Card [card number] from [ip address]' &&
+        answers['ai-tool-interest'] === 'Ask [email]' && answers.tool === 'cursor';
+    }
+  },
+  {
+    name: 'masks a suggestion without hashing a placeholder email',
+    event: request([suggestionEvent({
+      resource: { title: 'Guide', url: 'https://example.com/guide', description: 'By ann@example.com, 192.168.1.20' }
+    })]),
+    expect: 202,
+    check: () => {
+      const { user, resource } = sentEvents()[0];
+      return Object.keys(user).length === 0 && resource.description === 'By [email], [ip address]' &&
+        resource.url === 'https://example.com/guide';
+    }
+  },
+  {
+    name: 'keeps the details of someone who asked to be contacted',
+    event: request([feedbackEvent({
+      user: { name: 'Test User', email: 'test@example.com', contact: 'yes' },
+      feedback: 'Call me on 555 010 2030'
+    })]),
+    expect: 202,
+    check: () => {
+      const { user, feedback } = sentEvents()[0];
+      return user.name === 'Test User' && user.email === 'test@example.com' && user.contact === 'yes' &&
+        Boolean(user.email_hash) && feedback === 'Call me on 555 010 2030';
+    }
+  },
+  {
+    name: 'rejects a contact choice other than yes',
+    event: request([feedbackEvent({ user: { email: 'test@example.com', contact: 'true' } })]),
+    expect: 400
+  },
+  {
+    name: 'forwards a data request with the address to reply to',
+    event: request([dataRequestEvent()]),
+    expect: 202,
+    check: () => {
+      const sent = sentEvents()[0];
+      return sent.user.email === 'Test@Example.com' && sent.user.email_hash === require(PROXY_PATH).hashEmail('test@example.com') &&
+        sent.request.type === 'delete' && sent.ddtags === 'type:delete,spam_score:0';
+    }
+  },
+  {
+    name: 'rejects a data request without a valid email address',
+    event: request([dataRequestEvent({ user: { email: 'not an address' } })]),
+    expect: 400
+  },
+  {
+    name: 'rejects an unknown data request type',
+    event: request([dataRequestEvent({ request: { type: 'sell' } })]),
+    expect: 400
+  },
+  {
+    name: 'issues a challenge to an allowed origin',
+    event: request('', { httpMethod: 'GET', path: '/api/datadog/challenge' }),
+    expect: 200,
+    check: response => {
+      const { challenge, difficulty } = JSON.parse(response.body);
+      return /^\d+\.4\.[0-9a-f]{16}\.[0-9a-f]{64}$/.test(challenge) && difficulty === 4 &&
+        response.headers['Cache-Control'] === 'no-store';
+    }
+  },
+  {
+    name: 'issues a challenge to a same-origin request without an Origin header',
+    event: request('', { httpMethod: 'GET', path: '/api/datadog/challenge', headers: {} }),
+    expect: 200,
+    check: response => /^\d+\.4\./.test(JSON.parse(response.body).challenge) &&
+      !('Access-Control-Allow-Origin' in response.headers)
+  },
+  {
+    name: 'keeps challenges unreadable to other origins',
+    event: request('', { httpMethod: 'GET', path: '/api/datadog/challenge', headers: { 'origin': 'https://evil.example' } }),
+    expect: 200,
+    check: response => !('Access-Control-Allow-Origin' in response.headers)
+  },
+  {
+    name: 'rejects a POST without a solved challenge',
+    proof: 'none',
+    event: request([feedbackEvent()]),
+    expect: 403,
+    check: response => JSON.parse(response.body).error.code === 'challenge_required' && forwarded.length === 0
+  },
+  {
+    name: 'rejects a wrong solution',
+    proof: 'wrong',
+    event: request([feedbackEvent()]),
+    expect: 403,
+    check: response => JSON.parse(response.body).error.code === 'challenge_failed'
+  },
+  {
+    name: 'rejects a challenge it didn\'t sign',
+    proof: 'forged',
+    event: request([feedbackEvent()]),
+    expect: 403,
+    check: response => JSON.parse(response.body).error.message === 'Challenge was not issued by this service'
+  },
+  {
+    name: 'rejects a challenge used twice',
+    proof: 'reused',
+    repeat: 2,
+    event: request([feedbackEvent()]),
+    expect: 403,
+    check: response => JSON.parse(response.body).error.message === 'Challenge has already been used' && forwarded.length === 1
+  },
+  {
+    name: 'a payload that fails validation doesn\'t use up its challenge',
+    proof: 'reused',
+    repeat: 2,
+    first: request([feedbackEvent({ message: 'Something else' })]),
+    event: request([feedbackEvent()]),
+    expect: 202,
+    check: () => forwarded.length === 1
+  },
+  {
+    name: 'forwards a resource suggestion with a tracking ID',
+    event: request([suggestionEvent()]),
+    expect: 202,
+    check: response => {
+      const { trackingId } = JSON.parse(response.body);
+      return Boolean(trackingId) && JSON.parse(forwarded[0].options.body)[0].tracking_id === trackingId;
+    }
+  },
+  {
+    name: 'accepts a single event object',
+    event: request(feedbackEvent()),
+    expect: 202
+  },
+  {
+    name: 'rejects an origin outside the allow-list',
+    event: request([feedbackEvent()], { headers: { 'origin': 'https://evil.example', 'x-nf-client-connection-ip': '203.0.113.7' } }),
+    expect: 403
+  },
+  {
+    name: 'rejects a request without an Origin header',
+    event: request([feedbackEvent()], { headers: { 'x-nf-client-connection-ip': '203.0.113.7' } }),
+    expect: 403
+  },
+  {
+    name: 'rejects an unknown event type',
+    event: request([feedbackEvent({ message: 'Arbitrary log line' })]),
+    expect: 400
+  },
+  {
+    name: 'rejects feedback without a feedback field',
+    event: request([feedbackEvent({ feedback: '' })]),
+    expect: 400
+  },
+  {
+    name: 'rejects a suggestion with a non-http url',
+    event: request([suggestionEvent({ resource: { title: 'x', url: 'javascript:alert(1)' } })]),
+    expect: 400
+  },
+  {
+    name: 'rejects a spoofed service',
+    event: request([feedbackEvent({ service: 'billing' })]),
+    expect: 400
+  },
+  {
+    name: 'rejects malformed JSON',
+    event: request('{"message":'),
+    expect: 400
+  },
+  {
+    name: 'rejects too many events',
+    event: request(Array.from({ length: 6 }, () => feedbackEvent())),
+    expect: 400
+  },
+  {
+    name: 'rejects an oversized body',
+    event: request([feedbackEvent({ feedback: 'x'.repeat(20 * 1024) })]),
+    expect: 413
+  },
+  {
+    name: 'rate-limits repeated requests from one IP',
+    repeat: 6,
+    event: request([feedbackEvent()]),
+    expect: 429
+  },
+  {
+    name: 'reports missing Datadog keys',
+    env: { DD_API_KEY: '', DD_APP_KEY: '', CHALLENGE_SECRET: 'harness-challenge-secret' },
+    event: request([feedbackEvent()]),
+    expect: 500
+  },
+  {
+    name: 'maps an intake rejection to a JSON 502',
+    upstream: () => Promise.resolve({ status: 403, text: () => Promise.resolve('Forbidden') }),
+    event: request([feedbackEvent()]),
+    expect: 502,
+    check: response => JSON.parse(response.body).error.code === 'upstream_error'
+  },
+  {
+    name: 'does not leak internal error messages',
+    upstream: () => Promise.reject(new Error('connect ECONNREFUSED 10.0.0.1:443')),
+    event: request([feedbackEvent()]),
+    expect: 500,
+    check: response => !response.body.includes('ECONNREFUSED')
+  },
+  {
+    name: 'answers CORS preflight for an allowed origin',
+    event: request('', { httpMethod: 'OPTIONS' }),
+    expect: 204,
+    check: response => response.headers['Access-Control-Allow-Origin'] === ORIGIN &&
+      response.headers['Access-Control-Allow-Methods'].includes('POST')
+  },
+  {
+    name: 'refuses CORS preflight for other origins',
+    event: request('', { httpMethod: 'OPTIONS', headers: { 'origin': 'https://evil.example' } }),
+    expect: 403,
+    check: response => response.headers['Access-Control-Allow-Origin'] === undefined
+  },
+  {
+    name: 'reports health without exposing keys',
+    event: request('', { httpMethod: 'GET', path: '/api/datadog/health', headers: {} }),
+    expect: 200,
+    check: response => JSON.parse(response.body).status === 'ok' && !response.body.includes('harness-api-key')
+  },
+  {
+    name: 'reports missing keys on the health check',
+    env: { DD_APP_KEY: '' },
+    event: request('', { httpMethod: 'GET', path: '/.netlify/functions/datadog-proxy/health', headers: {} }),
+    expect: 200,
+    check: response => JSON.parse(response.body).datadog.appKeyConfigured === false
+  },
+  {
+    name: 'returns 404 for unknown GET paths',
+    event: request('', { httpMethod: 'GET', path: '/api/datadog/keys' }),
+    expect: 404
+  },
+  {
+    name: 'rejects unsupported methods with an Allow header',
+    event: request('', { httpMethod: 'PUT' }),
+    expect: 405,
+    check: response => response.headers['Allow'] === 'OPTIONS, GET, POST'
+  }
+];
+
+// POSTs get a freshly solved challenge each time, unless scenario.proof is 'none', 'wrong',
+// 'forged' or 'reused' (the first solution sent again)
+async function prepareRequest(scenario, event, handler, previous, remember) {
+  if (event.httpMethod !== 'POST' || scenario.proof === 'none') return event;
+  if (scenario.proof === 'reused' && previous) return withProof(event, previous);
+
+  const proof = await solveChallenge(handler);
+  remember(proof);
+  if (proof && scenario.proof === 'wrong') return withProof(event, { challenge: proof.challenge, solution: 'x' });
+  if (proof && scenario.proof === 'forged') {
+    return withProof(event, { challenge: proof.challenge.replace(/\.(\d+)\./, '.0.'), solution: proof.solution });
+  }
+  return withProof(event, proof);
+}
+
+async function runScenario(scenario) {
+  const savedEnv = Object.assign({}, process.env);
+  Object.assign(process.env, { DD_API_KEY: 'harness-api-key', DD_APP_KEY: 'harness-app-key', CHALLENGE_DIFFICULTY: '4' }, scenario.env);
+  forwarded = [];
+  upstream = scenario.upstream || acceptAll;
+
+  // The proxy logs every rejection it handles; only show that with --verbose
+  const { error: consoleError, warn: consoleWarn } = console;
+  if (!verbose) console.error = console.warn = () => {};
+
+  try {
+    const handler = loadHandler();
+    let response;
+    let proof = null;
+    for (let i = 0; i < (scenario.repeat || 1); i++) {
+      // scenario.first, if any, is sent in place of the first of the repeats
+      const event = i === 0 && scenario.first ? scenario.first : scenario.event;
+      response = await handler(await prepareRequest(scenario, event, handler, proof, next => { proof = next; }), {});
+    }
+
+    const problems = response.statusCode !== scenario.expect
+      ? [`expected ${scenario.expect}`]
+      : getProblems(!scenario.check || scenario.check(response));
+    return {
+      label: String(response.statusCode),
+      problems,
+      details: verbose || problems.length > 0 ? [`body: ${response.body}`] : []
+    };
+  } finally {
+    console.error = consoleError;
+    console.warn = consoleWarn;
+    process.env = savedEnv;
+  }
+}
+
+runHarness('proxy-harness', () => runScenarios(scenarios, runScenario));
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// Fixture harness for resource suggestion review (scripts/suggestions.js)
+//
+// Syncs a few submitted events from a file into a store in a temporary copy of the site
+// (through AI_TOOLS_LAB_ROOT), then lists and promotes them: spam-scored suggestions are held
+// back, and whatever a submitter put in a title ends up escaped in pages/resources.html. Prints
+// one line per scenario and exits 1 if any of them fails.
+//
+// Usage: node scripts/suggestions-harness.js [--verbose]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { readResourceCards } = require('./lib/pages');
+const { getProblems, runScenarios, runHarness } = require('./lib/harness');
+
+const CLI_PATH = path.join(__dirname, 'suggestions.js');
+const verbose = process.argv.includes('--verbose');
+
+const HOSTILE_TITLE = 'Great guide ---><script>alert(1)</script><!--';
+
+const RESOURCES_PAGE = [
+  '<!DOCTYPE html>',
+  '<html lang="en">',
+  '<body>',
+  '    <main class="container">',
+  '        <div class="resource-grid">',
+  '            <!-- Existing -->',
+  '            <div class="resource-card" data-category="industry" data-tags="">',
+  '                <a href="https://example.com/existing" target="_blank">',
+  '                    <div class="resource-card-content">',
+  '                        <h2>Existing</h2>',
+  '                        <p>Already listed</p>',
+  '                    </div>',
+  '                </a>',
+  '            </div>',
+  '        </div>',
+  '    </main>',
+  '</body>',
+  '</html>',
+  ''
+].join('\n');
+
+function suggestionEvent(id, title, url, spam) {
+  return {
+    message: 'Resource Suggestion',
+    timestamp: '2025-04-01T12:00:00.000Z',
+    tracking_id: id,
+    ddtags: `category:tutorials,spam_score:${spam ? spam.score : 0}`,
+    spam_signals: spam ? spam.signals : [],
+    resource: { title, url, source: '', category: 'tutorials', description: 'Worth a read' }
+  };
+}
+
+const EVENTS = [
+  suggestionEvent('GOOD1', 'A good guide', 'https://example.com/good'),
+  suggestionEvent('HOST1', HOSTILE_TITLE, 'https://example.com/hostile'),
+  suggestionEvent('SPAM1', 'Cheap pills', 'https://spam.example/pills', { score: 60, signals: ['links', 'fast'] })
+];
+
+function writeFixture() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'suggestions-harness-'));
+  fs.mkdirSync(path.join(root, 'pages'));
+  fs.writeFileSync(path.join(root, 'pages', 'resources.html'), RESOURCES_PAGE);
+  fs.writeFileSync(path.join(root, 'events.json'), JSON.stringify(EVENTS));
+  return root;
+}
+
+function suggestions(root, args) {
+  const result = spawnSync(process.execPath, [CLI_PATH].concat(args), {
+    cwd: root,
+    env: Object.assign({}, process.env, { AI_TOOLS_LAB_ROOT: root }),
+    encoding: 'utf8'
+  });
+  if (verbose) process.stdout.write(result.stdout + result.stderr);
+  return result;
+}
+
+function store(site) {
+  return JSON.parse(site.read('suggestions/store.json')).suggestions;
+}
+
+const scenarios = [
+  {
+    name: 'sync holds suggestions the proxy scored as spam',
+    run: site => {
+      const statuses = store(site).map(item => `${item.id}:${item.status}:${item.spamScore}`).join(',');
+      return statuses === 'GOOD1:pending:0,HOST1:pending:0,SPAM1:spam:60' || [statuses];
+    }
+  },
+  {
+    name: 'list leaves held suggestions out, and --all shows why they were held',
+    run: site => {
+      const pending = suggestions(site.root, ['list']).stdout;
+      const all = suggestions(site.root, ['list', '--all']).stdout;
+      return !pending.includes('SPAM1') && pending.includes('GOOD1') &&
+        all.includes('SPAM1  spam') && all.includes('[spam score 60: links, fast]') || [pending, all];
+    }
+  },
+  {
+    name: 'a held suggestion is only promoted with --not-spam',
+    run: site => {
+      const refused = suggestions(site.root, ['promote', 'SPAM1', '--dry-run']);
+      const checked = suggestions(site.root, ['promote', 'SPAM1', '--dry-run', '--not-spam']);
+      return refused.status === 1 && refused.stderr.includes('held as spam (score 60: links, fast)') &&
+        checked.status === 0 && checked.stdout.includes('<h2>Cheap pills</h2>') || [refused.stderr, checked.stderr];
+    }
+  },
+  {
+    name: 'a title can\'t close the card\'s comment and put markup in the page',
+    run: site => {
+      const result = suggestions(site.root, ['promote', 'HOST1']);
+      const html = site.read('pages/resources.html');
+      const [card] = readResourceCards(html);
+      const problems = [];
+      if (result.status !== 0) problems.push(result.stderr);
+      if (html.includes('<script>')) problems.push('the title\'s <script> reached the page');
+      if ((html.match(/<!--/g) || []).length !== (html.match(/-->/g) || []).length) problems.push('unbalanced comments');
+      if (!card || card.title !== HOSTILE_TITLE) problems.push(`first card is ${card && card.title}`);
+      return problems;
+    }
+  }
+];
+
+async function main() {
+  const root = writeFixture();
+  try {
+    const synced = suggestions(root, ['sync', '--from', 'events.json']);
+    if (synced.status !== 0) throw new Error(`sync failed: ${synced.stderr}`);
+    const site = { root, read: file => fs.readFileSync(path.join(root, file), 'utf8') };
+    return await runScenarios(scenarios, async scenario => ({ problems: getProblems(await scenario.run(site)) }));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+runHarness('suggestions-harness', main);
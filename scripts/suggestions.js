@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// Resource suggestion review
+//
+// Suggestions from the resources page are logged to Datadog through the proxy, each with a
+// tracking ID. This pulls them into a local store (suggestions/store.json, git-ignored because
+// it holds the details of submitters who asked to be contacted), lists the pending ones, and promotes an accepted suggestion
+// into a card at the top of pages/resources.html.
+//
+// Usage:
+//   node scripts/suggestions.js sync [--days 30] [--from events.json]
+//   node scripts/suggestions.js list [--all]
+//   node scripts/suggestions.js promote <id> [--category c] [--tags a,b] [--image path] [--date "April 14, 2025"] [--dry-run] [--not-spam]
+//   node scripts/suggestions.js reject <id>
+//
+// `sync` reads the Datadog Logs API with DD_API_KEY / DD_APP_KEY (and DD_SITE, default
+// datadoghq.com); `--from` reads a JSON array of submitted events instead. Suggestions the proxy
+// scored SPAM_SCORE_LIMIT or more (its spam_score tag) are stored as `spam` rather than pending,
+// and `promote` refuses them unless --not-spam says they were checked.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { readResourceCards } = require('./lib/pages');
+const { escapeHtml } = require('./lib/html');
+const { ROOT, PAGES_DIR } = require('./lib/paths');
+
+const STORE_PATH = path.join(ROOT, 'suggestions', 'store.json');
+const RESOURCES_PATH = path.join(PAGES_DIR, 'resources.html');
+const GRID_OPENING = '<div class="resource-grid">';
+const DEFAULT_IMAGE = '../images/resource-placeholder.jpg';
+const SPAM_SCORE_LIMIT = 50;
+
+// The suggestion form's own duplicate check (an ES module, loaded by main())
+const URLS_MODULE = pathToFileURL(path.join(__dirname, '..', 'js', 'lib', 'urls.js')).href;
+let normalizeResourceUrl;
+
+// The suggestion form's categories, mapped onto the data-category values the cards use
+const CATEGORY_MAP = {
+  'tutorials': 'tutorial',
+  'reviews': 'opinion',
+  'case-studies': 'research',
+  'research': 'research',
+  'industry': 'industry',
+  'opinion': 'opinion'
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+function parseArgs(argv) {
+  const options = { command: argv[0], positional: [], flags: {} };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--all' || arg === '--dry-run' || arg === '--not-spam') {
+      options.flags[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`${arg} expects a value`);
+      }
+      options.flags[arg.slice(2)] = argv[++i];
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
+
+function formatDate(date) {
+  return `${MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+}
+
+function loadStore() {
+  if (!fs.existsSync(STORE_PATH)) return { suggestions: [] };
+  return JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+}
+
+function saveStore(store) {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  fs.writeFileSync(STORE_PATH, JSON.stringify(store, null, 2) + '\n');
+}
+
+function findSuggestion(store, id) {
+  if (!id) {
+    throw new Error('Expected a suggestion id (see `list`)');
+  }
+  const suggestion = store.suggestions.find(item => item.id.toLowerCase() === id.toLowerCase());
+  if (!suggestion) {
+    throw new Error(`No suggestion with id ${id}`);
+  }
+  return suggestion;
+}
+
+// Turns a submitted event into a store entry; events logged before tracking IDs existed get one from their timestamp
+function toSuggestion(event) {
+  if (!event || event.message !== 'Resource Suggestion' || !event.resource || !event.resource.url) {
+    return null;
+  }
+  const score = String(event.ddtags || '').match(/(?:^|,)spam_score:(\d+)(?:,|$)/);
+  const spamScore = score ? parseInt(score[1], 10) : 0;
+  return {
+    id: event.tracking_id || `T${Date.parse(event.timestamp || 0).toString(36).toUpperCase()}`,
+    status: spamScore >= SPAM_SCORE_LIMIT ? 'spam' : 'pending',
+    receivedAt: event.timestamp || null,
+    spamScore,
+    spamSignals: Array.isArray(event.spam_signals) ? event.spam_signals : [],
+    resource: {
+      title: event.resource.title || '',
+      url: event.resource.url,
+      source: event.resource.source || '',
+      category: event.resource.category || '',
+      description: event.resource.description || ''
+    },
+    user: event.user || {}
+  };
+}
+
+async function fetchDatadogEvents(days) {
+  const apiKey = process.env.DD_API_KEY;
+  const appKey = process.env.DD_APP_KEY;
+  if (!apiKey || !appKey) {
+    throw new Error('DD_API_KEY and DD_APP_KEY must be set to read suggestions from Datadog (or use --from file)');
+  }
+
+  const fetch = require('node-fetch');
+  const site = process.env.DD_SITE || 'datadoghq.com';
+  const events = [];
+  let cursor;
+
+  do {
+    const response = await fetch(`https://api.${site}/api/v2/logs/events/search`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'DD-API-KEY': apiKey,
+        'DD-APPLICATION-KEY': appKey
+      },
+      body: JSON.stringify({
+        filter: { query: 'service:ai-tools-website "Resource Suggestion"', from: `now-${days}d`, to: 'now' },
+        sort: 'timestamp',
+        page: cursor ? { limit: 100, cursor } : { limit: 100 }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Datadog Logs API responded with ${response.status}: ${await response.text()}`);
+    }
+
+    const result = await response.json();
+    (result.data || []).forEach(log => {
+      const attributes = log.attributes || {};
+      // The log's tags carry the proxy's spam_score, as ddtags do in a --from file
+      events.push(Object.assign({
+        message: attributes.message,
+        timestamp: attributes.timestamp,
+        ddtags: (attributes.tags || []).join(',')
+      }, attributes.attributes));
+    });
+    cursor = result.meta && result.meta.page && result.meta.page.after;
+  } while (cursor);
+
+  return events;
+}
+
+async function sync(options) {
+  const events = options.flags.from
+    ? JSON.parse(fs.readFileSync(options.flags.from, 'utf8'))
+    : await fetchDatadogEvents(parseInt(options.flags.days || '30', 10));
+
+  const store = loadStore();
+  const known = new Set(store.suggestions.map(item => item.id));
+  let added = 0;
+
+  (Array.isArray(events) ? events : [events]).map(toSuggestion).forEach(suggestion => {
+    if (!suggestion || known.has(suggestion.id)) return;
+    store.suggestions.push(suggestion);
+    known.add(suggestion.id);
+    added++;
+  });
+
+  saveStore(store);
+  const count = status => store.suggestions.filter(item => item.status === status).length;
+  console.log(`synced     ${added} new suggestion(s), ${count('pending')} pending, ${count('spam')} held as spam`);
+}
+
+function list(options) {
+  const existing = new Set(readResourceCards(fs.readFileSync(RESOURCES_PATH, 'utf8')).map(card => normalizeResourceUrl(card.url)));
+  const suggestions = loadStore().suggestions.filter(item => options.flags.all || item.status === 'pending');
+
+  if (suggestions.length === 0) {
+    console.log('No pending suggestions.');
+    return;
+  }
+
+  suggestions.forEach(item => {
+    const duplicate = existing.has(normalizeResourceUrl(item.resource.url)) ? '  [already listed]' : '';
+    const spam = item.spamScore ? `  [spam score ${item.spamScore}: ${(item.spamSignals || []).join(', ') || 'no signals'}]` : '';
+    console.log(`${item.id}  ${item.status.padEnd(8)} ${(item.receivedAt || '').slice(0, 10)}  ${item.resource.title}${duplicate}${spam}`);
+    console.log(`    ${item.resource.url}`);
+    console.log(`    ${item.resource.category || 'no category'} · ${item.resource.source || 'no source'} · from ${(item.user && item.user.name) || 'Anonymous'}`);
+  });
+}
+
+function renderResourceCard(resource, options) {
+  const title = escapeHtml(resource.title);
+  const tags = (options.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+  const category = options.category || CATEGORY_MAP[resource.category] || resource.category || 'industry';
+  const source = resource.source || new URL(resource.url).hostname.replace(/^www\./, '');
+
+  return [
+    // Escaped like the rest of the card, so no title can close the comment early
+    `<!-- ${title.replace(/-{2,}/g, '-')} -->`,
+    `<div class="resource-card" data-category="${escapeHtml(category)}" data-tags="${escapeHtml(tags.join(','))}">`,
+    `    <a href="${escapeHtml(resource.url)}" target="_blank">`,
+    '        <div class="resource-card-image">',
+    `            <img src="${escapeHtml(options.image || DEFAULT_IMAGE)}" alt="${title}">`,
+    '        </div>',
+    '        <div class="resource-card-content">',
+    `            <h2>${title}</h2>`,
+    `            <p>${escapeHtml(resource.description)}</p>`,
+    '            <div class="resource-meta">',
+    `                <span class="resource-date">${escapeHtml(options.date || formatDate(new Date()))}</span>`,
+    `                <span class="resource-source">${escapeHtml(source)}</span>`,
+    '            </div>',
+    '        </div>',
+    '    </a>',
+    '</div>'
+  ].join('\n            ');
+}
+
+function promote(options) {
+  const store = loadStore();
+  const suggestion = findSuggestion(store, options.positional[0]);
+  if (suggestion.status === 'spam' && !options.flags['not-spam']) {
+    throw new Error(`${suggestion.id} was held as spam (score ${suggestion.spamScore}: ${suggestion.spamSignals.join(', ')}); ` +
+      'check it and pass --not-spam to promote it anyway');
+  }
+  const html = fs.readFileSync(RESOURCES_PATH, 'utf8');
+
+  const duplicate = readResourceCards(html)
+    .find(card => normalizeResourceUrl(card.url) === normalizeResourceUrl(suggestion.resource.url));
+  if (duplicate) {
+    throw new Error(`${suggestion.resource.url} is already listed as "${duplicate.title}"`);
+  }
+
+  const gridStart = html.indexOf(GRID_OPENING);
+  if (gridStart === -1) {
+    throw new Error('pages/resources.html has no <div class="resource-grid">');
+  }
+  const insertAt = gridStart + GRID_OPENING.length;
+  const card = renderResourceCard(suggestion.resource, options.flags);
+  const updated = `${html.slice(0, insertAt)}\n            ${card}\n${html.slice(insertAt)}`;
+
+  if (options.flags['dry-run']) {
+    console.log(card);
+    return;
+  }
+
+  fs.writeFileSync(RESOURCES_PATH, updated);
+  suggestion.status = 'accepted';
+  saveStore(store);
+  console.log(`promoted   ${suggestion.id} into ${path.relative(process.cwd(), RESOURCES_PATH)}`);
+  console.log('Run `npm run build` to generate its thumbnail and add it to the manifests, feeds and search index.');
+}
+
+function reject(options) {
+  const store = loadStore();
+  const suggestion = findSuggestion(store, options.positional[0]);
+  suggestion.status = 'rejected';
+  saveStore(store);
+  console.log(`rejected   ${suggestion.id}`);
+}
+
+const COMMANDS = { sync, list, promote, reject };
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const command = COMMANDS[options.command];
+  if (!command) {
+    throw new Error('Usage: node scripts/suggestions.js <sync|list|promote|reject> [options]');
+  }
+  ({ normalizeResourceUrl } = await import(URLS_MODULE));
+  await command(options);
+}
+
+main().catch(error => {
+  console.error(`suggestions: ${error.message}`);
+  process.exit(1);
+});